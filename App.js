@@ -1,86 +1,281 @@
-import React, { useEffect, useState, useRef, useCallback } from 'react';
+import React, { useEffect, useLayoutEffect, useState, useRef, useCallback, useMemo } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, Text, View, FlatList, TouchableOpacity, Image } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { StyleSheet, Text, View, FlatList, TouchableOpacity, Image, TextInput, ScrollView, Alert, AppState } from 'react-native';
 import TrackPlayer, { 
   State,
   Capability,
   AppKilledPlaybackBehavior,
   Event,
 } from 'react-native-track-player';
-import CarProjection, { createListTemplate, createMessageTemplate, createPaneTemplate } from 'react-native-car-projection';
+import CarProjection, { createListTemplate, createMessageTemplate } from 'react-native-car-projection';
 import { mediaItems } from './src/data/mediaItems';
+import { loadCatalog } from './src/catalog/catalog';
+import { createStaticProvider } from './src/catalog/providers';
+import { podcastFeeds } from './src/data/podcastFeeds';
+import { startPodcastRefresh, allEpisodes } from './src/podcasts/podcasts';
+import { loadPlaylists, savePlaylists, importPlaylistFromUrl, upsertPlaylist } from './src/playlists/playlists';
+import { searchMedia, hintsFromExtras, normalize } from './src/search/mediaSearch';
+import { createCarConnection, trackPlayerAdapter, ConnectionState } from './src/car/carConnection';
+import { createCarRouter } from './src/car/carRouter';
+import { createCarSync } from './src/car/carSync';
+import { createTemplateQuota } from './src/car/templateQuota';
+import { buildBrowseTree, validateBrowseTree } from './src/car/browseTree';
+import CarScreen from './src/car/CarScreen';
+import { CarPane, CarRow, CarAction, CarActionStrip } from './src/car/carElements';
+import { createDownloadManager, DownloadStatus } from './src/downloads/downloadManager';
+import DownloadsPanel from './src/downloads/DownloadsPanel';
+import { createArtworkCache, ArtworkSize } from './src/artwork/artworkCache';
+import { createRatingsStore, Rating } from './src/ratings/ratings';
+import { createProfileStore } from './src/profiles/profiles';
+import { createRecentlyPlayedStore, addRecentId, resolveRecentlyPlayed } from './src/storage/recentlyPlayed';
+import { playerLog, carLog, storageLog, libraryLog } from './src/logging';
+import { createTimeline, attachCarInspector, attachPlayerInspector } from './src/inspector/timeline';
+import InspectorScreen from './src/inspector/InspectorScreen';
+import { createSessionRecorder } from './src/inspector/sessionRecorder';
+import { loadQueue, buildPlayContext } from './src/player/queue';
+import { createErrorRecovery, describePlaybackError } from './src/player/errorRecovery';
+import { seekTo, skipBy, skipIntervalsFor, addSeekListener, SKIP_INTERVALS } from './src/player/seek';
+import { createSpeedMemory, nextSpeed, formatSpeed, DEFAULT_SPEED } from './src/player/playbackSpeed';
+import { sleepTimer, SLEEP_TIMER_OPTIONS, SleepTimerMode, formatRemaining } from './src/player/sleepTimer';
+import {
+  SESSION_SAVE_INTERVAL_MS,
+  savePlaybackSession,
+  loadPlaybackSession,
+  clearPlaybackSession,
+  restorePlaybackSession,
+} from './src/player/playbackSession';
 
-const RECENTLY_PLAYED_KEY = 'recently_played';
-const MAX_RECENT_ITEMS = 10;
+// Where the media library comes from. Swap for createHttpProvider(url) or
+// createJsonFileProvider(require(...)) from src/catalog/providers to serve it from a feed.
+const catalogProvider = createStaticProvider(mediaItems);
+
+// Retry/skip policy for playback errors; remembers failed items for this app session
+const errorRecovery = createErrorRecovery();
+
+// Offline copies; playback prefers them over streaming
+const downloadManager = createDownloadManager();
+const resolveMediaUri = async (item) => (await downloadManager.getLocalUri(item.id)) || item.mediaUri;
+
+// Listener profiles; recently played, ratings and playback speeds are kept per profile
+const profiles = createProfileStore();
+
+// Recently played ids per profile, written in batches
+const recentlyPlayedStore = createRecentlyPlayedStore({ keyFor: profiles.keyFor });
+
+// Thumbs-up / thumbs-down ratings; liked items make up Favorites
+const ratings = createRatingsStore({ keyFor: profiles.keyFor });
+
+// Left out of automatically built queues: failed earlier this session, or disliked
+const isExcludedFromQueue = (id) => errorRecovery.isFailed(id) || ratings.isDisliked(id);
+
+// First item in `items` that may be started automatically
+const firstAutoPlayable = (items) => items.find((item) => item.playable !== false && !isExcludedFromQueue(item.id)) || null;
+
+// Android Auto MediaBrowser browse tree folder ids (the map is built by src/car/browseTree)
+const LIBRARY_ID = 'library';
+const PODCASTS_ID = 'podcasts';
+const PLAYLISTS_ID = 'playlists';
+const DOWNLOADED_ID = 'downloaded';
+const FAVORITES_ID = 'favorites';
+
+// Phone collection tab for the whole catalog (playlist tabs use the playlist id)
+const ALL_MEDIA_ID = 'all_media';
+const DOWNLOADS_TAB_ID = 'downloads';
+
+// Playback speed remembered per item and per collection
+const speedMemory = createSpeedMemory({ keyFor: profiles.keyFor });
+// Media-session custom action that cycles the playback speed
+const SPEED_ACTION = 'cycle_speed';
+// Media-session custom actions for rating the current item
+const FAVORITE_ACTION = 'toggle_favorite';
+const DISLIKE_ACTION = 'dislike';
+
+// Sleep timer as shown in the car: whole minutes, so the pane is re-registered at most once a minute
+const sleepTimerCarLabel = (state) => {
+  if (!state) return null;
+  if (state.mode === SleepTimerMode.EndOfTrack) return 'Stops at end of track';
+  return `${Math.max(1, Math.ceil((state.remainingMs ?? 0) / 60000))} min left`;
+};
+
+// Car App screens. Routes are declared in App (they close over player callbacks); the
+// router validates names and params and mirrors the head unit's back stack.
+const CarRoute = {
+  Main: 'main',
+  RecentlyPlayed: 'recentlyPlayed',
+  UpNext: 'upNext',
+  Library: 'library',
+  Favorites: 'favorites',
+  Podcasts: 'podcasts',
+  PodcastEpisodes: 'podcastEpisodes',
+  Playlists: 'playlists',
+  PlaylistItems: 'playlistItems',
+  Downloaded: 'downloaded',
+  SleepTimer: 'sleepTimer',
+  Profiles: 'profiles',
+  PlaybackError: 'playbackError',
+};
+// Android Auto's template refresh and task depth limits, under the sync layer so only
+// templates that actually changed count against them
+const templateQuota = createTemplateQuota(CarProjection, { root: CarRoute.Main });
+// Batches and de-duplicates media-session updates and template registrations per frame
+const carSync = createCarSync(templateQuota);
+const carRouter = createCarRouter(carSync, { root: CarRoute.Main });
+
+// Car connection timeline for the hidden inspector (long-press the header title)
+const inspectorTimeline = createTimeline();
+// Records car sessions for offline replay (started from the inspector)
+const sessionRecorder = createSessionRecorder({ carProjection: CarProjection, trackPlayer: TrackPlayer, Event });
+
+// Downscaled cover art on disk for the car (placeholder until fetched)
+const artworkCache = createArtworkCache();
+
+const toBrowseItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  artist: item.artist,
+  artworkUri: artworkCache.peek(item.artworkUri, ArtworkSize.Browse),
+  playable: true,
+  browsable: false,
+});
+
+// TrackPlayer options; jump intervals follow the current item's content type
+const playerOptions = (intervals = SKIP_INTERVALS.default) => ({
+  android: {
+    appKilledPlaybackBehavior: AppKilledPlaybackBehavior.StopPlaybackAndRemoveNotification,
+  },
+  capabilities: [
+    Capability.Play,
+    Capability.Pause,
+    Capability.Stop,
+    Capability.SkipToNext,
+    Capability.SkipToPrevious,
+    Capability.SeekTo,
+    Capability.JumpForward,
+    Capability.JumpBackward,
+  ],
+  compactCapabilities: [Capability.Play, Capability.Pause, Capability.Stop],
+  forwardJumpInterval: intervals.forward,
+  backwardJumpInterval: intervals.backward,
+  progressUpdateEventInterval: 2,
+});
 
 // Setup track player with options
 const setupPlayer = async () => {
-  console.log('[App] Setting up track player...');
+  playerLog.debug('Setting up track player');
   try {
-    console.log('[App] Calling TrackPlayer.setupPlayer()...');
     await TrackPlayer.setupPlayer({
       waitForBuffer: true,
     });
-    console.log('[App] TrackPlayer.setupPlayer() complete, updating options...');
-    await TrackPlayer.updateOptions({
-      android: {
-        appKilledPlaybackBehavior: AppKilledPlaybackBehavior.StopPlaybackAndRemoveNotification,
-      },
-      capabilities: [
-        Capability.Play,
-        Capability.Pause,
-        Capability.Stop,
-        Capability.SkipToNext,
-        Capability.SkipToPrevious,
-        Capability.SeekTo,
-      ],
-      compactCapabilities: [Capability.Play, Capability.Pause, Capability.Stop],
-      progressUpdateEventInterval: 2,
-    });
-    console.log('[App] Track player setup complete!');
+    await TrackPlayer.updateOptions(playerOptions());
+    playerLog.info('Track player setup complete');
     return true;
   } catch (error) {
-    console.log('[App] Track player setup error:', error.message || error);
+    playerLog.warn('Track player setup error', { error });
     // Check if player is already initialized
     try {
       const state = await TrackPlayer.getPlaybackState();
-      console.log('[App] Player already initialized, state:', state);
+      playerLog.info('Player already initialized', { state: state?.state });
       return true;
     } catch (e) {
-      console.log('[App] Player not initialized:', e.message);
+      playerLog.error('Player not initialized', { error: e });
       return false;
     }
   }
 };
 
 export default function App() {
-  console.log('[App] ===== App component rendering =====');
-  
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [carConnectionState, setCarConnectionState] = useState(ConnectionState.Disconnected);
   const [recentlyPlayed, setRecentlyPlayed] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [podcasts, setPodcasts] = useState([]); // [{ show, episodes }], episodes newest first
+  const [playlists, setPlaylists] = useState([]); // imported M3U/PLS collections
+  const [selectedCollectionId, setSelectedCollectionId] = useState(ALL_MEDIA_ID);
+  const [playlistUrl, setPlaylistUrl] = useState('');
+  const [downloads, setDownloads] = useState([]); // download manager entries, newest first
   const [isPlayerReady, setIsPlayerReady] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState({ position: 0, duration: 0 });
+  const [playbackError, setPlaybackError] = useState(null); // human-readable, shown on phone and car
+  const [isInspectorVisible, setIsInspectorVisible] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(DEFAULT_SPEED);
+  const [sleepTimerState, setSleepTimerState] = useState(sleepTimer.getState()); // { mode, remainingMs, ... } or null
+  const [isSleepMenuVisible, setIsSleepMenuVisible] = useState(false);
+  const [ratingsById, setRatingsById] = useState({}); // { [itemId]: { rating, item, ratedAt } }
+  const [profileState, setProfileState] = useState({ activeId: profiles.active().id, profiles: profiles.profiles() });
+  const [isProfileMenuVisible, setIsProfileMenuVisible] = useState(false);
+  const [newProfileName, setNewProfileName] = useState('');
   
   // Use ref to track current track for Android Auto screen updates
   const currentTrackRef = useRef(null);
   const isPlayingRef = useRef(false);
+  const playbackRateRef = useRef(DEFAULT_SPEED);
+  const sleepTimerRef = useRef(sleepTimer.getState());
+  // Sleep timer label currently shown in the car (see sleepTimerCarLabel)
+  const sleepTimerCarLabelRef = useRef(null);
   const recentlyPlayedRef = useRef([]);
-  // Track if we need to restart audio when screen becomes visible
-  const pendingAudioRestartRef = useRef(null); // Will hold { track, position } if restart is pending
+  // What's stored: ids, newest first (recentlyPlayedRef holds the items they resolve to)
+  const recentlyPlayedIdsRef = useRef([]);
+  const catalogRef = useRef([]);
+  const podcastsRef = useRef([]);
+  const playlistsRef = useRef([]);
+  // Items in the current play context, in TrackPlayer queue order
+  const queueRef = useRef([]);
+  // Current playback error message (mirrors playbackError for callbacks) and pending retry timer
+  const playbackErrorRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  // Last TrackPlayer state and progress from player events, so media-session syncs need no round-trips
+  const playerStateRef = useRef(null);
+  const progressRef = useRef({ position: 0, duration: 0 });
+  // When the playback session (queue + position) was last persisted
+  const lastSessionSaveRef = useRef(0);
   
   // Keep refs in sync
   useEffect(() => {
     isPlayingRef.current = isPlaying;
   }, [isPlaying]);
 
+  // Record car events, player transitions and templates for the inspector. A layout effect,
+  // so it wraps registerScreen before any screen is registered (CarScreen registers in its
+  // passive effect, and children's effects run before ours).
+  useLayoutEffect(() => {
+    const carInspector = attachCarInspector(CarProjection, inspectorTimeline);
+    const playerInspector = attachPlayerInspector(TrackPlayer, Event, inspectorTimeline);
+    return () => {
+      carInspector.remove();
+      playerInspector.remove();
+    };
+  }, []);
+
+  // Declare the car routes before any screen is rendered, and mirror the head unit's back stack
+  useEffect(() => {
+    carRouter.define(CarRoute.Main); // rendered by renderNowPlayingCarScreen
+    carRouter.define(CarRoute.RecentlyPlayed, { build: buildRecentlyPlayedTemplate });
+    carRouter.define(CarRoute.UpNext, { build: buildUpNextTemplate });
+    carRouter.define(CarRoute.Library, { build: buildLibraryTemplate });
+    carRouter.define(CarRoute.Favorites, { build: buildFavoritesTemplate });
+    carRouter.define(CarRoute.Podcasts, { build: buildPodcastsTemplate });
+    carRouter.define(CarRoute.PodcastEpisodes, { params: { showId: 'string' }, build: buildPodcastEpisodesTemplate });
+    carRouter.define(CarRoute.Playlists, { build: buildPlaylistsTemplate });
+    carRouter.define(CarRoute.PlaylistItems, { params: { playlistId: 'string' }, build: buildPlaylistItemsTemplate });
+    carRouter.define(CarRoute.Downloaded, { build: buildDownloadedTemplate });
+    carRouter.define(CarRoute.SleepTimer, { build: buildSleepTimerTemplate });
+    carRouter.define(CarRoute.Profiles, { build: buildProfilesTemplate });
+    carRouter.define(CarRoute.PlaybackError, { params: { track: 'object', message: 'string' }, build: buildPlaybackErrorTemplate });
+    const mirror = carRouter.attach();
+    const quotaMirror = templateQuota.attach();
+    return () => {
+      mirror.remove();
+      quotaMirror.remove();
+    };
+  }, []);
+
   // Configure MediaBrowserService so Android Auto can route audio when it connects
   useEffect(() => {
     CarProjection.configureMediaSession({
       serviceName: 'com.doublesymmetry.trackplayer.service.MusicService',
-    }).catch((err) => console.warn('[App] configureMediaSession:', err?.message));
+    }).catch((err) => carLog.warn('configureMediaSession failed', { error: err }));
   }, []);
 
   // Map TrackPlayer state to CarProjection playback state string
@@ -93,51 +288,170 @@ export default function App() {
     return 'none';
   };
 
-  // Sync our MediaBrowserService MediaSession so Android Auto sees us as the active media source
-  const syncMediaSessionState = useCallback(async () => {
+  // Resolve a TrackPlayer track id to its media item (current queue first, then the catalog and podcasts)
+  const findMediaItem = useCallback((id) => {
+    return queueRef.current.find((item) => item.id === id)
+      || catalogRef.current.find((item) => item.id === id)
+      || allEpisodes(podcastsRef.current).find((item) => item.id === id)
+      || playlistsRef.current.flatMap((playlist) => playlist.items).find((item) => item.id === id)
+      || downloadManager.completedItems().find((item) => item.id === id)
+      || ratings.favorites().find((item) => item.id === id)
+      || null;
+  }, []);
+
+  // The list an item should be queued with when picked outside of a list (e.g. browse or search):
+  // a podcast episode plays through its show, a playlist-only item through its playlist,
+  // anything else through the catalog
+  const findPlayContext = useCallback((id) => {
+    const podcast = podcastsRef.current.find((p) => p.episodes.some((episode) => episode.id === id));
+    if (podcast) return podcast.episodes;
+    if (catalogRef.current.some((item) => item.id === id)) return catalogRef.current;
+    const playlist = playlistsRef.current.find((p) => p.items.some((item) => item.id === id));
+    return playlist ? playlist.items : catalogRef.current;
+  }, []);
+
+  // Everything the user can search for: catalog, podcast episodes and playlist items (unique by id)
+  const getSearchableItems = useCallback(() => {
+    const seen = new Set();
+    return [
+      ...catalogRef.current,
+      ...allEpisodes(podcastsRef.current),
+      ...playlistsRef.current.flatMap((playlist) => playlist.items),
+    ].filter((item) => {
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  }, []);
+
+  // Persist the play context and position so the car can resume here after an app restart
+  const persistPlaybackSession = useCallback(async (position) => {
+    const track = currentTrackRef.current;
+    if (!track) return;
+    lastSessionSaveRef.current = Date.now();
+    const currentPosition = position ?? (await TrackPlayer.getProgress().catch(() => null))?.position;
+    await savePlaybackSession(queueRef.current, track.id, currentPosition, { keyFor: profiles.keyFor });
+  }, []);
+
+  // Sync our MediaBrowserService MediaSession so Android Auto sees us as the active media source.
+  // Built from the state player events last reported; carSync coalesces calls within a frame and
+  // skips updates the head unit can extrapolate. `position` overrides the reported position
+  // (right after a seek it may still be stale) and is always sent.
+  const syncMediaSessionState = useCallback(({ position } = {}) => {
+    const track = currentTrackRef.current;
+    const errorMessage = playbackErrorRef.current;
+    return carSync.updateMediaPlaybackState({
+      state: errorMessage ? 'error' : playbackStateToString(playerStateRef.current),
+      position: position ?? progressRef.current.position,
+      duration: progressRef.current.duration,
+      // The head unit extrapolates the position between updates at this rate
+      playbackSpeed: playbackRateRef.current,
+      title: track?.title,
+      artist: track?.artist,
+      artworkUri: track ? artworkCache.peek(track.artworkUri, ArtworkSize.NowPlaying) : undefined,
+      errorMessage: errorMessage ?? undefined,
+      customActions: track
+        ? [
+          { action: SPEED_ACTION, name: `Speed ${formatSpeed(playbackRateRef.current)}` },
+          { action: FAVORITE_ACTION, name: ratings.isFavorite(track.id) ? '♥ Favorited' : '♡ Favorite' },
+          { action: DISLIKE_ACTION, name: '👎 Not for me' },
+        ]
+        : [],
+    }, { force: position !== undefined });
+  }, []);
+
+  const setPlaybackErrorMessage = useCallback((message) => {
+    playbackErrorRef.current = message;
+    setPlaybackError(message);
+  }, []);
+
+  const applyPlaybackRate = useCallback(async (rate) => {
+    playbackRateRef.current = rate;
+    setPlaybackRate(rate);
     try {
-      const [state, progress] = await Promise.all([TrackPlayer.getPlaybackState(), TrackPlayer.getProgress()]);
-      const track = currentTrackRef.current;
-      await CarProjection.updateMediaPlaybackState({
-        state: playbackStateToString(state?.state),
-        position: progress?.position ?? 0,
-        duration: progress?.duration ?? 0,
-        title: track?.title,
-        artist: track?.artist,
-      });
-    } catch (e) {
-      // ignore if module or TrackPlayer not ready
+      await TrackPlayer.setRate(rate);
+    } catch (error) {
+      playerLog.warn('Error setting playback rate', { rate, error });
+    }
+    syncMediaSessionState();
+  }, [syncMediaSessionState]);
+
+  // Step to the next speed (phone button, car pane action, media-session custom action)
+  // and remember it for the current item and its collection
+  const cyclePlaybackSpeed = useCallback(async () => {
+    const track = currentTrackRef.current;
+    if (!track) return;
+    const rate = nextSpeed(playbackRateRef.current);
+    playerLog.info('Playback speed changed', { id: track.id, rate });
+    await applyPlaybackRate(rate);
+    await speedMemory.remember(track, rate);
+  }, [applyPlaybackRate]);
+
+  const toggleFavoriteCurrent = useCallback(() => {
+    const track = currentTrackRef.current;
+    if (!track) return;
+    playerLog.info('Favorite toggled', { id: track.id, favorite: !ratings.isFavorite(track.id) });
+    ratings.toggleFavorite(track);
+  }, []);
+
+  // Thumbs-down from the car: rate it and move on to the next item that isn't excluded
+  const dislikeCurrent = useCallback(async () => {
+    const track = currentTrackRef.current;
+    if (!track) return;
+    playerLog.info('Disliked', { id: track.id });
+    await ratings.setRating(track, Rating.Dislike);
+    const queue = queueRef.current;
+    const currentIndex = queue.findIndex((item) => item.id === track.id);
+    const nextIndex = queue.findIndex((item, index) => index > currentIndex && !isExcludedFromQueue(item.id));
+    try {
+      if (currentIndex >= 0 && nextIndex >= 0) {
+        await TrackPlayer.skip(nextIndex);
+        await TrackPlayer.play();
+      } else {
+        await TrackPlayer.pause();
+      }
+    } catch (error) {
+      playerLog.error('Error skipping disliked item', { error });
     }
   }, []);
 
   // Initialize track player and load recently played
   useEffect(() => {
-    console.log('[App] useEffect for track player starting...');
-    
     let playbackStateListener = null;
     let trackChangedListener = null;
     let progressListener = null;
+    let playbackErrorListener = null;
     
     const init = async () => {
       try {
-        console.log('[App] Starting init...');
+        playerLog.debug('Starting init');
         const ready = await setupPlayer();
-        console.log('[App] Setup player returned:', ready);
+        playerLog.debug('Setup player returned', { ready });
         setIsPlayerReady(ready);
+        await loadLibrary();
+        await loadStoredPlaylists();
+        await profiles.load();
         await loadRecentlyPlayed();
-        console.log('[App] Init complete');
+        await speedMemory.load();
+        playerLog.debug('Init complete');
         
         // Listen to track player events (after setup)
         playbackStateListener = TrackPlayer.addEventListener(
           Event.PlaybackState,
           (event) => {
-            console.log('[App] Playback state changed:', event.state);
+            playerLog.debug('Playback state changed', { state: event.state });
             const playing = event.state === State.Playing;
+            playerStateRef.current = event.state;
             setIsPlaying(playing);
             isPlayingRef.current = playing;
 
-            if (currentTrackRef.current) {
-              updateNowPlayingScreen(currentTrackRef.current, playing);
+            if (playing) {
+              // Recovered (or a skip landed on a working item)
+              setPlaybackErrorMessage(null);
+              if (currentTrackRef.current) errorRecovery.onPlaying(currentTrackRef.current.id);
+            }
+            if (event.state === State.Paused) {
+              persistPlaybackSession();
             }
             syncMediaSessionState();
           }
@@ -146,13 +460,26 @@ export default function App() {
         trackChangedListener = TrackPlayer.addEventListener(
           Event.PlaybackActiveTrackChanged,
           async (event) => {
-            console.log('[App] Active track changed:', event);
+            playerLog.debug('Active track changed', { id: event.track?.id, index: event.index });
             if (event.track) {
-              const track = mediaItems.find(item => item.id === event.track.id);
+              const track = findMediaItem(event.track.id);
               if (track) {
+                // Fires both for explicit plays and when the queue advances (Next/Previous/track end)
                 setCurrentTrack(track);
                 currentTrackRef.current = track;
+                progressRef.current = { position: 0, duration: track.duration ?? 0 };
+                applyPlaybackRate(speedMemory.speedFor(track));
+                downloadManager.touch(track.id);
+                addToRecentlyPlayed(track);
+                carRouter.render(CarRoute.RecentlyPlayed);
+                carRouter.render(CarRoute.UpNext);
+                persistPlaybackSession();
                 syncMediaSessionState();
+                TrackPlayer.updateOptions(playerOptions(skipIntervalsFor(track))).catch(() => {});
+                // Re-sync once the cover is cached (immediate if it already is)
+                artworkCache.get(track.artworkUri, ArtworkSize.NowPlaying).then(() => {
+                  if (currentTrackRef.current?.id === track.id) syncMediaSessionState();
+                });
               }
             }
           }
@@ -163,17 +490,24 @@ export default function App() {
           Event.PlaybackProgressUpdated,
           (event) => {
             setProgress({ position: event.position, duration: event.duration });
+            progressRef.current = { position: event.position, duration: event.duration };
+            if (isPlayingRef.current && Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL_MS) {
+              persistPlaybackSession(event.position);
+            }
             syncMediaSessionState();
           }
         );
         
-        TrackPlayer.addEventListener(Event.PlaybackError, (event) => {
-          console.log('[App] Playback error:', event?.message || event?.code || event);
+        playbackErrorListener = TrackPlayer.addEventListener(Event.PlaybackError, (event) => {
+          playerLog.warn('Playback error', { code: event?.code, message: event?.message });
+          if (currentTrackRef.current) {
+            handlePlaybackError(currentTrackRef.current, event);
+          }
         });
         
-        console.log('[App] Event listeners set up');
+        playerLog.debug('Event listeners set up');
       } catch (error) {
-        console.log('[App] Error during init:', error.message || error);
+        playerLog.error('Error during init', { error });
       }
     };
     
@@ -183,412 +517,866 @@ export default function App() {
       if (playbackStateListener) playbackStateListener.remove();
       if (trackChangedListener) trackChangedListener.remove();
       if (progressListener) progressListener.remove();
+      if (playbackErrorListener) playbackErrorListener.remove();
+      clearTimeout(retryTimerRef.current);
     };
-  }, [syncMediaSessionState]);
+  }, [syncMediaSessionState, findMediaItem, persistPlaybackSession, setPlaybackErrorMessage, applyPlaybackRate]);
 
-  const loadRecentlyPlayed = async () => {
+  // Keep the car's position and the saved session in step with every seek (car, phone or service)
+  useEffect(() => {
+    const sub = addSeekListener((position) => {
+      setProgress((prev) => ({ ...prev, position }));
+      progressRef.current = { ...progressRef.current, position };
+      syncMediaSessionState({ position });
+      persistPlaybackSession(position);
+    });
+    return () => sub.remove();
+  }, [syncMediaSessionState, persistPlaybackSession]);
+
+  const loadLibrary = async () => {
     try {
-      const stored = await AsyncStorage.getItem(RECENTLY_PLAYED_KEY);
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        setRecentlyPlayed(parsed);
-        recentlyPlayedRef.current = parsed;
-      }
+      const { items, source, fromCache } = await loadCatalog(catalogProvider);
+      libraryLog.info('Catalog loaded', { count: items.length, source, fromCache });
+      setCatalog(items);
+      catalogRef.current = items;
     } catch (error) {
-      console.log('[App] Error loading recently played:', error);
+      libraryLog.error('Error loading catalog', { error });
     }
   };
 
-  const saveRecentlyPlayed = async (items) => {
-    try {
-      await AsyncStorage.setItem(RECENTLY_PLAYED_KEY, JSON.stringify(items));
-    } catch (error) {
-      console.log('[App] Error saving recently played:', error);
-    }
+  const loadStoredPlaylists = async () => {
+    const stored = await loadPlaylists();
+    setPlaylists(stored);
+    playlistsRef.current = stored;
+    carRouter.render(CarRoute.Playlists);
+    carRouter.refresh(CarRoute.PlaylistItems);
+  };
+
+  // Look the stored ids up again; an item resolved earlier this session stays listed even
+  // once it's no longer in any loaded collection (e.g. a search result)
+  const showRecentlyPlayed = useCallback(() => {
+    const previous = recentlyPlayedRef.current;
+    const items = resolveRecentlyPlayed(
+      recentlyPlayedIdsRef.current,
+      (id) => findMediaItem(id) || previous.find((item) => item.id === id),
+    );
+    setRecentlyPlayed(items);
+    recentlyPlayedRef.current = items;
+  }, [findMediaItem]);
+
+  const loadRecentlyPlayed = async () => {
+    recentlyPlayedIdsRef.current = await recentlyPlayedStore.load();
+    recentlyPlayedRef.current = [];
+    showRecentlyPlayed();
   };
 
   const addToRecentlyPlayed = useCallback((track) => {
-    setRecentlyPlayed((prev) => {
-      // Remove if already exists, then add to front
-      const filtered = prev.filter((item) => item.id !== track.id);
-      const updated = [track, ...filtered].slice(0, MAX_RECENT_ITEMS);
-      recentlyPlayedRef.current = updated;
-      saveRecentlyPlayed(updated);
-      return updated;
-    });
-  }, []);
+    recentlyPlayedIdsRef.current = addRecentId(recentlyPlayedIdsRef.current, track.id);
+    recentlyPlayedStore.save(recentlyPlayedIdsRef.current);
+    showRecentlyPlayed();
+  }, [showRecentlyPlayed]);
+
+  // Make another listener profile active (phone header, car Profiles screen) and load its
+  // recently played list, ratings and speeds. Resolves to false if nothing changed.
+  const switchProfile = useCallback(async (id) => {
+    if (!(await profiles.switchTo(id))) return false;
+    storageLog.info('Listener profile switched', { id });
+    await Promise.all([loadRecentlyPlayed(), ratings.load(), speedMemory.load()]);
+    carRouter.render(CarRoute.RecentlyPlayed);
+    if (currentTrackRef.current) {
+      await applyPlaybackRate(speedMemory.speedFor(currentTrackRef.current));
+    }
+    return true;
+  }, [applyPlaybackRate]);
+
+  // Car route builders (see the route table below). Each reads refs, so rendering a route
+  // again picks up current data.
 
-  // Update the Recently Played screen in Android Auto (secondary screen)
-  const updateRecentlyPlayedScreen = useCallback(() => {
+  // Recently Played screen in Android Auto (secondary screen)
+  const buildRecentlyPlayedTemplate = useCallback(() => {
     const recent = recentlyPlayedRef.current;
     
     if (recent.length === 0) {
       // Show "Nothing recently played" message
-      CarProjection.registerScreen({
-        name: 'recentlyPlayed',
-        template: createMessageTemplate({
-          title: 'Recently Played',
-          message: 'Nothing recently played.\n\nSelect something from the media library on your phone to start listening.',
-          headerAction: {
-            title: 'Back',
-            onPress: () => {
-              CarProjection.popScreen();
-            },
+      return createMessageTemplate({
+        title: 'Recently Played',
+        message: 'Nothing recently played.\n\nSelect something from the media library on your phone to start listening.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
           },
-        }),
+        },
       });
     } else {
       // Show recently played list
-      CarProjection.registerScreen({
-        name: 'recentlyPlayed',
-        template: createListTemplate({
-          title: 'Recently Played',
-          headerAction: {
-            title: 'Back',
-            onPress: () => {
-              CarProjection.popScreen();
-            },
+      return createListTemplate({
+        title: 'Recently Played',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
+          },
+        },
+        items: recent.map((item) => ({
+          title: item.title,
+          texts: [item.artist || 'Unknown Artist'],
+          onPress: () => {
+            carLog.info('Selected recent track', { id: item.id });
+            playTrack(item, true, recent);
           },
-          items: recent.map((item) => ({
-            title: item.title,
-            texts: [item.artist || 'Unknown Artist'],
-            onPress: () => {
-              console.log('[App] Android Auto: Selected recent track:', item.title);
-              playTrack(item, true);
-            },
-          })),
-        }),
+        })),
       });
     }
   }, []);
 
-  // Update the main Now Playing screen in Android Auto (this is the root screen)
-  const updateNowPlayingScreen = useCallback((track, playing) => {
-    if (!track) {
-      // No track - show blank state with "Recently Played" button
-      CarProjection.registerScreen({
-        name: 'main',
-        template: createPaneTemplate({
-          title: 'Now Playing',
-          actionStrip: [
-            {
-              title: 'Recently Played',
-              onPress: () => {
-                console.log('[App] Navigate to Recently Played');
-                CarProjection.navigateToScreen('recentlyPlayed');
-              },
-            },
-          ],
-          rows: [
-            {
-              title: 'No track playing',
-              texts: ['Select something from Recently Played to start listening'],
-            },
-          ],
-          actions: [],
-        }),
+  // Up Next screen in Android Auto: the current play context, tap an entry to jump to it
+  const buildUpNextTemplate = useCallback(() => {
+    const queue = queueRef.current;
+    const currentId = currentTrackRef.current?.id;
+
+    if (queue.length === 0) {
+      return createMessageTemplate({
+        title: 'Up Next',
+        message: 'Nothing queued.\n\nPlay something from Recently Played or the media library on your phone.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
+          },
+        },
+      });
+    }
+
+    return createListTemplate({
+      title: 'Up Next',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: queue.map((item, index) => ({
+        title: item.id === currentId ? `▶ ${item.title}` : item.title,
+        texts: [item.artist || 'Unknown Artist'],
+        onPress: () => {
+          carLog.info('Jump to queued track', { id: item.id });
+          (async () => {
+            try {
+              await TrackPlayer.skip(index);
+              await TrackPlayer.play();
+              carRouter.popToRoot();
+            } catch (error) {
+              playerLog.error('Error skipping to queued track', { id: item.id, error });
+            }
+          })();
+        },
+      })),
+    });
+  }, []);
+
+  // Episodes of one podcast in Android Auto (rendered on demand when a show is picked)
+  const buildPodcastEpisodesTemplate = useCallback(({ showId }) => {
+    const podcast = podcastsRef.current.find((entry) => entry.show.id === showId);
+    if (!podcast) {
+      return createMessageTemplate({
+        title: 'Podcasts',
+        message: 'This show is no longer available.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
+          },
+        },
+      });
+    }
+
+    const { show, episodes } = podcast;
+    return createListTemplate({
+      title: show.title,
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: episodes.map((episode) => ({
+        title: episode.title,
+        texts: [episode.publishedAt ? new Date(episode.publishedAt).toLocaleDateString() : show.title],
+        onPress: () => {
+          carLog.info('Selected episode', { id: episode.id });
+          playTrack(episode, true, episodes);
+        },
+      })),
+    });
+  }, []);
+
+  // Podcasts screen in Android Auto: one row per show, tap to see its episodes
+  const buildPodcastsTemplate = useCallback(() => {
+    const shows = podcastsRef.current;
+    if (shows.length === 0) {
+      return createMessageTemplate({
+        title: 'Podcasts',
+        message: 'No podcasts yet.\n\nFeeds are still loading or could not be reached.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
+          },
+        },
       });
-      return;
     }
 
-    const statusIcon = playing ? '▶' : '⏸';
-    const statusText = playing ? 'Now Playing' : 'Paused';
-
-    CarProjection.registerScreen({
-      name: 'main',
-      template: createPaneTemplate({
-        title: `${statusIcon} ${statusText}`,
-        actionStrip: [
-          {
-            title: 'Recently Played',
-            onPress: () => {
-              console.log('[App] Navigate to Recently Played');
-              CarProjection.navigateToScreen('recentlyPlayed');
-            },
+    return createListTemplate({
+      title: 'Podcasts',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: shows.map((podcast) => ({
+        title: podcast.show.title,
+        texts: [`${podcast.episodes.length} episodes`],
+        onPress: () => carRouter.navigate(CarRoute.PodcastEpisodes, { showId: podcast.show.id }),
+      })),
+    });
+  }, []);
+
+  // Items of one imported playlist in Android Auto (rendered on demand when picked)
+  const buildPlaylistItemsTemplate = useCallback(({ playlistId }) => {
+    const playlist = playlistsRef.current.find((entry) => entry.id === playlistId);
+    if (!playlist) {
+      return createMessageTemplate({
+        title: 'Playlists',
+        message: 'This playlist is no longer available.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
           },
-        ],
-        rows: [
-          {
-            title: track.title,
-            texts: [track.artist || 'Unknown Artist'],
+        },
+      });
+    }
+
+    return createListTemplate({
+      title: playlist.name,
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: playlist.items.map((item) => ({
+        title: item.title,
+        texts: [item.artist || 'Unknown Artist'],
+        onPress: () => {
+          carLog.info('Selected playlist item', { id: item.id, playlistId: playlist.id });
+          playTrack(item, true, playlist.items);
+        },
+      })),
+    });
+  }, []);
+
+  // Playlists screen in Android Auto: one row per imported playlist
+  const buildPlaylistsTemplate = useCallback(() => {
+    const imported = playlistsRef.current;
+    if (imported.length === 0) {
+      return createMessageTemplate({
+        title: 'Playlists',
+        message: 'No playlists yet.\n\nImport an M3U or PLS playlist on your phone.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
           },
-          {
-            title: playing ? 'Status: Playing' : 'Status: Paused',
-            texts: ['Tap Play/Pause to control playback'],
+        },
+      });
+    }
+
+    return createListTemplate({
+      title: 'Playlists',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: imported.map((playlist) => ({
+        title: playlist.name,
+        texts: [`${playlist.items.length} items`],
+        onPress: () => carRouter.navigate(CarRoute.PlaylistItems, { playlistId: playlist.id }),
+      })),
+    });
+  }, []);
+
+  // Downloaded screen in Android Auto: items with a local copy, playable without coverage
+  const buildDownloadedTemplate = useCallback(() => {
+    const downloaded = downloadManager.completedItems();
+    if (downloaded.length === 0) {
+      return createMessageTemplate({
+        title: 'Downloaded',
+        message: 'Nothing downloaded.\n\nDownload items on your phone to listen without coverage.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
           },
-        ],
-        actions: [
-          {
-            title: playing ? '⏸ Pause' : '▶ Play',
-            onPress: () => {
-              if (isPlayingRef.current) {
-                pauseTrack();
-              } else {
-                resumeTrack();
-              }
-            },
+        },
+      });
+    }
+
+    return createListTemplate({
+      title: 'Downloaded',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: downloaded.map((item) => ({
+        title: item.title,
+        texts: [item.artist || 'Unknown Artist'],
+        onPress: () => {
+          carLog.info('Selected downloaded item', { id: item.id });
+          playTrack(item, true, downloaded);
+        },
+      })),
+    });
+  }, []);
+
+  // Favorites screen in Android Auto: liked items, most recent first
+  const buildFavoritesTemplate = useCallback(() => {
+    const favorites = ratings.favorites();
+    if (favorites.length === 0) {
+      return createMessageTemplate({
+        title: 'Favorites',
+        message: 'No favorites yet.\n\nUse ♡ on the Now Playing screen to add the current item.',
+        headerAction: {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
           },
-          {
-            title: '⏹ Stop',
-            onPress: () => {
-              stopTrack();
-            },
+        },
+      });
+    }
+
+    return createListTemplate({
+      title: 'Favorites',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: favorites.map((item) => ({
+        title: item.title,
+        texts: [item.artist || 'Unknown Artist'],
+        onPress: () => {
+          carLog.info('Selected favorite', { id: item.id });
+          playTrack(item, true, favorites);
+        },
+      })),
+    });
+  }, []);
+
+  // Library screen in Android Auto: entry point for browsable collections
+  const buildLibraryTemplate = useCallback(() => {
+    return createListTemplate({
+      title: 'Library',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: [
+        {
+          title: 'Recently Played',
+          texts: ['What you listened to last'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.RecentlyPlayed);
+          },
+        },
+        {
+          title: 'Up Next',
+          texts: ['The rest of the queue'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.UpNext);
+          },
+        },
+        {
+          title: 'Sleep Timer',
+          texts: ['Stop playback after a while'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.SleepTimer);
+          },
+        },
+        {
+          title: 'Favorites',
+          texts: ['Items you liked'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.Favorites);
+          },
+        },
+        {
+          title: 'Podcasts',
+          texts: ['Shows and latest episodes'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.Podcasts);
           },
-        ],
-      }),
+        },
+        {
+          title: 'Playlists',
+          texts: ['Imported M3U and PLS playlists'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.Playlists);
+          },
+        },
+        {
+          title: 'Downloaded',
+          texts: ['Available offline'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.Downloaded);
+          },
+        },
+        {
+          title: `Listener: ${profiles.active().name}`,
+          texts: ['Switch profile'],
+          onPress: () => {
+            carRouter.navigate(CarRoute.Profiles);
+          },
+        },
+      ],
     });
   }, []);
 
-  // Play a track using TrackPlayer
-  const playTrack = useCallback(async (track, fromAndroidAuto = false) => {
-    console.log('[App] Playing track:', track.title);
-    console.log('[App] Player ready:', isPlayerReady);
-    console.log('[App] Track URL:', track.mediaUri);
-    
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/c51db15d-5c6e-4bc6-b2eb-6028cf8cb2e7',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'App.js:308',message:'playTrack called',data:{trackTitle:track.title,fromAndroidAuto,isPlayerReady},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'D'})}).catch(()=>{});
-    // #endregion
-    
+  // Sleep Timer screen in Android Auto: durations, end of track, and cancel when armed
+  const buildSleepTimerTemplate = useCallback(() => {
+    const active = sleepTimerRef.current;
+    const startTimer = (option) => {
+      sleepTimer.start(option)
+        .then(() => carRouter.pop())
+        .catch((e) => playerLog.warn('Error starting sleep timer', { error: e }));
+    };
+    return createListTemplate({
+      title: 'Sleep Timer',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: [
+        ...(active ? [{
+          title: 'Cancel timer',
+          texts: [sleepTimerCarLabel(active)],
+          onPress: () => {
+            sleepTimer.cancel().then(() => carRouter.pop());
+          },
+        }] : []),
+        ...SLEEP_TIMER_OPTIONS.map((option) => ({
+          title: option.label,
+          texts: [option.endOfTrack ? 'Pause when the current item ends' : `Pause in ${option.minutes} minutes`],
+          onPress: () => {
+            carLog.info('Sleep timer selected', { option: option.label });
+            startTimer(option);
+          },
+        })),
+      ],
+    });
+  }, []);
+
+  // Profiles screen in Android Auto: every listener profile, the active one checked
+  const buildProfilesTemplate = useCallback(() => {
+    const activeId = profiles.active().id;
+    return createListTemplate({
+      title: 'Listener',
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      items: profiles.profiles().map((profile) => ({
+        title: profile.id === activeId ? `✓ ${profile.name}` : profile.name,
+        texts: [profile.id === activeId ? 'Active' : 'Switch to this profile'],
+        onPress: () => {
+          carLog.info('Profile selected', { id: profile.id });
+          switchProfile(profile.id)
+            .then(() => carRouter.pop())
+            .catch((e) => storageLog.warn('Error switching profile', { error: e }));
+        },
+      })),
+    });
+  }, [switchProfile]);
+
+  // Playback error in Android Auto with Retry and Back actions
+  const buildPlaybackErrorTemplate = useCallback(({ track, message }) => {
+    return createMessageTemplate({
+      title: 'Playback error',
+      message: `Couldn't play "${track.title}".\n\n${message}`,
+      headerAction: {
+        title: 'Back',
+        onPress: () => {
+          carRouter.pop();
+        },
+      },
+      actions: [
+        {
+          title: 'Retry',
+          onPress: () => {
+            carLog.info('Retry after error', { id: track.id });
+            errorRecovery.clear(track.id);
+            playTrack(track, true, queueRef.current.length > 0 ? queueRef.current : [track]);
+          },
+        },
+        {
+          title: 'Back',
+          onPress: () => {
+            carRouter.pop();
+          },
+        },
+      ],
+    });
+  }, []);
+
+  // Recover from a playback error on `track`: network errors are retried with backoff; otherwise,
+  // or once retries run out, skip to the next playable item in the queue. If nothing is left,
+  // report the error to the car.
+  const handlePlaybackError = useCallback(async (track, error) => {
+    const decision = errorRecovery.onError(track.id, error);
+    setPlaybackErrorMessage(describePlaybackError(error));
+    syncMediaSessionState();
+
+    if (decision.action === 'retry') {
+      playerLog.info('Retrying after error', { id: track.id, delayMs: decision.delayMs, attempt: decision.attempt });
+      clearTimeout(retryTimerRef.current);
+      retryTimerRef.current = setTimeout(() => {
+        if (currentTrackRef.current?.id !== track.id) return;
+        TrackPlayer.retry().catch((e) => handlePlaybackError(track, e));
+      }, decision.delayMs);
+      return;
+    }
+
+    playerLog.warn('Giving up on track', { id: track.id, reason: decision.message });
+    const queue = queueRef.current;
+    const currentIndex = queue.findIndex((item) => item.id === track.id);
+    const nextIndex = queue.findIndex((item, index) => index > currentIndex && !isExcludedFromQueue(item.id));
+    if (currentIndex >= 0 && nextIndex >= 0) {
+      try {
+        playerLog.info('Skipping to next playable item', { id: queue[nextIndex].id });
+        await TrackPlayer.skip(nextIndex);
+        await TrackPlayer.play();
+        return;
+      } catch (e) {
+        playerLog.error('Error skipping past failed item', { error: e });
+      }
+    }
+    carRouter.navigate(CarRoute.PlaybackError, { track, message: decision.message });
+  }, [syncMediaSessionState, setPlaybackErrorMessage]);
+
+  // Play a track using TrackPlayer. `context` is the list it was picked from; the whole
+  // list is queued so Next/Previous (car, notification, phone) move through it.
+  const playTrack = useCallback(async (track, fromAndroidAuto = false, context = [track]) => {
+    playerLog.info('Playing track', { id: track.id, fromAndroidAuto, isPlayerReady });
+
     if (!isPlayerReady) {
-      console.log('[App] Player not ready yet, setting up...');
+      playerLog.debug('Player not ready yet, setting up');
       await setupPlayer();
     }
     
     try {
-      console.log('[App] Resetting player...');
-      await TrackPlayer.reset();
+      clearTimeout(retryTimerRef.current);
+      setPlaybackErrorMessage(null);
+      const { queue, startIndex } = buildPlayContext(context, track.id, isExcludedFromQueue);
+      playerLog.debug('Loading queue', { length: queue.length, startIndex });
+      // Set before loading so the active-track listener can resolve queued items
+      queueRef.current = queue;
+      await loadQueue(queue, startIndex, resolveMediaUri);
       
-      console.log('[App] Adding track to queue...');
-      await TrackPlayer.add({
-        id: track.id,
-        url: track.mediaUri,
-        title: track.title,
-        artist: track.artist || 'Unknown Artist',
-        artwork: track.artworkUri,
-      });
-      
-      console.log('[App] Starting playback...');
       await TrackPlayer.play();
-      console.log('[App] Playback started successfully');
-      
-      // #region agent log
-      const stateAfterPlay = await TrackPlayer.getPlaybackState();
-      fetch('http://127.0.0.1:7246/ingest/c51db15d-5c6e-4bc6-b2eb-6028cf8cb2e7',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'App.js:340',message:'playTrack - after TrackPlayer.play()',data:{trackTitle:track.title,stateAfterPlay:stateAfterPlay?.state},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'D'})}).catch(()=>{});
-      // #endregion
-      
+      playerLog.debug('Playback started');
+
       setCurrentTrack(track);
       currentTrackRef.current = track;
 
-      // Add to recently played
-      addToRecentlyPlayed(track);
+      // Recently Played is updated by the PlaybackActiveTrackChanged listener,
+      // which also covers the queue advancing on its own.
 
       // Update Android Auto screens
-      updateNowPlayingScreen(track, true);
-      updateRecentlyPlayedScreen();
+      carRouter.render(CarRoute.UpNext);
 
       // Go back to main (Now Playing) screen if selected from Android Auto
       if (fromAndroidAuto) {
-        CarProjection.popToRoot();
+        carRouter.popToRoot();
       }
     } catch (error) {
-      console.log('[App] Error playing track:', error.message || error);
-      console.log('[App] Error stack:', error.stack);
+      playerLog.error('Error playing track', { id: track.id, error });
+      handlePlaybackError(track, error);
     }
-  }, [isPlayerReady, addToRecentlyPlayed, updateRecentlyPlayedScreen, updateNowPlayingScreen]);
+  }, [isPlayerReady, setPlaybackErrorMessage, handlePlaybackError]);
 
   // Pause playback
   const pauseTrack = useCallback(async () => {
-    console.log('[App] Pausing');
+    playerLog.debug('Pausing');
     try {
       await TrackPlayer.pause();
-      if (currentTrackRef.current) {
-        updateNowPlayingScreen(currentTrackRef.current, false);
-      }
     } catch (error) {
-      console.error('[App] Error pausing:', error);
+      playerLog.error('Error pausing', { error });
     }
-  }, [updateNowPlayingScreen]);
+  }, []);
 
   // Resume playback
   const resumeTrack = useCallback(async () => {
-    console.log('[App] Resuming');
+    playerLog.debug('Resuming');
     try {
       await TrackPlayer.play();
-      if (currentTrackRef.current) {
-        updateNowPlayingScreen(currentTrackRef.current, true);
-      }
     } catch (error) {
-      console.error('[App] Error resuming:', error);
+      playerLog.error('Error resuming', { error });
     }
-  }, [updateNowPlayingScreen]);
+  }, []);
 
   // Stop playback
   const stopTrack = useCallback(async () => {
-    console.log('[App] Stopping');
+    playerLog.debug('Stopping');
     try {
       await TrackPlayer.stop();
       await TrackPlayer.reset();
       
       setCurrentTrack(null);
       currentTrackRef.current = null;
+      queueRef.current = [];
       setIsPlaying(false);
       isPlayingRef.current = false;
+      // An explicit stop ends the session; don't resume it on next launch
+      clearPlaybackSession({ keyFor: profiles.keyFor });
       
-      // Update main screen to show blank state
-      updateNowPlayingScreen(null, false);
+      carRouter.render(CarRoute.UpNext);
     } catch (error) {
-      console.error('[App] Error stopping:', error);
+      playerLog.error('Error stopping', { error });
     }
-  }, [updateNowPlayingScreen]);
+  }, []);
+
+  // Restore the play context saved before the app was last killed and start playing it.
+  // Resolves to false when there is nothing to restore.
+  const resumeSavedSession = useCallback(async () => {
+    await profiles.load();
+    const session = await loadPlaybackSession({ keyFor: profiles.keyFor });
+    if (!session) return false;
+    playerLog.info('Restoring saved playback session', { id: session.activeId, position: session.position });
+    // Set before loading so the active-track listener can resolve queued items
+    queueRef.current = session.queue;
+    const { track } = await restorePlaybackSession(session, resolveMediaUri);
+    setCurrentTrack(track);
+    currentTrackRef.current = track;
+    await TrackPlayer.play();
+    setIsPlaying(true);
+    isPlayingRef.current = true;
+    carRouter.render(CarRoute.UpNext);
+    carRouter.popToRoot();
+    return true;
+  }, []);
 
   // Initialize Android Auto screens
   useEffect(() => {
-    // IMPORTANT: Register "main" screen FIRST so it's the root screen
-    // Register the main screen (Now Playing) - this is the root screen
-    // Start with blank state (no track)
-    updateNowPlayingScreen(null, false);
-    
+    // The root "main" screen (Now Playing) is registered by its CarScreen below, whose
+    // effect runs before this one, so it stays the first screen registered.
+
     // Register the Recently Played screen (secondary screen)
-    updateRecentlyPlayedScreen();
+    carRouter.render(CarRoute.RecentlyPlayed);
+
+    // Register the Up Next screen (current play context)
+    carRouter.render(CarRoute.UpNext);
+
+    // Register the Library screens (collections such as Podcasts)
+    carRouter.render(CarRoute.Library);
+    carRouter.render(CarRoute.Podcasts);
+    carRouter.render(CarRoute.Playlists);
+    carRouter.render(CarRoute.Downloaded);
+    carRouter.render(CarRoute.Favorites);
+    carRouter.render(CarRoute.SleepTimer);
+
+    // Listener APIs that not every react-native-car-projection build has (search, seek,
+    // custom actions): subscribe only when the module provides them, so a missing one can't
+    // stop the listeners after it from being registered
+    const addOptionalListener = (method, listener) => (
+      typeof CarProjection[method] === 'function' ? CarProjection[method](listener) : null
+    );
+
+    // Car App session starts and MediaBrowser binds both go through one connection machine:
+    // it restarts playback so audio routes to the car, and ignores a second connect while one
+    // is in flight. See src/car/carConnection.js for the states.
+    const carConnection = createCarConnection({
+      player: trackPlayerAdapter(TrackPlayer, Event, State),
+      onStateChange: (state, { source, error }) => {
+        carLog.info('Car connection state', { source: source ?? 'app', state, error });
+        setCarConnectionState(state);
+      },
+      // Nothing loaded: resume where the user left off, else auto-play the first recently played
+      onIdle: async (source) => {
+        const next = firstAutoPlayable(recentlyPlayedRef.current);
+        if (await resumeSavedSession()) {
+          carLog.info('Restored saved playback session on connect', { source });
+        } else if (next) {
+          carLog.info('No track on connect, auto-playing first recently played', { source });
+          await playTrack(next, true, recentlyPlayedRef.current);
+        }
+      },
+    });
+
+    const connectCar = async (source) => {
+      setIsConnected(true);
+      // Sync first so the car sees our session state while routing
+      await syncMediaSessionState();
+      const { state, activeTrack } = await carConnection.connect(source);
+      const mediaTrack = activeTrack ? findMediaItem(activeTrack.id) : null;
+      if (mediaTrack) {
+        const playing = state === ConnectionState.Routed;
+        setCurrentTrack(mediaTrack);
+        currentTrackRef.current = mediaTrack;
+        setIsPlaying(playing);
+        isPlayingRef.current = playing;
+      }
+      carRouter.render(CarRoute.RecentlyPlayed);
+      await syncMediaSessionState();
+    };
 
     // With mediaOnly: true the Car App Service is not in the manifest, so this never fires.
     // Connection is via MediaBrowser only → onMediaBrowserConnected below.
     const sessionStartedSub = CarProjection.addSessionStartedListener(() => {
-      console.log('[App] Android Auto session started (user opened app on DHU)');
-      setIsConnected(true);
-
-      (async () => {
-        try {
-          const activeTrack = await TrackPlayer.getActiveTrack();
-          const state = await TrackPlayer.getPlaybackState();
-          const mediaTrack = activeTrack ? mediaItems.find(item => item.id === activeTrack.id) : null;
-          const wasPlaying = state?.state === State.Playing;
-
-          if (activeTrack && mediaTrack) {
-            setCurrentTrack(mediaTrack);
-            currentTrackRef.current = mediaTrack;
-
-            if (wasPlaying) {
-              // Was playing on phone: restart to route audio to car (pause → wait → resume).
-              const currentPosition = await TrackPlayer.getProgress();
-              await TrackPlayer.pause();
-              await new Promise((r) => setTimeout(r, 2000));
-              if (currentPosition?.position > 0) await TrackPlayer.seekTo(currentPosition.position);
-              await TrackPlayer.play();
-              setIsPlaying(true);
-              isPlayingRef.current = true;
-              updateNowPlayingScreen(mediaTrack, true);
-            } else {
-              // Had track but paused: resume so audio plays when they open app on DHU.
-              await TrackPlayer.play();
-              setIsPlaying(true);
-              isPlayingRef.current = true;
-              updateNowPlayingScreen(mediaTrack, true);
-            }
-            updateRecentlyPlayedScreen();
-          } else if (!activeTrack && recentlyPlayedRef.current?.length > 0) {
-            // No track: auto-play first recently played so opening app on DHU starts audio.
-            console.log('[App] AA session started - no track, auto-playing first recently played');
-            const first = recentlyPlayedRef.current[0];
-            playTrack(first, true);
-          } else {
-            updateNowPlayingScreen(null, false);
-            updateRecentlyPlayedScreen();
-          }
-        } catch (error) {
-          console.log('[App] Error on AA session start:', error?.message || error);
-          updateNowPlayingScreen(null, false);
-          updateRecentlyPlayedScreen();
-        }
-      })();
+      carLog.info('Session started');
+      carSync.invalidate();
+      templateQuota.reset();
+      connectCar('session').catch((e) => carLog.warn('Connect on session start failed', { error: e }));
     });
 
     const sessionEndedSub = CarProjection.addSessionEndedListener(() => {
-      console.log('[App] Android Auto session ended');
+      carLog.info('Session ended');
       setIsConnected(false);
-      // Clear any pending audio restart
-      pendingAudioRestartRef.current = null;
+      // Abandon any audio routing still in progress
+      carConnection.disconnect();
+      carRouter.reset();
     });
 
     // When Android Auto connects via MediaBrowser: DHU binds to us and calls onGetRoot.
     // With mediaOnly: true this fires when the user taps our app (no Car App). Same flow as Spotify.
-    // (1) Sync MediaSession so the car sees state; (2) start or resume playback so audio goes to the car.
     const mediaBrowserConnectedSub = CarProjection.addMediaBrowserConnectedListener(() => {
-      console.log('[App] MediaBrowser connected - user selected our app on DHU (or plug-in)');
-      setIsConnected(true);
-      (async () => {
-        try {
-          await syncMediaSessionState();
-
-          const activeTrack = await TrackPlayer.getActiveTrack();
-          const state = await TrackPlayer.getPlaybackState();
-          const wasPlaying = state?.state === State.Playing;
-          const mediaTrack = activeTrack ? mediaItems.find((item) => item.id === activeTrack.id) : null;
-
-          if (activeTrack && mediaTrack) {
-            setCurrentTrack(mediaTrack);
-            currentTrackRef.current = mediaTrack;
-            if (wasPlaying) {
-              console.log('[App] MediaBrowser connect - restarting playback to route audio to car');
-              const progress = await TrackPlayer.getProgress();
-              await TrackPlayer.pause();
-              await new Promise((r) => setTimeout(r, 2000));
-              if (progress?.position > 0) await TrackPlayer.seekTo(progress.position);
-              await TrackPlayer.play();
-              setIsPlaying(true);
-              isPlayingRef.current = true;
-              updateNowPlayingScreen(mediaTrack, true);
-            } else {
-              await TrackPlayer.play();
-              setIsPlaying(true);
-              isPlayingRef.current = true;
-              updateNowPlayingScreen(mediaTrack, true);
-            }
-            updateRecentlyPlayedScreen();
-          } else if (!activeTrack && recentlyPlayedRef.current?.length > 0) {
-            console.log('[App] MediaBrowser connect - no track, auto-playing first recently played');
-            const first = recentlyPlayedRef.current[0];
-            playTrack(first, true);
-          } else {
-            updateNowPlayingScreen(null, false);
-            updateRecentlyPlayedScreen();
-          }
-          await syncMediaSessionState();
-        } catch (e) {
-          console.warn('[App] MediaBrowser connect - failed:', e?.message);
-        }
-      })();
+      carLog.info('MediaBrowser connected');
+      carSync.invalidate();
+      connectCar('mediaBrowser').catch((e) => carLog.warn('Connect on MediaBrowser connect failed', { error: e }));
     });
 
     // Car sent Play (e.g. user taps Play on DHU). Resume or start playback.
     const mediaPlaySub = CarProjection.addMediaPlayListener(() => {
-      console.log('[App] Car sent Play command');
+      carLog.info('Play command');
       (async () => {
         try {
           if (currentTrackRef.current && !isPlayingRef.current) {
             await resumeTrack();
-          } else if (!currentTrackRef.current && recentlyPlayedRef.current?.length > 0) {
-            playTrack(recentlyPlayedRef.current[0], true);
+          } else if (!currentTrackRef.current && !(await resumeSavedSession())) {
+            const next = firstAutoPlayable(recentlyPlayedRef.current);
+            if (next) playTrack(next, true, recentlyPlayedRef.current);
           }
         } catch (e) {
-          console.warn('[App] onMediaPlay handler error:', e?.message);
+          carLog.warn('Play command failed', { error: e });
         }
       })();
     });
 
     const mediaPauseSub = CarProjection.addMediaPauseListener(() => {
-      console.log('[App] Car sent Pause command');
-      pauseTrack().catch((e) => console.warn('[App] onMediaPause error:', e?.message));
+      carLog.info('Pause command');
+      pauseTrack().catch((e) => carLog.warn('Pause command failed', { error: e }));
     });
 
     const mediaStopSub = CarProjection.addMediaStopListener(() => {
-      console.log('[App] Car sent Stop command');
-      stopTrack().catch((e) => console.warn('[App] onMediaStop error:', e?.message));
+      carLog.info('Stop command');
+      stopTrack().catch((e) => carLog.warn('Stop command failed', { error: e }));
+    });
+
+    // Seek bar, fast-forward and rewind from the head unit: same path as the pane actions
+    const mediaSeekToSub = addOptionalListener('addMediaSeekToListener', (event) => {
+      carLog.info('SeekTo command', { position: event.position });
+      seekTo(event.position).catch((e) => carLog.warn('SeekTo command failed', { error: e }));
+    });
+    const mediaFastForwardSub = addOptionalListener('addMediaFastForwardListener', () => {
+      carLog.info('FastForward command');
+      skipBy(skipIntervalsFor(currentTrackRef.current).forward)
+        .catch((e) => carLog.warn('FastForward command failed', { error: e }));
+    });
+    const mediaRewindSub = addOptionalListener('addMediaRewindListener', () => {
+      carLog.info('Rewind command');
+      skipBy(-skipIntervalsFor(currentTrackRef.current).backward)
+        .catch((e) => carLog.warn('Rewind command failed', { error: e }));
+    });
+
+    // Custom actions shown by the head unit next to the transport controls
+    const mediaCustomActionSub = addOptionalListener('addMediaCustomActionListener', (event) => {
+      carLog.info('Custom action', { action: event.action });
+      if (event.action === SPEED_ACTION) {
+        cyclePlaybackSpeed();
+      } else if (event.action === FAVORITE_ACTION) {
+        toggleFavoriteCurrent();
+      } else if (event.action === DISLIKE_ACTION) {
+        dislikeCurrent();
+      }
+    });
+
+    // Car picked a playable item from the browse tree
+    const mediaPlayFromIdSub = CarProjection.addMediaPlayFromIdListener((event) => {
+      carLog.info('PlayFromId command', { mediaId: event.mediaId });
+      const item = findMediaItem(event.mediaId);
+      if (item) {
+        playTrack(item, true, findPlayContext(item.id));
+      }
+    });
+
+    // Voice "Hey Google, play Sintel": play the best match. An empty query ("play something")
+    // plays the most recent item, or resumes the saved session if nothing was played yet.
+    const mediaPlayFromSearchSub = addOptionalListener('addMediaPlayFromSearchListener', (event) => {
+      carLog.info('PlayFromSearch command', { query: event.query, extras: event.extras });
+      (async () => {
+        try {
+          const hints = hintsFromExtras(event.extras);
+          const hasHints = Object.values(hints).some((value) => normalize(value));
+          if (!normalize(event.query) && !hasHints) {
+            const recent = firstAutoPlayable(recentlyPlayedRef.current);
+            if (recent) {
+              playTrack(recent, true, recentlyPlayedRef.current);
+            } else if (!(await resumeSavedSession())) {
+              const first = firstAutoPlayable(catalogRef.current);
+              if (first) playTrack(first, true, catalogRef.current);
+            }
+            return;
+          }
+          const [best] = searchMedia(getSearchableItems(), event.query, hints, { limit: 1 });
+          if (best) {
+            playTrack(best, true, findPlayContext(best.id));
+          } else {
+            carLog.info('PlayFromSearch found no match', { query: event.query });
+          }
+        } catch (e) {
+          carLog.warn('PlayFromSearch failed', { error: e });
+        }
+      })();
+    });
+
+    // MediaBrowser search from the car's search box: answer with a browse result list
+    const mediaSearchSub = addOptionalListener('addMediaSearchListener', (event) => {
+      carLog.info('Search command', { query: event.query });
+      if (typeof CarProjection.setMediaSearchResults !== 'function') return;
+      try {
+        const results = searchMedia(getSearchableItems(), event.query, hintsFromExtras(event.extras));
+        CarProjection.setMediaSearchResults(event.query, results.map(toBrowseItem))
+          .catch((err) => carLog.warn('setMediaSearchResults failed', { error: err }));
+      } catch (e) {
+        carLog.warn('Search failed', { error: e });
+      }
     });
 
     // Listen for screen changes - for logging/debugging
     const screenChangedSub = CarProjection.addScreenChangedListener((screenName) => {
-      console.log('[App] Android Auto screen changed to:', screenName);
+      carLog.debug('Screen changed', { screenName });
     });
 
     // Check initial connection status
@@ -604,16 +1392,161 @@ export default function App() {
       mediaPlaySub.remove();
       mediaPauseSub.remove();
       mediaStopSub.remove();
+      mediaSeekToSub?.remove();
+      mediaFastForwardSub?.remove();
+      mediaRewindSub?.remove();
+      mediaPlayFromIdSub.remove();
+      mediaCustomActionSub?.remove();
+      mediaPlayFromSearchSub?.remove();
+      mediaSearchSub?.remove();
       screenChangedSub.remove();
     };
-  }, [playTrack, pauseTrack, resumeTrack, stopTrack, updateRecentlyPlayedScreen, updateNowPlayingScreen]);
+  }, [playTrack, pauseTrack, resumeTrack, stopTrack, findMediaItem, findPlayContext, getSearchableItems, resumeSavedSession, cyclePlaybackSpeed, toggleFavoriteCurrent, dislikeCurrent]);
 
-  // Update Now Playing screen when track or playing state changes
+  // Fetch podcast feeds now and periodically; refresh the car's Podcasts screen with each result
   useEffect(() => {
-    if (currentTrack) {
-      updateNowPlayingScreen(currentTrack, isPlaying);
-    }
-  }, [currentTrack, isPlaying, updateNowPlayingScreen]);
+    return startPodcastRefresh(podcastFeeds, (items) => {
+      libraryLog.info('Podcasts refreshed', { shows: items.length });
+      setPodcasts(items);
+      podcastsRef.current = items;
+      // Recently played episodes resolve once their feed is in
+      showRecentlyPlayed();
+      carRouter.render(CarRoute.Podcasts);
+      carRouter.refresh(CarRoute.PodcastEpisodes);
+      carRouter.render(CarRoute.RecentlyPlayed);
+    });
+  }, [showRecentlyPlayed]);
+
+  // Ratings drive the phone rows, the car's Favorites screen and the Now Playing rating actions
+  useEffect(() => {
+    const sub = ratings.subscribe((snapshot) => {
+      setRatingsById(snapshot);
+      carRouter.render(CarRoute.Favorites);
+      if (currentTrackRef.current) syncMediaSessionState();
+    });
+    profiles.load().then(() => ratings.load());
+    return () => sub.remove();
+  }, [syncMediaSessionState]);
+
+  // Active profile for the phone header; the car's Library shows it and Profiles checks it
+  useEffect(() => {
+    const sub = profiles.subscribe((snapshot) => {
+      setProfileState(snapshot);
+      carRouter.refresh(CarRoute.Library);
+      carRouter.refresh(CarRoute.Profiles);
+    });
+    return () => sub.remove();
+  }, []);
+
+  // Write batched storage changes before the app can be killed in the background
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') recentlyPlayedStore.flush();
+    });
+    return () => sub.remove();
+  }, []);
+
+  const handleAddProfile = async () => {
+    const profile = await profiles.addProfile(newProfileName);
+    if (!profile) return;
+    setNewProfileName('');
+    await switchProfile(profile.id);
+    setIsProfileMenuVisible(false);
+  };
+
+  // Track downloads for the phone UI (progress included)
+  useEffect(() => {
+    const sub = downloadManager.subscribe(setDownloads);
+    downloadManager.load();
+    return () => sub.remove();
+  }, []);
+
+  // The car only shows completed downloads: keyed on their ids, so progress ticks and
+  // lastUsedAt updates don't re-register the Downloaded screen or re-publish the browse tree
+  const completedDownloadKey = downloads
+    .filter((entry) => entry.status === DownloadStatus.Completed)
+    .map((entry) => entry.itemId)
+    .join('\n');
+  const downloadedItems = useMemo(() => downloadManager.completedItems(), [completedDownloadKey]);
+
+  useEffect(() => {
+    carRouter.render(CarRoute.Downloaded);
+  }, [downloadedItems]);
+
+  // Publish the MediaBrowser browse tree: Library (the catalog), Podcasts (show → episodes),
+  // Playlists (playlist → items), Favorites and Downloaded. That is one more than the four root
+  // tabs Android Auto shows, so buildBrowseTree moves the last two under a "More…" tab; it also
+  // pages long lists. Published right away with whatever artwork is cached, then again once the
+  // missing covers have been fetched.
+  useEffect(() => {
+    let cancelled = false;
+    const favorites = ratings.favorites();
+    const browseNodes = () => [
+      { id: LIBRARY_ID, title: 'Library', children: catalog.map(toBrowseItem) },
+      {
+        id: PODCASTS_ID,
+        title: 'Podcasts',
+        children: podcasts.map(({ show, episodes }) => ({
+          id: show.id,
+          title: show.title,
+          artist: show.artist,
+          artworkUri: artworkCache.peek(show.artworkUri, ArtworkSize.Browse),
+          children: episodes.map(toBrowseItem),
+        })),
+      },
+      {
+        id: PLAYLISTS_ID,
+        title: 'Playlists',
+        children: playlists.map((playlist) => ({
+          id: playlist.id,
+          title: playlist.name,
+          children: playlist.items.map(toBrowseItem),
+        })),
+      },
+      { id: FAVORITES_ID, title: 'Favorites', children: favorites.map(toBrowseItem) },
+      { id: DOWNLOADED_ID, title: 'Downloaded', children: downloadedItems.map(toBrowseItem) },
+    ];
+    const publish = () => {
+      // Feeds and playlist imports are outside our control: repair and log rather than throw
+      const browseTree = buildBrowseTree(browseNodes(), { strict: false });
+      if (__DEV__) {
+        const problems = validateBrowseTree(browseTree);
+        if (problems.length > 0) carLog.error('Invalid browse tree', { problems });
+      }
+      CarProjection.setMediaBrowseTree(browseTree)
+        .catch((err) => carLog.warn('setMediaBrowseTree failed', { error: err }));
+    };
+
+    publish();
+    const artworkUris = [
+      ...catalog,
+      ...podcasts.flatMap(({ show, episodes }) => [show, ...episodes]),
+      ...playlists.flatMap((playlist) => playlist.items),
+      ...downloadedItems,
+      ...favorites,
+    ].map((item) => item.artworkUri);
+    artworkCache.prefetch(artworkUris, ArtworkSize.Browse).then(() => {
+      if (!cancelled) publish();
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [catalog, podcasts, playlists, downloadedItems, ratingsById]);
+
+  // Follow the sleep timer (it runs outside React). Car templates are refreshed only when
+  // the minute shown there changes; the phone shows the exact countdown.
+  useEffect(() => {
+    const sub = sleepTimer.subscribe((state) => {
+      sleepTimerRef.current = state;
+      setSleepTimerState(state);
+      const label = sleepTimerCarLabel(state);
+      if (label !== sleepTimerCarLabelRef.current) {
+        sleepTimerCarLabelRef.current = label;
+        carRouter.render(CarRoute.SleepTimer);
+      }
+    });
+    return () => sub.remove();
+  }, []);
 
   // Format time for display
   const formatTime = (seconds) => {
@@ -622,21 +1555,152 @@ export default function App() {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
-  const handleTrackPress = (track) => {
-    playTrack(track, false);
-    // When selected from phone, also navigate Android Auto to Now Playing
+  // Import the M3U/M3U8/PLS playlist at the entered URL as a new collection
+  const handleImportPlaylist = async () => {
+    const url = playlistUrl.trim();
+    if (!url) return;
+    try {
+      const { playlist, errors } = await importPlaylistFromUrl(url, {
+        catalog: catalogRef.current,
+        existing: playlistsRef.current,
+      });
+      const updated = upsertPlaylist(playlistsRef.current, playlist);
+      setPlaylists(updated);
+      playlistsRef.current = updated;
+      savePlaylists(updated);
+      carRouter.render(CarRoute.Playlists);
+      carRouter.refresh(CarRoute.PlaylistItems);
+      setSelectedCollectionId(playlist.id);
+      setPlaylistUrl('');
+      if (errors.length > 0) {
+        Alert.alert(
+          `Imported "${playlist.name}" with problems`,
+          `${errors.length} line(s) were skipped:\n\n${errors.map((e) => `Line ${e.line}: ${e.message}`).join('\n')}`,
+        );
+      }
+    } catch (error) {
+      libraryLog.error('Error importing playlist', { url: playlistUrl, error });
+      Alert.alert('Could not import playlist', error.message || String(error));
+    }
+  };
+
+  // "All Media", Favorites, each imported playlist, then Downloads (rendered by DownloadsPanel)
+  const collections = [
+    { id: ALL_MEDIA_ID, name: 'All Media', items: catalog },
+    { id: FAVORITES_ID, name: 'Favorites', items: ratings.favorites() },
+    ...playlists,
+    { id: DOWNLOADS_TAB_ID, name: 'Downloads', items: [] },
+  ];
+  const selectedCollection = collections.find((c) => c.id === selectedCollectionId) || collections[0];
+
+  // `list` is the list the track was tapped in; it becomes the play queue
+  const handleTrackPress = (track, list) => {
+    playTrack(track, false, list);
+    // When selected from phone, also take Android Auto back to Now Playing (the root screen)
     if (isConnected) {
-      CarProjection.navigateToScreen('nowPlaying');
+      carRouter.popToRoot();
     }
   };
 
+  // ♡/♥ toggles favorite; long-press toggles thumbs-down (👎), which keeps it out of auto queues
+  const renderRatingButton = (item) => {
+    const rating = ratingsById[item.id]?.rating;
+    let label = '♡';
+    if (rating === Rating.Like) label = '♥';
+    else if (rating === Rating.Dislike) label = '👎';
+    return (
+      <TouchableOpacity
+        style={styles.downloadButton}
+        onPress={() => ratings.toggleFavorite(item)}
+        onLongPress={() => ratings.toggleDislike(item)}
+      >
+        <Text style={[styles.downloadButtonText, rating === Rating.Like && styles.ratingLiked]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // ↓ to download, progress while downloading, ✓ once available offline
+  const renderDownloadButton = (item) => {
+    const entry = downloads.find((d) => d.itemId === item.id);
+    let label = '↓';
+    if (entry?.status === DownloadStatus.Completed) label = '✓';
+    else if (entry?.status === DownloadStatus.Downloading) {
+      label = entry.totalBytes > 0 ? `${Math.floor((entry.bytesWritten / entry.totalBytes) * 100)}%` : '…';
+    } else if (entry?.status === DownloadStatus.Paused) label = '⏸';
+    else if (entry?.status === DownloadStatus.Failed) label = '!';
+    return (
+      <TouchableOpacity
+        style={styles.downloadButton}
+        disabled={entry?.status === DownloadStatus.Completed || entry?.status === DownloadStatus.Downloading}
+        onPress={() => downloadManager.start(item)}
+      >
+        <Text style={styles.downloadButtonText}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Now Playing, the root car screen. CarScreen re-registers it only when this output changes,
+  // e.g. the sleep timer row changes once a minute even though the state ticks every second.
+  // The host allows two pane actions and two strip actions. With an item loaded the pane has
+  // the skip actions and the strip Play/Pause and Library; Stop, speed and rating are on the
+  // media session (stop, custom actions), and Recently Played, Up Next and Sleep Timer are in
+  // Library. With nothing loaded the strip offers Recently Played instead.
+  const renderNowPlayingCarScreen = () => {
+    const skipIntervals = skipIntervalsFor(currentTrack);
+    const sleepLabel = sleepTimerCarLabel(sleepTimerState);
+    let title = 'Now Playing';
+    if (currentTrack) title = isPlaying ? '▶ Now Playing' : '⏸ Paused';
+    return (
+      <CarScreen name={CarRoute.Main} carProjection={carSync}>
+        <CarPane title={title}>
+          <CarActionStrip>
+            {currentTrack ? (
+              <CarAction
+                title={isPlaying ? '⏸ Pause' : '▶ Play'}
+                onPress={() => (isPlayingRef.current ? pauseTrack() : resumeTrack())}
+              />
+            ) : (
+              <CarAction title="Recently Played" onPress={() => carRouter.navigate(CarRoute.RecentlyPlayed)} />
+            )}
+            <CarAction title="Library" onPress={() => carRouter.navigate(CarRoute.Library)} />
+          </CarActionStrip>
+          {!currentTrack && (
+            <CarRow title="No track playing" texts={['Select something from Recently Played to start listening']} />
+          )}
+          {currentTrack && (
+            <>
+              <CarRow title={currentTrack.title} texts={[currentTrack.artist || 'Unknown Artist']} />
+              <CarRow
+                title={isPlaying ? 'Status: Playing' : 'Status: Paused'}
+                texts={[`Speed ${formatSpeed(playbackRate)}`]}
+              />
+              {sleepLabel && <CarRow title="Sleep timer" texts={[sleepLabel]} />}
+              <CarAction
+                title={`⏪ ${skipIntervals.backward}s`}
+                onPress={() => skipBy(-skipIntervals.backward).catch((e) => playerLog.warn('Skip back failed', { error: e }))}
+              />
+              <CarAction
+                title={`${skipIntervals.forward}s ⏩`}
+                onPress={() => skipBy(skipIntervals.forward).catch((e) => playerLog.warn('Skip forward failed', { error: e }))}
+              />
+            </>
+          )}
+        </CarPane>
+      </CarScreen>
+    );
+  };
+
+  let sleepButtonLabel = '☾';
+  if (sleepTimerState?.mode === SleepTimerMode.EndOfTrack) sleepButtonLabel = '☾ end';
+  else if (sleepTimerState) sleepButtonLabel = `☾ ${formatRemaining(sleepTimerState.remainingMs)}`;
+
   const renderTrackItem = ({ item }) => (
     <TouchableOpacity
       style={[
         styles.trackItem,
         currentTrack?.id === item.id && styles.trackItemActive
       ]}
-      onPress={() => handleTrackPress(item)}
+      onPress={() => handleTrackPress(item, selectedCollection.items)}
     >
       {item.artworkUri && (
         <Image
@@ -649,6 +1713,8 @@ export default function App() {
         <Text style={styles.trackTitle}>{item.title}</Text>
         <Text style={styles.trackArtist}>{item.artist || 'Unknown Artist'}</Text>
       </View>
+      {renderRatingButton(item)}
+      {renderDownloadButton(item)}
       {currentTrack?.id === item.id && (
         <View style={styles.playingIndicator}>
           <Text style={styles.playingText}>{isPlaying ? '▶' : '⏸'}</Text>
@@ -664,13 +1730,62 @@ export default function App() {
   return (
     <View style={styles.container}>
       <StatusBar style="auto" />
+      {renderNowPlayingCarScreen()}
+      <InspectorScreen
+        visible={isInspectorVisible}
+        timeline={inspectorTimeline}
+        recorder={sessionRecorder}
+        onClose={() => setIsInspectorVisible(false)}
+      />
       
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>Test Android Auto</Text>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerTitle} onLongPress={() => setIsInspectorVisible(true)}>
+            Test Android Auto
+          </Text>
+          <TouchableOpacity style={styles.profileButton} onPress={() => setIsProfileMenuVisible(!isProfileMenuVisible)}>
+            <Text style={styles.profileButtonText} numberOfLines={1}>
+              {profileState.profiles.find((profile) => profile.id === profileState.activeId)?.name}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        {isProfileMenuVisible && (
+          <View style={styles.profileMenu}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {profileState.profiles.map((profile) => (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[styles.sleepOption, profile.id === profileState.activeId && styles.profileOptionActive]}
+                  onPress={() => {
+                    switchProfile(profile.id);
+                    setIsProfileMenuVisible(false);
+                  }}
+                >
+                  <Text style={styles.sleepOptionText}>{profile.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <View style={styles.profileAddRow}>
+              <TextInput
+                style={styles.importInput}
+                value={newProfileName}
+                onChangeText={setNewProfileName}
+                placeholder="New listener name"
+                placeholderTextColor="#666"
+                onSubmitEditing={handleAddProfile}
+              />
+              <TouchableOpacity style={styles.importButton} onPress={handleAddProfile}>
+                <Text style={styles.importButtonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
         <View style={styles.statusContainer}>
           <View style={[styles.statusDot, isConnected && styles.statusDotConnected]} />
           <Text style={styles.statusText}>
             {isConnected ? 'Connected to Android Auto' : 'Not Connected'}
+            {isConnected && carConnectionState === ConnectionState.Routing && ' · routing audio…'}
+            {isConnected && carConnectionState === ConnectionState.Failed && ' · audio routing failed'}
           </Text>
         </View>
       </View>
@@ -688,7 +1803,7 @@ export default function App() {
                   styles.recentItem,
                   currentTrack?.id === item.id && styles.recentItemActive
                 ]}
-                onPress={() => handleTrackPress(item)}
+                onPress={() => handleTrackPress(item, recentlyPlayed)}
               >
                 {item.artworkUri && (
                   <Image
@@ -710,17 +1825,54 @@ export default function App() {
         </View>
       )}
 
-      {/* All Media Section */}
+      {/* Collections: All Media and imported playlists */}
       <View style={styles.section}>
-        {renderSectionHeader('All Media')}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.collectionTabs}>
+          {collections.map((collection) => (
+            <TouchableOpacity key={collection.id} onPress={() => setSelectedCollectionId(collection.id)}>
+              <Text
+                style={[
+                  styles.collectionTab,
+                  collection.id === selectedCollection.id && styles.collectionTabActive,
+                ]}
+              >
+                {collection.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <View style={styles.importRow}>
+          <TextInput
+            style={styles.importInput}
+            value={playlistUrl}
+            onChangeText={setPlaylistUrl}
+            placeholder="Playlist URL (.m3u, .m3u8, .pls)"
+            placeholderTextColor="#666"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            onSubmitEditing={handleImportPlaylist}
+          />
+          <TouchableOpacity style={styles.importButton} onPress={handleImportPlaylist}>
+            <Text style={styles.importButtonText}>Import</Text>
+          </TouchableOpacity>
+        </View>
       </View>
       
-      <FlatList
-        data={mediaItems}
-        renderItem={renderTrackItem}
-        keyExtractor={(item) => item.id}
-        contentContainerStyle={styles.listContent}
-      />
+      {selectedCollection.id === DOWNLOADS_TAB_ID ? (
+        <DownloadsPanel
+          downloads={downloads}
+          manager={downloadManager}
+          onPlay={(item) => handleTrackPress(item, downloadManager.completedItems())}
+        />
+      ) : (
+        <FlatList
+          data={selectedCollection.items}
+          renderItem={renderTrackItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
 
       {currentTrack && (
         <View style={styles.nowPlayingBar}>
@@ -742,7 +1894,16 @@ export default function App() {
               <Text style={styles.nowPlayingArtist}>
                 {currentTrack.artist} • {formatTime(progress.position)} / {formatTime(progress.duration || 0)}
               </Text>
+              {playbackError && (
+                <Text style={styles.nowPlayingError} numberOfLines={1}>{playbackError}</Text>
+              )}
             </View>
+            <TouchableOpacity style={styles.speedButton} onPress={() => setIsSleepMenuVisible(!isSleepMenuVisible)}>
+              <Text style={styles.speedButtonText}>{sleepButtonLabel}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.speedButton} onPress={cyclePlaybackSpeed}>
+              <Text style={styles.speedButtonText}>{formatSpeed(playbackRate)}</Text>
+            </TouchableOpacity>
             <TouchableOpacity 
               style={styles.playPauseButton}
               onPress={() => isPlaying ? pauseTrack() : resumeTrack()}
@@ -750,6 +1911,33 @@ export default function App() {
               <Text style={styles.playPauseText}>{isPlaying ? '⏸' : '▶'}</Text>
             </TouchableOpacity>
           </TouchableOpacity>
+          {isSleepMenuVisible && (
+            <ScrollView horizontal style={styles.sleepMenu} showsHorizontalScrollIndicator={false}>
+              {sleepTimerState && (
+                <TouchableOpacity
+                  style={styles.sleepOption}
+                  onPress={() => {
+                    sleepTimer.cancel();
+                    setIsSleepMenuVisible(false);
+                  }}
+                >
+                  <Text style={styles.sleepOptionText}>Cancel timer</Text>
+                </TouchableOpacity>
+              )}
+              {SLEEP_TIMER_OPTIONS.map((option) => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={styles.sleepOption}
+                  onPress={() => {
+                    sleepTimer.start(option);
+                    setIsSleepMenuVisible(false);
+                  }}
+                >
+                  <Text style={styles.sleepOptionText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
           {/* Progress bar */}
           <View style={styles.progressContainer}>
             <View 
@@ -782,12 +1970,41 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#333',
   },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
   headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
     color: '#fff',
     marginBottom: 8,
   },
+  profileButton: {
+    maxWidth: 140,
+    marginBottom: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#444',
+  },
+  profileButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  profileMenu: {
+    paddingBottom: 10,
+  },
+  profileOptionActive: {
+    backgroundColor: '#1db954',
+  },
+  profileAddRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 8,
+  },
   statusContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -816,6 +2033,45 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     marginBottom: 12,
   },
+  collectionTabs: {
+    paddingHorizontal: 16,
+  },
+  collectionTab: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+    marginRight: 20,
+  },
+  collectionTabActive: {
+    color: '#fff',
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  importInput: {
+    flex: 1,
+    height: 36,
+    backgroundColor: '#1e1e1e',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    color: '#fff',
+    fontSize: 14,
+    marginRight: 8,
+  },
+  importButton: {
+    height: 36,
+    paddingHorizontal: 14,
+    borderRadius: 18,
+    backgroundColor: '#1db954',
+    justifyContent: 'center',
+  },
+  importButtonText: {
+    color: '#000',
+    fontWeight: '600',
+  },
   recentList: {
     paddingHorizontal: 12,
   },
@@ -879,6 +2135,18 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#999',
   },
+  downloadButton: {
+    minWidth: 36,
+    paddingHorizontal: 6,
+    alignItems: 'center',
+  },
+  downloadButtonText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  ratingLiked: {
+    color: '#1db954',
+  },
   playingIndicator: {
     marginLeft: 10,
   },
@@ -919,6 +2187,41 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 2,
   },
+  nowPlayingError: {
+    color: '#e57373',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  sleepMenu: {
+    paddingHorizontal: 12,
+    paddingBottom: 10,
+  },
+  sleepOption: {
+    marginRight: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#2a2a2a',
+  },
+  sleepOptionText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  speedButton: {
+    minWidth: 44,
+    height: 32,
+    marginRight: 10,
+    paddingHorizontal: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#444',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  speedButtonText: {
+    fontSize: 13,
+    color: '#fff',
+  },
   playPauseButton: {
     width: 40,
     height: 40,
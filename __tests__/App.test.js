@@ -0,0 +1,239 @@
+// App.js car flows on the simulated head unit (jest/simulator.js): a fresh app, car and
+// player per test, all on Jest's fake timers. Everything is required after
+// jest.resetModules() so the app, React and the renderer come from the same registry.
+let sim;
+let screen;
+let act;
+let fireEvent;
+
+const advance = (ms) => act(() => sim.clock.advance(ms));
+// Something the driver does on the head unit
+const onCar = (action) => act(async () => action(sim.headUnit));
+
+// `prepare(sim)` runs before App.js is loaded, e.g. to take methods off the fake modules;
+// `simulatorOptions` go to createSimulatedHeadUnit
+const startApp = async (prepare = () => {}, simulatorOptions = {}) => {
+  const React = require('react');
+  const testingLibrary = require('@testing-library/react-native/pure');
+  ({ act, fireEvent } = testingLibrary);
+  sim = require('../jest/simulator').currentSimulator(simulatorOptions);
+  prepare(sim);
+  const App = require('../App').default;
+  screen = testingLibrary.render(React.createElement(App));
+  await advance(1000);
+};
+
+// Playback commands the app sent since `since` (an index into player.calls())
+const commandsSince = (since) => sim.player.calls().slice(since).map((call) => call.method);
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  // No network: podcast feeds fail, and so do the artwork downloads (which warn)
+  jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch is not available in tests'));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  screen?.unmount();
+  jest.useRealTimers();
+  global.fetch.mockRestore();
+  console.warn.mockRestore();
+});
+
+test('connect while playing: routes audio to the car and shows the playing item', async () => {
+  await startApp();
+  fireEvent.press(screen.getByText('Big Buck Bunny'));
+  await advance(2000);
+  expect(sim.player.state()).toBe('playing');
+
+  const before = sim.player.calls().length;
+  await onCar((car) => car.startSession());
+  await advance(5000);
+
+  // Playback restarts once so the audio moves to the car, and keeps playing
+  expect(commandsSince(before)).toEqual(expect.arrayContaining(['pause', 'play']));
+  expect(sim.player.state()).toBe('playing');
+  expect(sim.player.queueIds()[sim.player.activeIndex()]).toBe('big-buck-bunny');
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'playing', title: 'Big Buck Bunny' });
+  expect(sim.headUnit.currentScreen()).toBe('main');
+  expect(sim.headUnit.currentTemplate().rows.map((row) => row.title)).toContain('Big Buck Bunny');
+  expect(screen.getByText('Connected to Android Auto')).toBeTruthy();
+});
+
+test('tap Recently Played item on car: plays it and returns to Now Playing', async () => {
+  await startApp();
+  fireEvent.press(screen.getByText('Big Buck Bunny'));
+  await advance(2000);
+  fireEvent.press(screen.getByText('Elephant Dream'));
+  await advance(2000);
+  await onCar((car) => car.startSession());
+  await advance(5000);
+
+  await onCar((car) => car.press('Library'));
+  await advance(100);
+  await onCar((car) => car.press('Recently Played'));
+  await advance(100);
+  expect(sim.headUnit.currentScreen()).toBe('recentlyPlayed');
+  expect(sim.headUnit.currentTemplate().items.map((item) => item.title)).toEqual(['Elephant Dream', 'Big Buck Bunny']);
+
+  await onCar((car) => car.press('Big Buck Bunny'));
+  await advance(3000);
+
+  expect(sim.headUnit.currentScreen()).toBe('main');
+  expect(sim.player.state()).toBe('playing');
+  expect(sim.player.queueIds()[sim.player.activeIndex()]).toBe('big-buck-bunny');
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'playing', title: 'Big Buck Bunny' });
+});
+
+test('voice search with no extras plays the best match', async () => {
+  await startApp();
+  await onCar((car) => car.startSession());
+  await advance(1000);
+  await onCar((car) => car.emit('mediaPlayFromSearch', { query: 'tears of steel', extras: null }));
+  await advance(3000);
+
+  expect(sim.player.queueIds()[sim.player.activeIndex()]).toBe('tears-of-steel');
+  expect(sim.player.state()).toBe('playing');
+});
+
+test('a car-projection build without the optional listeners still connects', async () => {
+  const optional = [
+    'addMediaPlayFromSearchListener',
+    'addMediaSearchListener',
+    'setMediaSearchResults',
+    'addMediaSeekToListener',
+    'addMediaFastForwardListener',
+    'addMediaRewindListener',
+    'addMediaCustomActionListener',
+  ];
+  await startApp(({ carProjectionModule }) => {
+    optional.forEach((method) => {
+      delete carProjectionModule.default[method];
+    });
+  });
+  fireEvent.press(screen.getByText('Sintel'));
+  await advance(2000);
+  await onCar((car) => car.startSession());
+  await advance(5000);
+
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'playing', title: 'Sintel' });
+  await onCar((car) => car.press('Library'));
+  await advance(100);
+  await onCar((car) => car.press('Recently Played'));
+  await advance(100);
+  expect(sim.headUnit.currentScreen()).toBe('recentlyPlayed');
+});
+
+test('Now Playing keeps to the pane limits with the skip actions on it', async () => {
+  await startApp();
+  const nothingLoaded = sim.headUnit.templateOf('main');
+  expect(nothingLoaded.actionStrip.map((action) => action.title)).toEqual(['Recently Played', 'Library']);
+
+  fireEvent.press(screen.getByText('Big Buck Bunny'));
+  await advance(2000);
+  await onCar((car) => car.startSession());
+  await advance(5000);
+
+  const main = sim.headUnit.currentTemplate();
+  expect(main.actionStrip.map((action) => action.title)).toEqual(['⏸ Pause', 'Library']);
+  expect(main.actions.map((action) => action.title)).toEqual(['⏪ 15s', '15s ⏩']);
+
+  const position = sim.player.position();
+  await onCar((car) => car.press('15s ⏩'));
+  await advance(100);
+  expect(sim.player.position()).toBeCloseTo(position + 15, 0);
+  expect(sim.headUnit.lastPlaybackState().position).toBeCloseTo(position + 15, 0);
+
+  await onCar((car) => car.press('⏸ Pause'));
+  await advance(100);
+  expect(sim.player.state()).toBe('paused');
+  expect(sim.headUnit.currentTemplate().actionStrip[0].title).toBe('▶ Play');
+
+  await onCar((car) => car.press('Library'));
+  await advance(100);
+  await onCar((car) => car.press('Sleep Timer'));
+  await advance(100);
+  expect(sim.headUnit.currentScreen()).toBe('sleepTimer');
+});
+
+test('the browse tree keeps to four root tabs, with the catalog under Library', async () => {
+  await startApp();
+  const tree = sim.headUnit.browseTree();
+
+  expect(tree.__ROOT__.map((item) => item.title)).toEqual(['Library', 'Podcasts', 'Playlists', 'More…']);
+  expect(tree[tree.__ROOT__[3].id].map((item) => item.title)).toEqual(['Favorites', 'Downloaded']);
+  expect(tree.library.map((item) => item.title)).toContain('Big Buck Bunny');
+});
+
+// A session as recorded on the Desktop Head Unit (written by hand in the recorder's format,
+// see src/inspector/sessionRecorder.js): voice search for Sintel, then Pause from the car.
+// The player only does what the recorded player events say, so buffering, progress and
+// pause arrive with the device's timing. Templates aren't part of the recording.
+test('replaying a head-unit recording produces its playback states, commands and navigation', async () => {
+  const recording = require('./fixtures/recordings/dhu-voice-search.json');
+  const { replaySession, compareOutputs } = require('../src/car/simulator/replay');
+  await startApp(() => {}, { autoEvents: false });
+
+  // Each delivered input and each wait in its own act(), like onCar and advance
+  const wrapInAct = (target, methods) => {
+    const wrapped = { ...target };
+    methods.forEach((method) => {
+      wrapped[method] = (...args) => {
+        act(() => {
+          target[method](...args);
+        });
+      };
+    });
+    return wrapped;
+  };
+  const outputs = await replaySession(recording, {
+    ...sim,
+    headUnit: wrapInAct(sim.headUnit, ['startSession', 'endSession', 'connectMediaBrowser', 'emit', 'back']),
+    player: wrapInAct(sim.player, ['inject']),
+    clock: { ...sim.clock, advance },
+  });
+
+  expect(compareOutputs(recording, outputs, { types: ['playbackState', 'command', 'navigation'] }).differences).toEqual([]);
+  // Nothing but the recorded events moved the player
+  expect(sim.player.state()).toBe('paused');
+  expect(sim.player.position()).toBe(3.003);
+});
+
+test('a stream that keeps failing is retried with backoff, then skipped', async () => {
+  await startApp();
+  await onCar((car) => car.startSession());
+  await advance(1000);
+  sim.player.fail('sintel');
+  const before = sim.player.calls().length;
+  await onCar((car) => car.emit('mediaPlayFromSearch', { query: 'sintel', extras: null }));
+  await advance(300);
+
+  // Each attempt buffers for 200 ms before failing again; the waits in between double
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'error', errorMessage: "Can't reach this stream. Check your connection." });
+  await advance(10000);
+  const [play] = sim.player.calls().slice(before).filter((call) => call.method === 'play');
+  const retries = sim.player.calls('retry').map((call) => call.at - play.at);
+  expect(retries).toEqual([1200, 1200 + 2200, 1200 + 2200 + 4200]);
+
+  // The fourth failure gives up on it and moves on
+  expect(sim.player.queueIds()[sim.player.activeIndex()]).toBe('tears-of-steel');
+  expect(sim.player.state()).toBe('playing');
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'playing', title: 'Tears of Steel' });
+  expect(sim.headUnit.currentScreen()).toBe('main');
+});
+
+test('an item that fails with nothing playable after it is reported on the car', async () => {
+  await startApp();
+  await onCar((car) => car.startSession());
+  await advance(1000);
+  sim.player.fail('tears-of-steel', { code: 'android-io-file-not-found', message: 'Not found' });
+  await onCar((car) => car.emit('mediaPlayFromSearch', { query: 'tears of steel', extras: null }));
+  await advance(3000);
+
+  // Not a network error: no retries, and the last item in the queue has nothing to skip to
+  expect(sim.player.calls('retry')).toEqual([]);
+  expect(sim.headUnit.lastPlaybackState()).toMatchObject({ state: 'error', errorMessage: 'This item is no longer available.' });
+  expect(sim.headUnit.currentScreen()).toBe('playbackError');
+  expect(sim.headUnit.currentTemplate().message).toBe('Couldn\'t play "Tears of Steel".\n\nThis item is no longer available.');
+});
@@ -4,6 +4,10 @@ import { StyleSheet, Text, View, TouchableOpacity, FlatList, Platform } from 're
 import TrackPlayer, { State, Capability, AppKilledPlaybackBehavior, Event } from 'react-native-track-player';
 import CarProjection from 'react-native-car-projection';
 import { mediaItems } from './src/data/mediaItems';
+// Shared with the root app (reachable through metro watchFolders)
+import { createCarConnection, trackPlayerAdapter, ConnectionState } from '../../src/car/carConnection';
+import { createArtworkCache, ArtworkSize } from '../../src/artwork/artworkCache';
+import { buildBrowseTree } from '../../src/car/browseTree';
 
 /**
  * Example: Media only (no Car App).
@@ -14,12 +18,39 @@ import { mediaItems } from './src/data/mediaItems';
  * - Key "__ROOT__" = items shown at the root of the browse screen in Android Auto.
  * - Key "<item.id>" = children when user taps a browsable item (e.g. "Recently Played").
  * - playable: true = tap starts playback (track); browsable: true = tap opens children (folder).
- * This example adds a "Recently Played" folder with the last 3 played items.
+ * The map is generated from a nested catalog by buildBrowseTree (src/car/browseTree.js), which
+ * also enforces Android Auto's tab, depth and list-length limits.
+ * This example has "Recently Played" (last 3 played), "All Tracks" and "Artists" → tracks.
  */
-const ROOT_ID = '__ROOT__';
 const RECENTLY_PLAYED_ID = 'recently_played';
+const ALL_TRACKS_ID = 'all_tracks';
+const ARTISTS_ID = 'artists';
 const MAX_RECENT = 3;
 
+// Cover art is downscaled and cached on disk; the car gets local file URIs
+const artworkCache = createArtworkCache();
+const toBrowseItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  artist: item.artist,
+  artworkUri: artworkCache.peek(item.artworkUri, ArtworkSize.Browse),
+  playable: true,
+});
+
+// Artist folders, each listing that artist's tracks
+const artistNodes = (items) => {
+  const byArtist = new Map();
+  items.forEach((item) => {
+    const artist = item.artist || 'Unknown Artist';
+    byArtist.set(artist, [...(byArtist.get(artist) ?? []), item]);
+  });
+  return [...byArtist.entries()].map(([artist, tracks]) => ({
+    id: `artist:${artist}`,
+    title: artist,
+    children: tracks.map(toBrowseItem),
+  }));
+};
+
 const setupPlayer = async () => {
   try {
     await TrackPlayer.setupPlayer({ waitForBuffer: true });
@@ -68,6 +99,7 @@ export default function App() {
         duration: progress?.duration ?? 0,
         title: track?.title,
         artist: track?.artist,
+        artworkUri: track ? artworkCache.peek(track.artworkUri, ArtworkSize.NowPlaying) : undefined,
       });
     } catch (_) {}
   }, []);
@@ -78,73 +110,51 @@ export default function App() {
     }).catch(() => {});
   }, []);
 
-  // Build the Android Auto browse tree: root + "Recently Played" folder with last 3 played.
-  // When user taps "Recently Played" on the car screen, they see these items.
+  // Build the Android Auto browse tree: "Recently Played" (last 3 played), "All Tracks" and
+  // "Artists" → tracks. Folders are nodes with `children`; buildBrowseTree flattens them into the map.
+  // Published again once the artwork has been cached.
   useEffect(() => {
-    const rootItems = [
-      // Browsable folder: tap opens children (key = RECENTLY_PLAYED_ID below)
-      {
-        id: RECENTLY_PLAYED_ID,
-        title: 'Recently Played',
-        browsable: true,
-        playable: false,
-      },
-      // All tracks at root (playable)
-      ...mediaItems.map((item) => ({
-        id: item.id,
-        title: item.title,
-        artist: item.artist,
-        playable: true,
-        browsable: false,
-      })),
-    ];
-    const recentAsBrowseItems = recentlyPlayed.map((item) => ({
-      id: item.id,
-      title: item.title,
-      artist: item.artist,
-      playable: true,
-      browsable: false,
-    }));
-    const browseTree = {
-      [ROOT_ID]: rootItems,
-      [RECENTLY_PLAYED_ID]: recentAsBrowseItems, // children of "Recently Played"
+    let cancelled = false;
+    const publish = () => {
+      const browseTree = buildBrowseTree([
+        { id: RECENTLY_PLAYED_ID, title: 'Recently Played', children: recentlyPlayed.map(toBrowseItem) },
+        { id: ALL_TRACKS_ID, title: 'All Tracks', children: mediaItems.map(toBrowseItem) },
+        { id: ARTISTS_ID, title: 'Artists', children: artistNodes(mediaItems) },
+      ]);
+      CarProjection.setMediaBrowseTree(browseTree).catch(() => {});
+    };
+    publish();
+    artworkCache.prefetch(mediaItems.map((item) => item.artworkUri), ArtworkSize.Browse).then(() => {
+      if (!cancelled) publish();
+    });
+    return () => {
+      cancelled = true;
     };
-    CarProjection.setMediaBrowseTree(browseTree).catch(() => {});
   }, [recentlyPlayed]);
 
-  // When DHU connects (plug in or select app), sync state and auto-play so audio routes to car
+  // When DHU connects (plug in or select app), sync state and auto-play so audio routes to car.
+  // The connection machine restarts playback and waits for the player instead of sleeping.
   useEffect(() => {
+    const connection = createCarConnection({
+      player: trackPlayerAdapter(TrackPlayer, Event, State),
+      onIdle: async () => {
+        if (recentlyPlayedRef.current?.length > 0) {
+          await playTrack(recentlyPlayedRef.current[0]);
+        }
+      },
+    });
     const sub = CarProjection.addMediaBrowserConnectedListener(() => {
       (async () => {
         try {
           await syncMediaSession();
-          const [state, activeTrack] = await Promise.all([
-            TrackPlayer.getPlaybackState(),
-            TrackPlayer.getActiveTrack(),
-          ]);
-          const wasPlaying = state?.state === State.Playing;
+          const { state, activeTrack } = await connection.connect('mediaBrowser');
           const mediaTrack = activeTrack ? mediaItems.find((m) => m.id === activeTrack.id) : null;
-
           if (mediaTrack) {
             trackRef.current = mediaTrack;
             setCurrentTrack(mediaTrack);
-            if (wasPlaying) {
-              const progress = await TrackPlayer.getProgress();
-              await TrackPlayer.pause();
-              await new Promise((r) => setTimeout(r, 2000));
-              if (progress?.position > 0) await TrackPlayer.seekTo(progress.position);
-              await TrackPlayer.play();
-              setPlaybackState(State.Playing);
-            } else {
-              await TrackPlayer.play();
-              setPlaybackState(State.Playing);
-            }
-            await syncMediaSession();
-          } else if (recentlyPlayedRef.current?.length > 0) {
-            const first = recentlyPlayedRef.current[0];
-            playTrack(first);
-            await syncMediaSession();
+            if (state === ConnectionState.Routed) setPlaybackState(State.Playing);
           }
+          await syncMediaSession();
         } catch (e) {
           console.warn('[TestMediaOnly] onMediaBrowserConnected:', e?.message);
         }
@@ -212,6 +222,7 @@ export default function App() {
         trackRef.current = t ?? null;
         setCurrentTrack(t ?? null);
         syncMediaSession();
+        if (t) artworkCache.get(t.artworkUri, ArtworkSize.NowPlaying).then(() => syncMediaSession());
       });
     };
     init();
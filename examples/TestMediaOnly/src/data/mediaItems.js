@@ -3,6 +3,7 @@ export const mediaItems = [
     id: 'media-only-1',
     title: 'Media Only Track 1',
     artist: 'Example',
+    artworkUri: 'http://commondatastorage.googleapis.com/gtv-videos-bucket/sample/images/BigBuckBunny.jpg',
     mediaUri: 'http://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4',
     playable: true,
   },
@@ -10,6 +11,7 @@ export const mediaItems = [
     id: 'media-only-2',
     title: 'Media Only Track 2',
     artist: 'Example',
+    artworkUri: 'http://commondatastorage.googleapis.com/gtv-videos-bucket/sample/images/ElephantsDream.jpg',
     mediaUri: 'http://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ElephantsDream.mp4',
     playable: true,
   },
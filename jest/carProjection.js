@@ -0,0 +1,2 @@
+// Jest stand-in for react-native-car-projection (see jest/simulator.js)
+module.exports = require('./simulator').currentSimulator().carProjectionModule;
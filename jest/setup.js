@@ -0,0 +1,3 @@
+// The app logs debug and info entries to the console in dev builds; keep test output to
+// warnings and errors
+jest.spyOn(console, 'log').mockImplementation(() => {});
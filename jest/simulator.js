@@ -0,0 +1,28 @@
+import { createSimulatedHeadUnit } from '../src/car/simulator';
+
+// The simulated head unit behind the react-native-car-projection and
+// react-native-track-player mappings in the Jest config. One per module registry: call
+// jest.resetModules() before requiring App.js to start from a fresh car and player.
+//
+// Its clock runs on Jest's fake timers, so the fakes and the app's own timers (sync frames,
+// connection timeouts, retry backoff) advance together; enable them before the first
+// require with jest.useFakeTimers().
+const jestClock = () => ({
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+  advance: (ms) => jest.advanceTimersByTimeAsync(ms),
+  settle: () => jest.advanceTimersByTimeAsync(0),
+  pendingTimers: () => jest.getTimerCount(),
+});
+
+let simulator = null;
+
+// `options` (see createSimulatedHeadUnit, e.g. { autoEvents: false }) only apply to the call
+// that creates it, i.e. the first one after jest.resetModules()
+export const currentSimulator = (options = {}) => {
+  if (!simulator) simulator = createSimulatedHeadUnit({ ...options, clock: jestClock() });
+  return simulator;
+};
@@ -0,0 +1,2 @@
+// Jest stand-in for react-native-track-player (see jest/simulator.js)
+module.exports = require('./simulator').currentSimulator().trackPlayerModule;
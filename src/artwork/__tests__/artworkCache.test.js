@@ -0,0 +1,93 @@
+import { createArtworkCache, ArtworkSize } from '../artworkCache';
+
+// Pixel sizes of the source images by URL; anything else is 1200×800
+const IMAGES = {
+  'https://example.com/wide.jpg': { width: 1200, height: 800 },
+  'https://example.com/tall.jpg': { width: 600, height: 1800 },
+  'https://example.com/small.jpg': { width: 100, height: 80 },
+};
+
+const setup = ({ holdDownloads = false } = {}) => {
+  const files = new Map(); // uri → { source, bytes }
+  const held = []; // with holdDownloads, each download waits until the test releases it
+  let downloading = 0;
+  let maxDownloading = 0;
+  const fileSystem = {
+    makeDirectoryAsync: async () => {},
+    deleteAsync: async (uri) => {
+      files.delete(uri);
+    },
+    getInfoAsync: async (uri) => (files.has(uri) ? { exists: true, size: files.get(uri).bytes } : { exists: false }),
+    moveAsync: async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    },
+    downloadAsync: async (source, uri) => {
+      downloading += 1;
+      maxDownloading = Math.max(maxDownloading, downloading);
+      if (holdDownloads) await new Promise((resolve) => held.push(resolve));
+      downloading -= 1;
+      files.set(uri, { source, bytes: 1000 });
+      return { status: 200 };
+    },
+  };
+  const imageManipulator = {
+    SaveFormat: { JPEG: 'jpeg' },
+    manipulateAsync: jest.fn(async (uri) => {
+      const scaledUri = `${uri}.scaled`;
+      files.set(scaledUri, files.get(uri));
+      return { uri: scaledUri };
+    }),
+  };
+  const storage = { getItem: async () => null, setItem: async () => {} };
+  const cache = createArtworkCache({
+    fileSystem,
+    imageManipulator,
+    storage,
+    getImageSize: async (uri) => IMAGES[files.get(uri).source] ?? { width: 1200, height: 800 },
+    directory: 'file:///artwork/',
+    prefetchConcurrency: 2,
+    placeholder: 1,
+  });
+  return { cache, imageManipulator, held, maxDownloading: () => maxDownloading };
+};
+
+// The placeholder asset can't be resolved here; that is logged and ignored
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('scales the longer edge down to the size and leaves small images alone', async () => {
+  const { cache, imageManipulator } = setup();
+  await cache.prefetch(Object.keys(IMAGES), ArtworkSize.Browse);
+  const actions = imageManipulator.manipulateAsync.mock.calls.map((call) => call[1]);
+  expect(actions).toEqual([
+    [{ resize: { width: 256 } }],
+    [{ resize: { height: 256 } }],
+    [],
+  ]);
+});
+
+test('prefetch downloads at most prefetchConcurrency images at once', async () => {
+  const { cache, held, maxDownloading } = setup({ holdDownloads: true });
+  const uris = ['a', 'b', 'c', 'd', 'e', 'a'].map((name) => `https://example.com/${name}.jpg`);
+  const done = cache.prefetch(uris);
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  // Release the downloads one at a time until all five unique images are through
+  let released = 0;
+  for (let round = 0; round < 20 && released < 5; round += 1) {
+    await flush();
+    while (held.length > 0) {
+      held.shift()();
+      released += 1;
+    }
+  }
+  await done;
+  expect(released).toBe(5);
+  expect(maxDownloading()).toBe(2);
+});
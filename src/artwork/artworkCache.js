@@ -0,0 +1,201 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { Asset } from 'expo-asset';
+import { Image } from 'react-native';
+import { storageLog } from '../logging';
+
+// Cover art for the car: remote images are downloaded, downscaled and kept on disk so
+// the head unit gets small local files. The index lives in AsyncStorage; the cache is
+// bounded by total size and evicted least recently used first. Missing or broken
+// images resolve to a bundled placeholder.
+const ARTWORK_CACHE_KEY = 'artwork_cache';
+
+export const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Longest edge in pixels. Browse tiles are small; the Now Playing background is larger.
+export const ArtworkSize = {
+  Browse: 256,
+  NowPlaying: 512,
+};
+
+// Images fetched at once by prefetch(); the rest wait for a free slot
+export const PREFETCH_CONCURRENCY = 4;
+
+// Don't hammer a broken URL: retry a failed image after this long
+const FAILURE_RETRY_MS = 10 * 60 * 1000;
+
+// Stable file name for (uri, size); djb2 is enough to avoid collisions in a small cache
+const cacheKey = (uri, size) => {
+  let hash = 5381;
+  for (let i = 0; i < uri.length; i += 1) {
+    hash = ((hash * 33) ^ uri.charCodeAt(i)) >>> 0;
+  }
+  return `${hash.toString(36)}_${uri.length.toString(36)}_${size}`;
+};
+
+const imageSize = (uri) => new Promise((resolve, reject) => {
+  Image.getSize(uri, (width, height) => resolve({ width, height }), reject);
+});
+
+export const createArtworkCache = ({
+  fileSystem = FileSystem,
+  imageManipulator = ImageManipulator,
+  getImageSize = imageSize,
+  storage = AsyncStorage,
+  directory = `${FileSystem.cacheDirectory}artwork/`,
+  maxBytes = DEFAULT_MAX_BYTES,
+  prefetchConcurrency = PREFETCH_CONCURRENCY,
+  placeholder = require('../../assets/icon.png'),
+} = {}) => {
+  let entries = {}; // key -> { key, sourceUri, size, fileUri, bytes, lastUsedAt }
+  let placeholderUri = null;
+  let loading = null;
+  const inFlight = new Map(); // key -> Promise<fileUri | null>
+  const failures = new Map(); // key -> time of last failure
+
+  const persist = async () => {
+    try {
+      await storage.setItem(ARTWORK_CACHE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      storageLog.error('Error saving artwork index', { error });
+    }
+  };
+  const deleteFile = (fileUri) => fileSystem.deleteAsync(fileUri, { idempotent: true }).catch(() => {});
+
+  const usedBytes = () => Object.values(entries).reduce((total, entry) => total + (entry.bytes || 0), 0);
+
+  const enforceLimit = async (keepKey) => {
+    const candidates = Object.values(entries)
+      .filter((entry) => entry.key !== keepKey)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    while (usedBytes() > maxBytes && candidates.length > 0) {
+      const evicted = candidates.shift();
+      delete entries[evicted.key];
+      await deleteFile(evicted.fileUri);
+    }
+  };
+
+  const resolvePlaceholder = async () => {
+    try {
+      const asset = Asset.fromModule(placeholder);
+      await asset.downloadAsync();
+      placeholderUri = asset.localUri ?? asset.uri;
+    } catch (error) {
+      storageLog.warn('Error resolving artwork placeholder', { error });
+    }
+  };
+
+  // Read the index, resolve the placeholder and make sure the cache directory exists
+  const load = () => {
+    if (loading) return loading;
+    loading = (async () => {
+      try {
+        const stored = await storage.getItem(ARTWORK_CACHE_KEY);
+        const parsed = stored ? JSON.parse(stored) : null;
+        if (parsed && typeof parsed === 'object') entries = parsed;
+        await fileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+      } catch (error) {
+        storageLog.error('Error loading artwork index', { error });
+      }
+      await resolvePlaceholder();
+    })();
+    return loading;
+  };
+
+  // Download `sourceUri`, scale its longer edge down to `size` and move the result into the cache
+  const fetchArtwork = async (sourceUri, size, key) => {
+    const fileUri = `${directory}${key}.jpg`;
+    const downloadUri = `${directory}${key}.download`;
+    try {
+      const result = await fileSystem.downloadAsync(sourceUri, downloadUri);
+      if (result.status < 200 || result.status >= 300) {
+        throw new Error(`HTTP ${result.status}`);
+      }
+      const { width, height } = await getImageSize(downloadUri);
+      let actions = [];
+      if (Math.max(width, height) > size) {
+        actions = [{ resize: width >= height ? { width: size } : { height: size } }];
+      }
+      const scaled = await imageManipulator.manipulateAsync(
+        downloadUri,
+        actions,
+        { compress: 0.8, format: imageManipulator.SaveFormat.JPEG },
+      );
+      await fileSystem.moveAsync({ from: scaled.uri, to: fileUri });
+      const info = await fileSystem.getInfoAsync(fileUri);
+      if (!info.exists || !info.size) {
+        throw new Error('Scaled image is empty');
+      }
+      entries[key] = { key, sourceUri, size, fileUri, bytes: info.size, lastUsedAt: Date.now() };
+      failures.delete(key);
+      await enforceLimit(key);
+      persist();
+      return fileUri;
+    } catch (error) {
+      storageLog.warn('Could not cache artwork', { sourceUri, error });
+      failures.set(key, Date.now());
+      await deleteFile(fileUri);
+      return null;
+    } finally {
+      await deleteFile(downloadUri);
+    }
+  };
+
+  // Local URI of the cached image if there is one, otherwise the placeholder. Synchronous,
+  // for building payloads; use get() to populate the cache.
+  const peek = (sourceUri, size = ArtworkSize.Browse) => {
+    if (!sourceUri) return placeholderUri ?? undefined;
+    const entry = entries[cacheKey(sourceUri, size)];
+    if (!entry) return placeholderUri ?? undefined;
+    entry.lastUsedAt = Date.now();
+    return entry.fileUri;
+  };
+
+  // Resolves to a local URI for `sourceUri` at `size`, fetching it if needed.
+  // Concurrent requests for the same image share one download.
+  const get = async (sourceUri, size = ArtworkSize.Browse) => {
+    await load();
+    if (!sourceUri) return placeholderUri ?? undefined;
+    const key = cacheKey(sourceUri, size);
+    const entry = entries[key];
+    if (entry) {
+      const info = await fileSystem.getInfoAsync(entry.fileUri);
+      if (info.exists && info.size === entry.bytes) {
+        entry.lastUsedAt = Date.now();
+        return entry.fileUri;
+      }
+      // Evicted by the OS (cache directory) or damaged: fetch again
+      delete entries[key];
+      persist();
+    }
+    const failedAt = failures.get(key);
+    if (failedAt && Date.now() - failedAt < FAILURE_RETRY_MS) return placeholderUri ?? undefined;
+    if (!inFlight.has(key)) {
+      inFlight.set(key, fetchArtwork(sourceUri, size, key).finally(() => inFlight.delete(key)));
+    }
+    return (await inFlight.get(key)) ?? placeholderUri ?? undefined;
+  };
+
+  // Fetch many images (duplicates are fetched once), at most prefetchConcurrency at a time.
+  // Resolves when all have settled.
+  const prefetch = async (sourceUris, size = ArtworkSize.Browse) => {
+    const pending = [...new Set(sourceUris.filter(Boolean))];
+    const worker = async () => {
+      while (pending.length > 0) {
+        await get(pending.shift(), size);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(prefetchConcurrency, pending.length) }, worker));
+  };
+
+  const clear = async () => {
+    const removed = Object.values(entries);
+    entries = {};
+    failures.clear();
+    await Promise.all(removed.map((entry) => deleteFile(entry.fileUri)));
+    await persist();
+  };
+
+  return { load, peek, get, prefetch, clear, usedBytes };
+};
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import CarProjection, { createListTemplate, createPaneTemplate } from 'react-native-car-projection';
+import { renderCarTemplate, TemplateKind } from './carElements';
+import { carLog } from '../logging';
+
+const TEMPLATE_FACTORIES = {
+  [TemplateKind.Pane]: createPaneTemplate,
+  [TemplateKind.List]: createListTemplate,
+};
+
+// Keeps the car screen `name` registered with the template its single child (<CarPane> or
+// <CarList>, see carElements.js) describes. Renders nothing on the phone. registerScreen
+// is called only when the rendered output changes; callbacks always reach the latest
+// props through the template's trampolines. `carProjection` and `templates` can be
+// swapped for fakes to render without a head unit.
+export default function CarScreen({
+  name,
+  children,
+  carProjection = CarProjection,
+  templates = TEMPLATE_FACTORIES,
+}) {
+  const handlersRef = useRef({});
+  const signatureRef = useRef(null);
+
+  const invoke = (path) => {
+    const handler = handlersRef.current[path];
+    if (handler) handler();
+    else carLog.warn('Car action no longer on screen', { screen: name, path });
+  };
+  const rendered = renderCarTemplate(children, { invoke });
+
+  useEffect(() => {
+    handlersRef.current = rendered.handlers;
+    if (rendered.signature === signatureRef.current) return;
+    signatureRef.current = rendered.signature;
+    carProjection.registerScreen({ name, template: templates[rendered.kind](rendered.config) });
+  });
+
+  return null;
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+import { render } from '@testing-library/react-native';
+import CarScreen from '../CarScreen';
+import { CarPane, CarRow, CarAction } from '../carElements';
+
+// CarScreen on a fake registerScreen; templates are the plain configs tagged with their kind
+const setup = () => {
+  const carProjection = { registerScreen: jest.fn() };
+  const templates = {
+    pane: (config) => ({ type: 'pane', ...config }),
+    list: (config) => ({ type: 'list', ...config }),
+  };
+  const NowPlaying = ({ title, onToggle = () => {} }) => (
+    <CarScreen name="main" carProjection={carProjection} templates={templates}>
+      <CarPane title="Now Playing">
+        <CarRow title={title} />
+        <CarAction title="⏸ Pause" onPress={onToggle} />
+      </CarPane>
+    </CarScreen>
+  );
+  return { carProjection, NowPlaying };
+};
+
+const registeredTitles = (carProjection) => carProjection.registerScreen.mock.calls
+  .map(([{ name, template }]) => [name, template.rows[0].title]);
+
+test('registers the screen once for the same output, however often it renders', () => {
+  const { carProjection, NowPlaying } = setup();
+  const { rerender } = render(<NowPlaying title="Song" />);
+  rerender(<NowPlaying title="Song" onToggle={() => {}} />);
+  rerender(<NowPlaying title="Song" onToggle={() => {}} />);
+
+  expect(registeredTitles(carProjection)).toEqual([['main', 'Song']]);
+});
+
+test('registers it again when what it shows changes', () => {
+  const { carProjection, NowPlaying } = setup();
+  const { rerender } = render(<NowPlaying title="Song" />);
+  rerender(<NowPlaying title="Other song" />);
+  rerender(<NowPlaying title="Other song" />);
+
+  expect(registeredTitles(carProjection)).toEqual([['main', 'Song'], ['main', 'Other song']]);
+});
+
+test('a kept template calls the latest handler', () => {
+  const { carProjection, NowPlaying } = setup();
+  const first = jest.fn();
+  const latest = jest.fn();
+  const { rerender } = render(<NowPlaying title="Song" onToggle={first} />);
+  rerender(<NowPlaying title="Song" onToggle={latest} />);
+
+  const [[{ template }]] = carProjection.registerScreen.mock.calls;
+  template.actions[0].onPress();
+  expect(latest).toHaveBeenCalledTimes(1);
+  expect(first).not.toHaveBeenCalled();
+});
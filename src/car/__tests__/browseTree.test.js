@@ -0,0 +1,103 @@
+import { buildBrowseTree, validateBrowseTree, BROWSE_ROOT_ID } from '../browseTree';
+
+const track = (id) => ({ id, title: `Track ${id}`, mediaUri: `https://example.com/${id}.mp3` });
+const folder = (id, children) => ({ id, title: `Folder ${id}`, children });
+const ids = (items) => items.map((item) => item.id);
+
+describe('buildBrowseTree', () => {
+  test('flattens nested folders into the keyed map', () => {
+    const map = buildBrowseTree([folder('artist:a', [folder('album:x', [track('1'), track('2')])]), track('3')], { strict: true });
+
+    expect(Object.keys(map)).toEqual(['album:x', 'artist:a', BROWSE_ROOT_ID]);
+    expect(map[BROWSE_ROOT_ID]).toEqual([
+      { id: 'artist:a', title: 'Folder artist:a', browsable: true, playable: false },
+      { ...track('3'), browsable: false, playable: true },
+    ]);
+    expect(ids(map['artist:a'])).toEqual(['album:x']);
+    expect(ids(map['album:x'])).toEqual(['1', '2']);
+  });
+
+  test('splits long lists into "More…" pages', () => {
+    const tracks = ['1', '2', '3', '4', '5', '6', '7'].map(track);
+    const map = buildBrowseTree([folder('f', tracks)], { strict: true, limits: { maxItemsPerNode: 3 } });
+
+    expect(ids(map.f)).toEqual(['1', '2', 'f::more:1']);
+    expect(ids(map['f::more:1'])).toEqual(['3', '4', 'f::more:2']);
+    expect(ids(map['f::more:2'])).toEqual(['5', '6', '7']);
+    expect(map.f[2]).toMatchObject({ title: 'More…', browsable: true, playable: false });
+    expect(validateBrowseTree(map, { maxItemsPerNode: 3 })).toEqual([]);
+  });
+
+  test('rejects a page size with no room for an item beside "More…"', () => {
+    const tracks = ['1', '2', '3'].map(track);
+    [1, 0, -1, NaN].forEach((maxItemsPerNode) => {
+      expect(() => buildBrowseTree([folder('f', tracks)], { strict: false, limits: { maxItemsPerNode } }))
+        .toThrow('maxItemsPerNode must be at least 2');
+    });
+    const map = buildBrowseTree([folder('f', tracks)], { strict: true, limits: { maxItemsPerNode: 2 } });
+    expect(ids(map.f)).toEqual(['1', 'f::more:1']);
+    expect(ids(map['f::more:1'])).toEqual(['2', '3']);
+  });
+
+  test('moves root entries past maxRootTabs into a trailing "More…" tab', () => {
+    const roots = ['a', 'b', 'c', 'd', 'e'].map((id) => folder(id, [track(`${id}1`)]));
+    const map = buildBrowseTree(roots, { strict: true, limits: { maxRootTabs: 3 } });
+
+    expect(ids(map[BROWSE_ROOT_ID])).toEqual(['a', 'b', `${BROWSE_ROOT_ID}::more:tabs`]);
+    expect(ids(map[`${BROWSE_ROOT_ID}::more:tabs`])).toEqual(['c', 'd', 'e']);
+  });
+
+  describe('nesting deeper than maxDepth', () => {
+    const nodes = [folder('a', [folder('b', [folder('c', [track('1')])]), track('2')])];
+
+    test('throws in strict mode, listing the problems', () => {
+      expect(() => buildBrowseTree(nodes, { strict: true, limits: { maxDepth: 2 } })).toThrow(
+        expect.objectContaining({ problems: ['"c" is nested 3 levels deep (max 2) at root › Folder a › Folder b › Folder c'] }),
+      );
+    });
+
+    test('otherwise drops the too-deep folder and warns', () => {
+      const onWarning = jest.fn();
+      const map = buildBrowseTree(nodes, { strict: false, limits: { maxDepth: 2 }, onWarning });
+
+      expect(ids(map.a)).toEqual(['b', '2']);
+      expect(map.b).toEqual([]);
+      expect(map.c).toBeUndefined();
+      expect(onWarning).toHaveBeenCalledWith(expect.stringContaining('"c" is nested 3 levels deep'));
+    });
+  });
+
+  test('renames a duplicate folder id when not strict', () => {
+    const onWarning = jest.fn();
+    const map = buildBrowseTree([folder('f', [track('1')]), folder('f', [track('2')])], { strict: false, onWarning });
+
+    expect(ids(map[BROWSE_ROOT_ID])).toEqual(['f', 'f~2']);
+    expect(ids(map['f~2'])).toEqual(['2']);
+    expect(onWarning).toHaveBeenCalledWith(expect.stringContaining('duplicate id "f"'));
+  });
+});
+
+describe('validateBrowseTree', () => {
+  test('needs the root key', () => {
+    expect(validateBrowseTree({})).toEqual([`missing "${BROWSE_ROOT_ID}" key`]);
+  });
+
+  test('reports each problem in a hand-built map', () => {
+    const browsable = (id) => ({ id, title: id, browsable: true, playable: false });
+    const map = {
+      [BROWSE_ROOT_ID]: [browsable('a'), browsable('b'), browsable('a'), { title: 'no id' }],
+      a: [track('1'), track('2'), track('3')],
+      extra: 'not a list',
+    };
+
+    expect(validateBrowseTree(map, { maxRootTabs: 3, maxItemsPerNode: 2 })).toEqual([
+      'root has 4 entries (max 3 tabs)',
+      `"${BROWSE_ROOT_ID}" has 4 items (max 2)`,
+      'browsable "b" has no children key',
+      'browsable id "a" appears more than once',
+      `an item in "${BROWSE_ROOT_ID}" has no id`,
+      '"a" has 3 items (max 2)',
+      '"extra" is not a list',
+    ]);
+  });
+});
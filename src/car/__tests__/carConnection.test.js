@@ -0,0 +1,168 @@
+import { createCarConnection, ConnectionState } from '../carConnection';
+
+// A scripted player in the machine's adapter shape. `respond` decides which state a
+// command leads to (null: no event ever arrives); events arrive `latencyMs` later.
+const createPlayer = ({ track = { id: 'a' }, state = 'playing', position = 42, latencyMs = 100 } = {}) => {
+  const listeners = new Set();
+  const player = {
+    track,
+    state,
+    commands: [],
+    respond: { pause: () => 'paused', play: () => 'playing' },
+    emit: (next) => {
+      player.state = next;
+      listeners.forEach((listener) => listener(next));
+    },
+    getActiveTrack: async () => player.track,
+    getPlaybackState: async () => player.state,
+    getPosition: async () => position,
+    seekTo: async (seconds) => {
+      player.commands.push(['seekTo', seconds]);
+    },
+    onPlaybackState: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+  ['pause', 'play'].forEach((command) => {
+    player[command] = async () => {
+      player.commands.push([command]);
+      const next = player.respond[command]();
+      if (next) setTimeout(() => player.emit(next), latencyMs);
+    };
+  });
+  return player;
+};
+
+const setup = (playerOptions, options = {}) => {
+  const player = createPlayer(playerOptions);
+  const transitions = [];
+  const connection = createCarConnection({
+    player,
+    onStateChange: (state, info) => transitions.push([state, info.source]),
+    stateTimeoutMs: 1000,
+    maxAttempts: 3,
+    retryDelayMs: 500,
+    ...options,
+  });
+  return { player, transitions, connection };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('restarts a playing item at its position and ends up routed', async () => {
+  const { player, transitions, connection } = setup();
+  const done = connection.connect('session');
+  await jest.advanceTimersByTimeAsync(300);
+
+  await expect(done).resolves.toEqual({ state: ConnectionState.Routed, activeTrack: { id: 'a' } });
+  expect(player.commands).toEqual([['pause'], ['seekTo', 42], ['play']]);
+  expect(transitions).toEqual([
+    [ConnectionState.Connecting, 'session'],
+    [ConnectionState.Routing, 'session'],
+    [ConnectionState.Routed, 'session'],
+  ]);
+});
+
+test('only plays a paused item', async () => {
+  const { player, connection } = setup({ state: 'paused' });
+  const done = connection.connect('mediaBrowser');
+  await jest.advanceTimersByTimeAsync(200);
+
+  await expect(done).resolves.toMatchObject({ state: ConnectionState.Routed });
+  expect(player.commands).toEqual([['play']]);
+});
+
+test('hands over to onIdle when nothing is loaded', async () => {
+  const onIdle = jest.fn(async () => {});
+  const { player, transitions, connection } = setup({ track: null }, { onIdle });
+
+  await expect(connection.connect('session')).resolves.toMatchObject({ state: ConnectionState.Routed });
+  expect(onIdle).toHaveBeenCalledWith('session');
+  expect(player.commands).toEqual([]);
+  expect(transitions.map(([state]) => state)).toEqual([ConnectionState.Connecting, ConnectionState.Routing, ConnectionState.Routed]);
+});
+
+test('fails when onIdle throws', async () => {
+  const { connection } = setup({ track: null }, { onIdle: async () => { throw new Error('nothing to play'); } });
+  await expect(connection.connect('session')).resolves.toMatchObject({ state: ConnectionState.Failed });
+});
+
+test('times out each step and retries after the retry delay', async () => {
+  const { player, connection } = setup({ state: 'paused' });
+  let plays = 0;
+  // The first play never reports Playing; the second does
+  player.respond.play = () => {
+    plays += 1;
+    return plays === 1 ? null : 'playing';
+  };
+  const done = connection.connect('session');
+
+  await jest.advanceTimersByTimeAsync(999);
+  expect(connection.getState()).toBe(ConnectionState.Routing);
+  await jest.advanceTimersByTimeAsync(1); // first attempt times out
+  await jest.advanceTimersByTimeAsync(499);
+  expect(player.commands).toEqual([['play']]);
+  await jest.advanceTimersByTimeAsync(1); // retry: pause → seek → play
+  await jest.advanceTimersByTimeAsync(200);
+
+  await expect(done).resolves.toMatchObject({ state: ConnectionState.Routed });
+  expect(player.commands).toEqual([['play'], ['pause'], ['seekTo', 42], ['play']]);
+});
+
+test('fails after maxAttempts', async () => {
+  const { player, transitions, connection } = setup({ state: 'paused' });
+  player.respond.play = () => null;
+  const done = connection.connect('session');
+
+  // Each attempt waits out the play timeout; 500 ms between attempts
+  await jest.advanceTimersByTimeAsync(1000 + 500 + 1000 + 500 + 1000);
+
+  await expect(done).resolves.toMatchObject({ state: ConnectionState.Failed });
+  expect(player.commands).toEqual([
+    ['play'],
+    ['pause'], ['seekTo', 42], ['play'],
+    ['pause'], ['seekTo', 42], ['play'],
+  ]);
+  expect(transitions[transitions.length - 1]).toEqual([ConnectionState.Failed, 'session']);
+});
+
+test('treats a player error as a failed attempt', async () => {
+  const { player, connection } = setup({ state: 'paused' }, { maxAttempts: 1 });
+  player.respond.play = () => 'error';
+  const done = connection.connect('session');
+  await jest.advanceTimersByTimeAsync(100);
+  await expect(done).resolves.toMatchObject({ state: ConnectionState.Failed });
+});
+
+test('a second connect while one is in flight shares it', async () => {
+  const { player, connection } = setup();
+  const first = connection.connect('session');
+  const second = connection.connect('mediaBrowser');
+  expect(second).toBe(first);
+  await jest.advanceTimersByTimeAsync(300);
+  await first;
+  expect(player.commands.filter(([command]) => command === 'play')).toHaveLength(1);
+});
+
+test('disconnect abandons a connect in progress', async () => {
+  const { transitions, connection } = setup();
+  const done = connection.connect('session');
+  await jest.advanceTimersByTimeAsync(50);
+  connection.disconnect();
+  await jest.advanceTimersByTimeAsync(300);
+  await done;
+
+  expect(connection.getState()).toBe(ConnectionState.Disconnected);
+  expect(transitions.map(([state]) => state)).toEqual([
+    ConnectionState.Connecting,
+    ConnectionState.Routing,
+    ConnectionState.Disconnected,
+  ]);
+});
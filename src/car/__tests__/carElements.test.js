@@ -0,0 +1,85 @@
+import React from 'react';
+import {
+  CarPane, CarList, CarRow, CarAction, CarActionStrip, renderCarTemplate, TemplateKind,
+} from '../carElements';
+
+const nowPlaying = ({ title = 'Song', playing = true, onToggle = () => {}, sleep = null } = {}) => (
+  <CarPane title="Now Playing">
+    <CarActionStrip>
+      <CarAction title="Library" onPress={() => {}} />
+    </CarActionStrip>
+    <CarRow title={title} texts={['Artist']} />
+    {sleep && <CarRow title="Sleep timer" texts={[sleep]} />}
+    <>
+      <CarAction title={playing ? '⏸ Pause' : '▶ Play'} onPress={onToggle} />
+    </>
+  </CarPane>
+);
+
+describe('renderCarTemplate', () => {
+  test('turns a pane into its template config, skipping fragments and false', () => {
+    const { kind, config } = renderCarTemplate(nowPlaying());
+    expect(kind).toBe(TemplateKind.Pane);
+    expect(config).toEqual({
+      title: 'Now Playing',
+      actionStrip: [{ title: 'Library', onPress: expect.any(Function) }],
+      rows: [{ title: 'Song', texts: ['Artist'] }],
+      actions: [{ title: '⏸ Pause', onPress: expect.any(Function) }],
+    });
+  });
+
+  test('the signature ignores new callback identities', () => {
+    const first = renderCarTemplate(nowPlaying({ onToggle: () => 'a' }));
+    const second = renderCarTemplate(nowPlaying({ onToggle: () => 'b' }));
+    expect(second.signature).toBe(first.signature);
+  });
+
+  test('the signature changes with anything shown', () => {
+    const base = renderCarTemplate(nowPlaying()).signature;
+    expect(renderCarTemplate(nowPlaying({ title: 'Other song' })).signature).not.toBe(base);
+    expect(renderCarTemplate(nowPlaying({ playing: false })).signature).not.toBe(base);
+    expect(renderCarTemplate(nowPlaying({ sleep: '5 min left' })).signature).not.toBe(base);
+  });
+
+  test('a list and a pane with the same fields have different signatures', () => {
+    const pane = renderCarTemplate(<CarPane title="X"><CarRow title="a" /></CarPane>);
+    const list = renderCarTemplate(<CarList title="X"><CarRow title="a" /></CarList>);
+    expect(list.kind).toBe(TemplateKind.List);
+    expect(list.signature).not.toBe(pane.signature);
+  });
+
+  test('with invoke, callbacks are trampolines that call invoke(path)', () => {
+    const onToggle = jest.fn();
+    const invoke = jest.fn();
+    const { config, handlers } = renderCarTemplate(nowPlaying({ onToggle }), { invoke });
+
+    config.actions[0].onPress();
+    expect(invoke).toHaveBeenCalledWith('pane.actions.0.onPress');
+    expect(handlers['pane.actions.0.onPress']).toBe(onToggle);
+    expect(onToggle).not.toHaveBeenCalled();
+  });
+
+  test('rejects other roots and children', () => {
+    expect(() => renderCarTemplate(<CarRow title="a" />)).toThrow('the root must be <CarPane> or <CarList>, got <CarRow>');
+    expect(() => renderCarTemplate(<CarList title="X"><CarAction title="a" /></CarList>)).toThrow(
+      '<CarAction> is not allowed inside <CarList>',
+    );
+    expect(() => renderCarTemplate(<CarPane><CarActionStrip><CarRow title="a" /></CarActionStrip></CarPane>)).toThrow(
+      '<CarRow> is not allowed inside <CarActionStrip>',
+    );
+  });
+
+  test('names a component inside the template instead of rendering it wrong', () => {
+    const SleepRow = ({ remaining }) => <CarRow title="Sleep timer" texts={[remaining]} />;
+    const Memoized = React.memo(function TrackRow() {
+      return <CarRow title="Song" />;
+    });
+    const NowPlaying = () => nowPlaying();
+
+    expect(() => renderCarTemplate(<CarPane><SleepRow remaining="5 min" /></CarPane>)).toThrow(
+      '<SleepRow> is a component: templates are built from Car* elements only',
+    );
+    expect(() => renderCarTemplate(<CarList><><Memoized /></></CarList>)).toThrow('<TrackRow> is a component');
+    expect(() => renderCarTemplate(<NowPlaying />)).toThrow('<NowPlaying> is a component');
+  });
+});
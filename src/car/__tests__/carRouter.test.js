@@ -0,0 +1,128 @@
+import { createCarRouter } from '../carRouter';
+import { createFakeCarProjection, createListTemplate } from '../simulator/fakeCarProjection';
+
+// A router over a fake head unit with a session started on `main`, mirroring its screen changes
+const setup = (options = {}) => {
+  const car = createFakeCarProjection({ clock: { now: () => 0 } });
+  const router = createCarRouter(car.module, { strict: true, ...options });
+  const list = (title) => createListTemplate({ title, items: [] });
+  router.define('main', { build: () => list('Main') });
+  router.define('library', { build: () => list('Library') });
+  router.define('show', { params: { showId: 'string', page: 'number?' }, build: ({ showId }) => list(showId) });
+  router.define('nowPlaying'); // rendered by a component
+  router.render('main');
+  router.attach();
+  car.headUnit.startSession();
+  return { car, router };
+};
+
+const names = (router) => router.backStack().map((entry) => entry.name);
+
+test('navigate renders the route and pushes it on both stacks', () => {
+  const { car, router } = setup();
+  const snapshots = [];
+  router.subscribe((stack) => snapshots.push(stack.map((entry) => entry.name)));
+
+  expect(router.navigate('library')).toBe(true);
+  expect(router.navigate('show', { showId: 'podcast:a' })).toBe(true);
+
+  expect(names(router)).toEqual(['main', 'library', 'show']);
+  expect(car.headUnit.screenStack()).toEqual(['main', 'library', 'show']);
+  expect(car.headUnit.currentTemplate().title).toBe('podcast:a');
+  expect(router.current()).toEqual({ name: 'show', params: { showId: 'podcast:a' } });
+  expect(snapshots[snapshots.length - 1]).toEqual(['main', 'library', 'show']);
+});
+
+test('pop and popToRoot move both stacks back together', () => {
+  const { car, router } = setup();
+  router.navigate('library');
+  router.navigate('show', { showId: 'podcast:a' });
+  router.navigate('library');
+
+  router.pop();
+  expect(names(router)).toEqual(['main', 'library', 'show']);
+  expect(car.headUnit.screenStack()).toEqual(['main', 'library', 'show']);
+
+  router.popToRoot();
+  expect(names(router)).toEqual(['main']);
+  expect(car.headUnit.screenStack()).toEqual(['main']);
+
+  // Nothing to pop at the root
+  router.pop();
+  expect(names(router)).toEqual(['main']);
+});
+
+test('follows screens the host pops with its own back button', () => {
+  const { car, router } = setup();
+  router.navigate('library');
+  router.navigate('show', { showId: 'podcast:a' });
+
+  car.headUnit.back();
+  expect(names(router)).toEqual(['main', 'library']);
+  car.headUnit.back();
+  expect(router.current().name).toBe('main');
+});
+
+test('handleScreenChanged adopts a screen pushed without the router', () => {
+  const { router } = setup();
+  router.render('show', { showId: 'podcast:b' });
+  router.handleScreenChanged('show');
+  expect(router.current()).toEqual({ name: 'show', params: { showId: 'podcast:b' } });
+
+  router.handleScreenChanged('main');
+  expect(names(router)).toEqual(['main']);
+});
+
+test('refresh re-renders a rendered route with its last params, and skips the rest', () => {
+  const { car, router } = setup();
+  expect(router.refresh('library')).toBe(false);
+  router.navigate('show', { showId: 'podcast:a' });
+
+  expect(router.refresh('show')).toBe(true);
+  expect(car.headUnit.templates('show').map((entry) => entry.template.title)).toEqual(['podcast:a', 'podcast:a']);
+});
+
+describe('in strict mode', () => {
+  test.each([
+    ['a missing param', {}, 'route "show" needs param "showId" (string)'],
+    ['a param of the wrong type', { showId: 7 }, 'route "show" param "showId" should be string, got number'],
+    ['an unknown param', { showId: 'a', sort: 'asc' }, 'route "show" has no param "sort"'],
+    ['an optional param of the wrong type', { showId: 'a', page: '2' }, 'route "show" param "page" should be number, got string'],
+  ])('rejects %s', (_, params, message) => {
+    const { car, router } = setup();
+    expect(() => router.navigate('show', params)).toThrow(`[CarRouter] ${message}`);
+    expect(car.headUnit.screenStack()).toEqual(['main']);
+    expect(names(router)).toEqual(['main']);
+  });
+
+  test('throws for an unknown route or rendering a component route', () => {
+    const { router } = setup();
+    expect(() => router.navigate('settings')).toThrow('[CarRouter] unknown route "settings"');
+    expect(() => router.render('nowPlaying')).toThrow('route "nowPlaying" is rendered by a component');
+  });
+});
+
+describe('otherwise', () => {
+  test('warns and ignores an unknown route or bad params', () => {
+    const onWarning = jest.fn();
+    const { car, router } = setup({ strict: false, onWarning });
+
+    expect(router.navigate('settings')).toBe(false);
+    expect(router.navigate('show', { showId: 1 })).toBe(false);
+    expect(onWarning.mock.calls).toEqual([
+      ['unknown route "settings"'],
+      ['route "show" param "showId" should be string, got number'],
+    ]);
+    expect(car.headUnit.screenStack()).toEqual(['main']);
+    expect(names(router)).toEqual(['main']);
+  });
+
+  test('warns about an unknown screen the head unit shows, and still tracks it', () => {
+    const onWarning = jest.fn();
+    const { router } = setup({ strict: false, onWarning });
+    router.handleScreenChanged('carSettings');
+
+    expect(onWarning).toHaveBeenCalledWith('head unit showed unknown screen "carSettings"');
+    expect(names(router)).toEqual(['main', 'carSettings']);
+  });
+});
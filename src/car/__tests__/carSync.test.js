@@ -0,0 +1,143 @@
+import { createCarSync } from '../carSync';
+
+const FRAME_MS = 16;
+
+// carSync over a recording CarProjection; frames are 16 ms timers on Jest's fake clock
+const setup = (options = {}) => {
+  const calls = [];
+  const carProjection = {
+    updateMediaPlaybackState: jest.fn(async (payload) => {
+      calls.push(['state', payload]);
+    }),
+    registerScreen: jest.fn(({ name, template }) => {
+      calls.push(['screen', name, template.title]);
+    }),
+    navigateToScreen: jest.fn((name) => {
+      calls.push(['navigate', name]);
+    }),
+    popScreen: jest.fn(),
+    popToRoot: jest.fn(),
+  };
+  const sync = createCarSync(carProjection, {
+    schedule: (fn) => setTimeout(fn, FRAME_MS),
+    now: () => Date.now(),
+    ...options,
+  });
+  return { sync, carProjection, calls };
+};
+
+const playing = (position, extra = {}) => ({ state: 'playing', title: 'Song', position, playbackSpeed: 1, ...extra });
+const list = (title) => ({ title, items: [{ title: 'Item', onPress: () => {} }] });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a burst within one frame sends the latest state and template once', async () => {
+  const { sync, carProjection } = setup();
+  for (let i = 0; i < 10; i += 1) {
+    sync.updateMediaPlaybackState(playing(i * 0.1));
+    sync.registerScreen({ name: 'main', template: list(`render ${i}`) });
+  }
+  sync.registerScreen({ name: 'library', template: list('Library') });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+
+  expect(carProjection.updateMediaPlaybackState).toHaveBeenCalledTimes(1);
+  expect(carProjection.updateMediaPlaybackState).toHaveBeenCalledWith(playing(0.9));
+  expect(carProjection.registerScreen.mock.calls.map(([{ name, template }]) => [name, template.title])).toEqual([
+    ['main', 'render 9'],
+    ['library', 'Library'],
+  ]);
+  expect(sync.stats()).toEqual({
+    playbackStateRequested: 10,
+    playbackStateSent: 1,
+    playbackStateDeduped: 0,
+    playbackStateExtrapolated: 0,
+    templatesRequested: 11,
+    templatesSent: 2,
+    templatesDeduped: 0,
+    coalesced: 18,
+    flushes: 1,
+  });
+});
+
+test('a minute of progress ticks and identical re-renders sends almost nothing', async () => {
+  const { sync, carProjection } = setup();
+  for (let second = 0; second <= 60; second += 1) {
+    sync.updateMediaPlaybackState(playing(second));
+    // A re-render with new closures but the same content
+    sync.registerScreen({ name: 'main', template: list('Now Playing') });
+    await jest.advanceTimersByTimeAsync(1000);
+  }
+
+  expect(carProjection.updateMediaPlaybackState).toHaveBeenCalledTimes(1);
+  expect(carProjection.registerScreen).toHaveBeenCalledTimes(1);
+  expect(sync.stats()).toMatchObject({
+    playbackStateRequested: 61,
+    playbackStateSent: 1,
+    playbackStateExtrapolated: 60,
+    templatesRequested: 61,
+    templatesSent: 1,
+    templatesDeduped: 60,
+    flushes: 61,
+  });
+});
+
+test('sends a state the head unit cannot extrapolate', async () => {
+  const { sync, carProjection } = setup();
+  sync.updateMediaPlaybackState(playing(10));
+  await jest.advanceTimersByTimeAsync(1000);
+
+  sync.updateMediaPlaybackState(playing(90)); // seeked
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+  sync.updateMediaPlaybackState(playing(90.1), { force: true });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+  sync.updateMediaPlaybackState(playing(90.2, { state: 'paused' }));
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+  sync.updateMediaPlaybackState(playing(90.2, { state: 'paused' }));
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+
+  expect(carProjection.updateMediaPlaybackState.mock.calls.map(([payload]) => payload.position)).toEqual([10, 90, 90.1, 90.2]);
+  expect(sync.stats()).toMatchObject({ playbackStateSent: 4, playbackStateDeduped: 1 });
+});
+
+test('navigation sends pending templates first', () => {
+  const { sync, calls } = setup();
+  sync.registerScreen({ name: 'library', template: list('Library') });
+  sync.navigateToScreen('library');
+  expect(calls).toEqual([['screen', 'library', 'Library'], ['navigate', 'library']]);
+});
+
+test('a failed send is retried and reported', async () => {
+  const onError = jest.fn();
+  const { sync, carProjection } = setup({ onError });
+  carProjection.registerScreen.mockImplementationOnce(() => {
+    throw new Error('host rejected the template');
+  });
+  sync.registerScreen({ name: 'main', template: list('Now Playing') });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+  sync.registerScreen({ name: 'main', template: list('Now Playing') });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'host rejected the template' }));
+  expect(carProjection.registerScreen).toHaveBeenCalledTimes(2);
+});
+
+test('invalidate resends everything to a new session', async () => {
+  const { sync, carProjection } = setup();
+  sync.updateMediaPlaybackState(playing(5, { state: 'paused' }));
+  sync.registerScreen({ name: 'main', template: list('Now Playing') });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+
+  sync.invalidate();
+  sync.updateMediaPlaybackState(playing(5, { state: 'paused' }));
+  sync.registerScreen({ name: 'main', template: list('Now Playing') });
+  await jest.advanceTimersByTimeAsync(FRAME_MS);
+
+  expect(carProjection.updateMediaPlaybackState).toHaveBeenCalledTimes(2);
+  expect(carProjection.registerScreen).toHaveBeenCalledTimes(2);
+});
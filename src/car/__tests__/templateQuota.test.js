@@ -0,0 +1,109 @@
+import { createTemplateQuota, TEMPLATE_LIMITS } from '../templateQuota';
+import { createCarRouter } from '../carRouter';
+import { createFakeCarProjection, createListTemplate } from '../simulator/fakeCarProjection';
+
+const { count, windowMs } = TEMPLATE_LIMITS.refreshLimit;
+
+// The quota over a fake head unit, on Jest's fake timers
+const setup = (options = {}) => {
+  const car = createFakeCarProjection({ clock: { now: () => Date.now() } });
+  const quota = createTemplateQuota(car.module, {
+    timers: { setTimeout, clearTimeout },
+    warnings: false,
+    ...options,
+  });
+  const list = (title) => createListTemplate({ title, items: [] });
+  return { car, quota, list };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('refresh limit', () => {
+  test('a burst sends the allowed refreshes, then only the latest template once the window has room', () => {
+    const { car, quota, list } = setup();
+    quota.registerScreen({ name: 'main', template: list('first') });
+    for (let i = 1; i <= 20; i += 1) {
+      quota.registerScreen({ name: 'main', template: list(`burst ${i}`) });
+    }
+    const allowed = Array.from({ length: count }, (_, index) => `burst ${index + 1}`);
+    expect(car.headUnit.templates('main').map((entry) => entry.template.title)).toEqual(['first', ...allowed]);
+
+    jest.advanceTimersByTime(windowMs - 1);
+    expect(car.headUnit.templates('main')).toHaveLength(count + 1);
+    jest.advanceTimersByTime(1);
+    expect(car.headUnit.templates('main')).toHaveLength(count + 2);
+    expect(car.headUnit.templateOf('main').title).toBe('burst 20');
+    expect(quota.stats()).toMatchObject({
+      registrations: 21,
+      refreshes: { main: count + 1 },
+      deferred: 1,
+      collapsed: 20 - count - 1,
+    });
+  });
+
+  test('navigating to a screen with a deferred refresh sends it right away', () => {
+    const { car, quota, list } = setup();
+    quota.registerScreen({ name: 'list', template: list('first') });
+    for (let i = 1; i <= count + 1; i += 1) {
+      quota.registerScreen({ name: 'list', template: list(`refresh ${i}`) });
+    }
+    expect(car.headUnit.templateOf('list').title).toBe(`refresh ${count}`);
+
+    quota.navigateToScreen('list');
+    expect(car.headUnit.templateOf('list').title).toBe(`refresh ${count + 1}`);
+    jest.advanceTimersByTime(windowMs);
+    expect(car.headUnit.templates('list')).toHaveLength(count + 2);
+  });
+
+  test('reset starts fresh budgets and forgets which screens were registered', () => {
+    const { car, quota, list } = setup();
+    quota.registerScreen({ name: 'main', template: list('first') });
+    quota.registerScreen({ name: 'main', template: list('refresh') });
+    quota.reset();
+
+    quota.registerScreen({ name: 'main', template: list('new session') });
+    expect(car.headUnit.templateOf('main').title).toBe('new session');
+    expect(quota.stats().refreshes).toEqual({});
+  });
+});
+
+describe('depth limit', () => {
+  const screens = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+  test('navigating past maxDepth replaces the top screen and reports it', () => {
+    const { car, quota, list } = setup({ limits: { maxDepth: 3 } });
+    car.headUnit.startSession();
+    screens.forEach((name) => quota.registerScreen({ name, template: list(name) }));
+
+    expect(quota.navigateToScreen('a')).toEqual({ replaced: null });
+    expect(quota.navigateToScreen('b')).toEqual({ replaced: null });
+    expect(quota.navigateToScreen('c')).toEqual({ replaced: 'b' });
+    expect(car.headUnit.screenStack()).toEqual(['main', 'a', 'c']);
+    expect(quota.depth()).toBe(3);
+    expect(quota.stats().depthCollapsed).toBe(1);
+  });
+
+  test('the router drops the replaced screen from its back stack', () => {
+    const { car, quota, list } = setup({ limits: { maxDepth: 3 } });
+    const router = createCarRouter(quota, { strict: true });
+    screens.forEach((name) => router.define(name, { build: () => list(name) }));
+    car.headUnit.startSession();
+    router.attach();
+    quota.attach();
+
+    ['a', 'b', 'c', 'd'].forEach((name) => router.navigate(name));
+    expect(router.backStack().map((entry) => entry.name)).toEqual(['main', 'a', 'd']);
+    expect(car.headUnit.screenStack()).toEqual(['main', 'a', 'd']);
+
+    car.headUnit.back();
+    expect(router.current().name).toBe('a');
+    router.pop();
+    expect(router.backStack().map((entry) => entry.name)).toEqual(['main']);
+  });
+});
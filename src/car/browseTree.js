@@ -0,0 +1,158 @@
+// Builds the keyed map setMediaBrowseTree expects from a nested catalog, e.g.
+//   [{ id: 'artist:a', title: 'A', children: [{ id: 'album:x', title: 'X', children: [track, ...] }] }]
+// becomes { __ROOT__: [artist A], 'artist:a': [album X], 'album:x': [tracks] }.
+// A node with `children` is browsable; anything else is a playable item.
+//
+// Android Auto limits are enforced here rather than discovered on the head unit:
+// - lists longer than maxItemsPerNode are split into "More…" pages
+// - more than maxRootTabs root entries: the overflow moves to a trailing "More…" tab
+// - nesting deeper than maxDepth, duplicate browsable ids and ids without a children key are
+//   errors: thrown in development (strict), logged and repaired best-effort otherwise.
+
+import { carLog } from '../logging';
+
+export const BROWSE_ROOT_ID = '__ROOT__';
+
+export const BROWSE_LIMITS = {
+  maxRootTabs: 4,
+  maxDepth: 3, // browsable levels below the root
+  maxItemsPerNode: 100,
+};
+
+const MORE_TITLE = 'More…';
+
+const moreId = (parentId, page) => `${parentId}::more:${page}`;
+
+// The item as it appears in the map: node fields without `children`, flags filled in
+const toMapItem = ({ children, ...fields }) => ({
+  ...fields,
+  browsable: Array.isArray(children),
+  playable: Array.isArray(children) ? false : fields.playable !== false,
+});
+
+// Split `items` into pages of at most `limit`, each but the last ending in a "More…" folder
+const paginate = (parentId, items, limit, map) => {
+  if (items.length <= limit) return items;
+  const firstPage = items.slice(0, limit - 1);
+  let rest = items.slice(limit - 1);
+  let page = 1;
+  let previous = firstPage;
+  while (rest.length > 0) {
+    const id = moreId(parentId, page);
+    previous.push({ id, title: MORE_TITLE, browsable: true, playable: false });
+    const pageItems = rest.length > limit ? rest.slice(0, limit - 1) : rest;
+    rest = rest.slice(pageItems.length);
+    map[id] = pageItems;
+    previous = pageItems;
+    page += 1;
+  }
+  return firstPage;
+};
+
+// Problems with a keyed map (hand-built or generated): missing children keys, duplicate
+// browsable ids, over-long lists, too many root tabs. Returns human-readable strings.
+export const validateBrowseTree = (map, limits = BROWSE_LIMITS) => {
+  const problems = [];
+  const { maxRootTabs, maxItemsPerNode } = { ...BROWSE_LIMITS, ...limits };
+  if (!Array.isArray(map[BROWSE_ROOT_ID])) {
+    return [`missing "${BROWSE_ROOT_ID}" key`];
+  }
+  if (map[BROWSE_ROOT_ID].length > maxRootTabs) {
+    problems.push(`root has ${map[BROWSE_ROOT_ID].length} entries (max ${maxRootTabs} tabs)`);
+  }
+  const browsableSeen = new Set();
+  Object.entries(map).forEach(([parentId, items]) => {
+    if (!Array.isArray(items)) {
+      problems.push(`"${parentId}" is not a list`);
+      return;
+    }
+    if (items.length > maxItemsPerNode) {
+      problems.push(`"${parentId}" has ${items.length} items (max ${maxItemsPerNode})`);
+    }
+    items.forEach((item) => {
+      if (!item?.id) {
+        problems.push(`an item in "${parentId}" has no id`);
+        return;
+      }
+      if (!item.browsable) return;
+      if (browsableSeen.has(item.id)) problems.push(`browsable id "${item.id}" appears more than once`);
+      browsableSeen.add(item.id);
+      if (!Array.isArray(map[item.id])) problems.push(`browsable "${item.id}" has no children key`);
+    });
+  });
+  return problems;
+};
+
+// nodes: root entries (nested). Options: limits (see BROWSE_LIMITS), strict (throw on
+// violations; defaults to __DEV__), onWarning(message) for non-strict mode (carLog by default).
+export const buildBrowseTree = (nodes, {
+  limits = BROWSE_LIMITS,
+  strict = typeof __DEV__ !== 'undefined' && __DEV__,
+  onWarning = (message) => carLog.warn(message),
+} = {}) => {
+  const { maxRootTabs, maxDepth, maxItemsPerNode } = { ...BROWSE_LIMITS, ...limits };
+  // A page holds at least one item besides its "More…" link
+  if (!(maxItemsPerNode >= 2)) throw new Error(`maxItemsPerNode must be at least 2 (got ${maxItemsPerNode})`);
+  const map = {};
+  const problems = [];
+  const browsableIds = new Set([BROWSE_ROOT_ID]);
+  const playableIds = new Set();
+
+  const uniqueBrowsableId = (id, path) => {
+    if (!browsableIds.has(id) && !playableIds.has(id)) return id;
+    problems.push(`duplicate id "${id}" at ${path}`);
+    let n = 2;
+    while (browsableIds.has(`${id}~${n}`) || playableIds.has(`${id}~${n}`)) n += 1;
+    return `${id}~${n}`;
+  };
+
+  const addChildren = (parentId, children, depth, path) => {
+    const items = children.map((node, index) => {
+      const nodePath = `${path} › ${node?.title ?? index}`;
+      if (!node?.id) {
+        problems.push(`item without id at ${nodePath}`);
+        return null;
+      }
+      if (!Array.isArray(node.children)) {
+        // The same playable item may be listed in several folders
+        if (browsableIds.has(node.id)) problems.push(`playable id "${node.id}" is also a folder (${nodePath})`);
+        playableIds.add(node.id);
+        return toMapItem(node);
+      }
+      if (depth >= maxDepth) {
+        problems.push(`"${node.id}" is nested ${depth + 1} levels deep (max ${maxDepth}) at ${nodePath}`);
+        return null;
+      }
+      const id = uniqueBrowsableId(node.id, nodePath);
+      browsableIds.add(id);
+      addChildren(id, node.children, depth + 1, nodePath);
+      return toMapItem({ ...node, id });
+    }).filter(Boolean);
+    map[parentId] = paginate(parentId, items, maxItemsPerNode, map);
+  };
+
+  addChildren(BROWSE_ROOT_ID, nodes, 0, 'root');
+
+  // Root: the overflow becomes one trailing "More…" tab (itself paginated if long)
+  const root = map[BROWSE_ROOT_ID];
+  if (root.length > maxRootTabs) {
+    const overflowId = moreId(BROWSE_ROOT_ID, 'tabs');
+    map[overflowId] = paginate(overflowId, root.slice(maxRootTabs - 1), maxItemsPerNode, map);
+    map[BROWSE_ROOT_ID] = [
+      ...root.slice(0, maxRootTabs - 1),
+      { id: overflowId, title: MORE_TITLE, browsable: true, playable: false },
+    ];
+  }
+
+  problems.push(...validateBrowseTree(map, limits));
+  if (problems.length > 0) {
+    const message = `Invalid browse tree:\n- ${problems.join('\n- ')}`;
+    if (strict) {
+      const error = new Error(message);
+      error.problems = problems;
+      throw error;
+    }
+    onWarning(message);
+  }
+  return map;
+};
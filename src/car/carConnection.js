@@ -0,0 +1,179 @@
+// Car connection / audio-routing state machine, shared by Car App sessions
+// (addSessionStartedListener) and MediaBrowser binds (addMediaBrowserConnectedListener).
+//
+//   disconnected → connecting → routing → routed
+//                                  └──────→ failed (after maxAttempts)
+//
+// When the car connects while something is loaded, playback has to be restarted
+// for Android Auto to pick up the audio: pause → (Paused) → seek → play → (Playing).
+// Each step waits for the real PlaybackState event instead of sleeping, with a
+// timeout per step and a bounded number of attempts.
+//
+// The module has no imports so it can be shared with the example apps and driven
+// by a fake player (and fake timers) in tests; see trackPlayerAdapter below.
+
+export const ConnectionState = {
+  Disconnected: 'disconnected',
+  Connecting: 'connecting',
+  Routing: 'routing',
+  Routed: 'routed',
+  Failed: 'failed',
+};
+
+const DEFAULT_STATE_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Adapt react-native-track-player to the small player interface the machine uses.
+// Passed in (rather than imported) so the same module works from each example app.
+// Playback states are reported as 'playing' | 'paused' | 'error' | 'other'.
+export const trackPlayerAdapter = (TrackPlayer, Event, State) => {
+  const toPlaybackState = (state) => {
+    if (state === State.Playing) return 'playing';
+    if (state === State.Paused) return 'paused';
+    if (state === State.Error) return 'error';
+    return 'other';
+  };
+  return {
+    getActiveTrack: () => TrackPlayer.getActiveTrack(),
+    getPlaybackState: async () => toPlaybackState((await TrackPlayer.getPlaybackState())?.state),
+    getPosition: async () => (await TrackPlayer.getProgress())?.position ?? 0,
+    pause: () => TrackPlayer.pause(),
+    play: () => TrackPlayer.play(),
+    seekTo: (position) => TrackPlayer.seekTo(position),
+    // Returns a subscription with remove()
+    onPlaybackState: (listener) => TrackPlayer.addEventListener(
+      Event.PlaybackState,
+      (event) => listener(toPlaybackState(event.state)),
+    ),
+  };
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run `command` and resolve once the player is in `target` state: either reported by a
+// PlaybackState event or already true when the command returns (no event is emitted
+// when the state doesn't change). Rejects on 'error' or after timeoutMs.
+const commandAndWait = (player, command, target, timeoutMs) => {
+  let subscription = null;
+  let timer = null;
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms waiting for "${target}"`)), timeoutMs);
+    // Subscribe before issuing the command so the event can't be missed
+    subscription = player.onPlaybackState((state) => {
+      if (state === target) resolve();
+      else if (state === 'error') reject(new Error(`Player reported an error while waiting for "${target}"`));
+    });
+    command()
+      .then(() => player.getPlaybackState())
+      .then((state) => {
+        if (state === target) resolve();
+      })
+      .catch(reject);
+  });
+  return promise.finally(() => {
+    clearTimeout(timer);
+    subscription?.remove();
+  });
+};
+
+/**
+ * Create a connection machine.
+ * - player: see trackPlayerAdapter
+ * - onStateChange(state, { source, activeTrack, error }): every transition
+ * - onIdle(source): called in "routing" when nothing is loaded, to let the app start
+ *   something (resume a saved session, recently played...). May be async.
+ * Returns { connect(source), disconnect(), getState() }. connect() resolves to
+ * { state, activeTrack }; calling it again while a connect is in flight returns the same
+ * promise, so a Car App session start and a MediaBrowser bind don't route twice.
+ */
+export const createCarConnection = ({
+  player,
+  onStateChange = () => {},
+  onIdle = async () => {},
+  stateTimeoutMs = DEFAULT_STATE_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+}) => {
+  let state = ConnectionState.Disconnected;
+  let inFlight = null;
+  // Bumped on every connect/disconnect so a superseded run stops touching state
+  let generation = 0;
+
+  const transition = (next, info) => {
+    state = next;
+    onStateChange(next, info);
+  };
+
+  // One routing attempt: restart playback so the audio goes to the car
+  const routeOnce = async (wasPlaying) => {
+    if (wasPlaying) {
+      const position = await player.getPosition();
+      await commandAndWait(player, () => player.pause(), 'paused', stateTimeoutMs);
+      if (position > 0) await player.seekTo(position);
+    }
+    await commandAndWait(player, () => player.play(), 'playing', stateTimeoutMs);
+  };
+
+  const run = async (source, runGeneration) => {
+    const isCurrent = () => runGeneration === generation;
+    transition(ConnectionState.Connecting, { source });
+
+    const [activeTrack, playbackState] = await Promise.all([player.getActiveTrack(), player.getPlaybackState()]);
+    const wasPlaying = playbackState === 'playing';
+    if (!isCurrent()) return { state, activeTrack };
+    transition(ConnectionState.Routing, { source, activeTrack });
+
+    if (!activeTrack) {
+      try {
+        await onIdle(source);
+      } catch (error) {
+        if (isCurrent()) transition(ConnectionState.Failed, { source, activeTrack, error });
+        return { state, activeTrack };
+      }
+      if (isCurrent()) transition(ConnectionState.Routed, { source, activeTrack });
+      return { state, activeTrack };
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      try {
+        // Retries go through pause → seek again: a half-finished attempt may have left it anywhere
+        await routeOnce(wasPlaying || attempt > 1);
+        if (isCurrent()) transition(ConnectionState.Routed, { source, activeTrack });
+        return { state, activeTrack };
+      } catch (error) {
+        lastError = error;
+        if (!isCurrent()) return { state, activeTrack };
+        if (attempt < maxAttempts) await delay(retryDelayMs);
+      }
+    }
+    if (isCurrent()) transition(ConnectionState.Failed, { source, activeTrack, error: lastError });
+    return { state, activeTrack };
+  };
+
+  return {
+    getState: () => state,
+
+    connect: (source) => {
+      if (inFlight) return inFlight;
+      generation += 1;
+      const runGeneration = generation;
+      inFlight = run(source, runGeneration)
+        .catch((error) => {
+          if (runGeneration === generation) transition(ConnectionState.Failed, { source, error });
+          return { state, activeTrack: null };
+        })
+        .finally(() => {
+          if (runGeneration === generation) inFlight = null;
+        });
+      return inFlight;
+    },
+
+    disconnect: () => {
+      generation += 1;
+      inFlight = null;
+      transition(ConnectionState.Disconnected, {});
+    },
+  };
+};
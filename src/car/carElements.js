@@ -0,0 +1,117 @@
+import React from 'react';
+
+// Car templates written as React elements, e.g.
+//   <CarPane title="Now Playing">
+//     <CarActionStrip><CarAction title="Library" onPress={openLibrary} /></CarActionStrip>
+//     <CarRow title={track.title} texts={[track.artist]} />
+//     <CarAction title="⏸ Pause" onPress={pause} />
+//   </CarPane>
+// The primitives render nothing on the phone; CarScreen turns the tree into a template
+// with renderCarTemplate below. Trees are made of these primitives only (plus fragments,
+// arrays and null/false for conditionals). Components inside a template are never rendered,
+// so their hooks would not run: renderCarTemplate throws on one, naming it. Put state and
+// hooks in the component that renders the CarScreen.
+
+export const CarPane = () => null; // { title }; children: CarActionStrip, CarRow, CarAction
+export const CarList = () => null; // { title, headerAction }; children: CarRow
+export const CarRow = () => null; // { title, texts, onPress }
+export const CarAction = () => null; // { title, onPress }
+export const CarActionStrip = () => null; // children: CarAction
+
+export const TemplateKind = {
+  Pane: 'pane',
+  List: 'list',
+};
+
+const PRIMITIVES = new Set([CarPane, CarList, CarRow, CarAction, CarActionStrip]);
+
+const elementName = (type) => type?.displayName || type?.name || type?.type?.name || type?.render?.name || String(type);
+
+// Function, class, memo and forwardRef components (host elements like <View> are reported
+// by where they appear instead)
+const rejectComponent = (element) => {
+  const { type } = element ?? {};
+  if (!type || PRIMITIVES.has(type) || type === React.Fragment) return;
+  if (typeof type !== 'function' && typeof type !== 'object') return;
+  throw new Error(
+    `[CarScreen] <${elementName(type)}> is a component: templates are built from Car* elements only and `
+    + 'components inside them are not rendered. Render its Car* elements directly.',
+  );
+};
+
+// Flatten children, unwrapping fragments and dropping null/false
+const flatten = (children) => React.Children.toArray(children).flatMap((child) => {
+  rejectComponent(child);
+  return child.type === React.Fragment ? flatten(child.props.children) : [child];
+});
+
+const propsOf = (element) => {
+  const { children, ...props } = element.props;
+  return props;
+};
+
+const unexpected = (parent, child) => new Error(
+  `[CarScreen] <${elementName(child.type)}> is not allowed inside <${parent}>`,
+);
+
+const paneConfig = (element) => {
+  const config = { ...propsOf(element), actionStrip: [], rows: [], actions: [] };
+  flatten(element.props.children).forEach((child) => {
+    if (child.type === CarRow) config.rows.push(propsOf(child));
+    else if (child.type === CarAction) config.actions.push(propsOf(child));
+    else if (child.type === CarActionStrip) {
+      flatten(child.props.children).forEach((action) => {
+        if (action.type !== CarAction) throw unexpected('CarActionStrip', action);
+        config.actionStrip.push(propsOf(action));
+      });
+    } else throw unexpected('CarPane', child);
+  });
+  return config;
+};
+
+const listConfig = (element) => ({
+  ...propsOf(element),
+  items: flatten(element.props.children).map((child) => {
+    if (child.type !== CarRow) throw unexpected('CarList', child);
+    return propsOf(child);
+  }),
+});
+
+// Replace every function in `value` with a stable trampoline that calls `invoke(path)`,
+// collecting the real functions in `handlers` by path
+const bindHandlers = (value, path, handlers, invoke) => {
+  if (typeof value === 'function') {
+    handlers[path] = value;
+    return invoke ? () => invoke(path) : value;
+  }
+  if (Array.isArray(value)) return value.map((entry, index) => bindHandlers(entry, `${path}.${index}`, handlers, invoke));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, bindHandlers(entry, `${path}.${key}`, handlers, invoke)]));
+  }
+  return value;
+};
+
+// Element tree → { kind, config, handlers, signature }. `config` is what createPaneTemplate /
+// createListTemplate take; with `invoke`, its callbacks are trampolines so a template that
+// is kept (same signature) still runs the latest handlers. `signature` ignores function
+// identity: two renders with the same signature produce the same template.
+export const renderCarTemplate = (element, { invoke } = {}) => {
+  let kind;
+  let raw;
+  rejectComponent(element);
+  if (element?.type === CarPane) {
+    kind = TemplateKind.Pane;
+    raw = paneConfig(element);
+  } else if (element?.type === CarList) {
+    kind = TemplateKind.List;
+    raw = listConfig(element);
+  } else {
+    throw new Error(`[CarScreen] the root must be <CarPane> or <CarList>, got <${elementName(element?.type)}>`);
+  }
+  const handlers = {};
+  const config = bindHandlers(raw, kind, handlers, invoke);
+  const signature = JSON.stringify({ kind, config }, (key, value) => (typeof value === 'function' ? '[fn]' : value));
+  return { kind, config, handlers, signature };
+};
@@ -0,0 +1,155 @@
+// Route registry for Car App screens, wrapping registerScreen / navigateToScreen /
+// popScreen / popToRoot. Each route is declared once with a builder that returns its
+// template and a param spec, e.g.
+//   router.define('podcastEpisodes', { params: { showId: 'string' }, build: ({ showId }) => template })
+//   router.navigate('podcastEpisodes', { showId });
+// Param types are typeof names; a trailing '?' makes the param optional. A route without a
+// builder is rendered elsewhere (e.g. by a CarScreen component) and can only be navigated to.
+//
+// The router mirrors the head unit's back stack ([{ name, params }], root first) from
+// addScreenChangedListener, so a screen popped by the car's own back button is reflected.
+// Navigating to an unknown route or with bad params throws in development (strict) and
+// is logged and ignored otherwise.
+
+import { carLog } from '../logging';
+
+const checkParams = (name, spec, params) => {
+  const problems = [];
+  Object.entries(spec).forEach(([key, type]) => {
+    const optional = type.endsWith('?');
+    const expected = optional ? type.slice(0, -1) : type;
+    const value = params[key];
+    if (value == null) {
+      if (!optional) problems.push(`route "${name}" needs param "${key}" (${expected})`);
+      return;
+    }
+    if (typeof value !== expected) {
+      problems.push(`route "${name}" param "${key}" should be ${expected}, got ${typeof value}`);
+    }
+  });
+  Object.keys(params).forEach((key) => {
+    if (!(key in spec)) problems.push(`route "${name}" has no param "${key}"`);
+  });
+  return problems;
+};
+
+// Options: root (route name at the bottom of the stack), strict (throw on misuse; defaults
+// to __DEV__), onWarning(message) for non-strict mode (carLog by default).
+export const createCarRouter = (carProjection, {
+  root = 'main',
+  strict = typeof __DEV__ !== 'undefined' && __DEV__,
+  onWarning = (message) => carLog.warn(message),
+} = {}) => {
+  const routes = new Map(); // name → { params, build }
+  const lastParams = new Map(); // name → params it was last rendered with
+  let stack = [{ name: root, params: {} }];
+  const listeners = new Set();
+
+  const notify = () => {
+    const snapshot = stack.slice();
+    listeners.forEach((listener) => listener(snapshot));
+  };
+
+  const fail = (message) => {
+    if (strict) throw new Error(`[CarRouter] ${message}`);
+    onWarning(message);
+    return false;
+  };
+
+  const define = (name, { params = {}, build = null } = {}) => {
+    routes.set(name, { params, build });
+  };
+
+  // Build and register the route's template. Without `params`, the last ones are reused so
+  // data updates can re-render a detail screen that is already showing.
+  const render = (name, params) => {
+    const route = routes.get(name);
+    if (!route) return fail(`unknown route "${name}"`);
+    if (!route.build) return fail(`route "${name}" is rendered by a component`);
+    const resolved = params ?? lastParams.get(name) ?? {};
+    const problems = checkParams(name, route.params, resolved);
+    if (problems.length > 0) return fail(problems.join('; '));
+    lastParams.set(name, resolved);
+    // Looked up on each call: the inspector wraps registerScreen in place
+    carProjection.registerScreen({ name, template: route.build(resolved) });
+    return true;
+  };
+
+  // Re-render a route only if it has been rendered before (detail routes need their params)
+  const refresh = (name) => (lastParams.has(name) ? render(name) : false);
+
+  const navigate = (name, params = {}) => {
+    const route = routes.get(name);
+    if (!route) return fail(`unknown route "${name}"`);
+    if (route.build && !render(name, params)) return false;
+    // templateQuota reports a screen it replaced to stay within the depth limit (CarProjection
+    // itself returns nothing). Built from the stack before the call: screen changes the head
+    // unit reports during it are this navigation's own.
+    const before = stack;
+    const { replaced } = carProjection.navigateToScreen(name) ?? {};
+    stack = [...(replaced ? before.slice(0, -1) : before), { name, params }];
+    notify();
+    return true;
+  };
+
+  // Like navigate, from the stack before the call: the head unit may report the pop during it
+  const pop = () => {
+    const before = stack;
+    carProjection.popScreen();
+    if (before.length > 1) {
+      stack = before.slice(0, -1);
+      notify();
+    }
+  };
+
+  const popToRoot = () => {
+    const before = stack;
+    carProjection.popToRoot();
+    if (before.length > 1) {
+      stack = before.slice(0, 1);
+      notify();
+    }
+  };
+
+  // Reconcile with the screen the head unit reports: a screen already on the stack means
+  // everything above it was popped; anything else was pushed without going through us.
+  const handleScreenChanged = (screenName) => {
+    if (!screenName || stack[stack.length - 1].name === screenName) return;
+    const index = stack.map((entry) => entry.name).lastIndexOf(screenName);
+    if (index >= 0) {
+      stack = stack.slice(0, index + 1);
+    } else {
+      if (!routes.has(screenName)) onWarning(`head unit showed unknown screen "${screenName}"`);
+      stack = [...stack, { name: screenName, params: lastParams.get(screenName) ?? {} }];
+    }
+    notify();
+  };
+
+  // A new car session starts at the root again
+  const reset = () => {
+    stack = [{ name: root, params: {} }];
+    notify();
+  };
+
+  // Start mirroring the head unit's screen changes; remove() stops
+  const attach = () => carProjection.addScreenChangedListener(handleScreenChanged);
+
+  return {
+    define,
+    isDefined: (name) => routes.has(name),
+    render,
+    refresh,
+    navigate,
+    pop,
+    popToRoot,
+    handleScreenChanged,
+    attach,
+    reset,
+    current: () => stack[stack.length - 1],
+    backStack: () => stack.slice(),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+};
@@ -0,0 +1,167 @@
+// Coalescing front for the CarProjection calls the app makes most often. Calls made within
+// one frame are batched: the latest playback state and the latest template per screen win.
+// At flush, anything identical to what was last sent is dropped, and a playback state that
+// differs only in a position the head unit can extrapolate (last position + elapsed time ×
+// speed while playing) is not sent at all.
+//
+// Navigation calls pass straight through but flush pending templates first, so the head
+// unit never navigates to a screen whose latest template is still queued.
+//
+// stats() counts requests, sends and what was saved, to check the reduction.
+
+import { carLog } from '../logging';
+
+export const DEFAULT_POSITION_TOLERANCE_SEC = 1.5;
+
+const defaultSchedule = (fn) => (typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(fn)
+  : setTimeout(fn, 16));
+
+// Callbacks don't take part in comparisons: a rebuilt template with new closures but the
+// same content is the same template for the head unit
+const signatureOf = (value) => JSON.stringify(value, (key, entry) => (typeof entry === 'function' ? '[fn]' : entry));
+
+const emptyStats = () => ({
+  playbackStateRequested: 0,
+  playbackStateSent: 0,
+  playbackStateDeduped: 0,
+  playbackStateExtrapolated: 0,
+  templatesRequested: 0,
+  templatesSent: 0,
+  templatesDeduped: 0,
+  coalesced: 0, // calls replaced by a later one in the same frame
+  flushes: 0,
+});
+
+export const createCarSync = (carProjection, {
+  schedule = defaultSchedule,
+  now = Date.now,
+  positionToleranceSec = DEFAULT_POSITION_TOLERANCE_SEC,
+  onError = (error) => carLog.warn('Car sync failed', { error }),
+} = {}) => {
+  let pendingState = null; // { payload, force }
+  const pendingScreens = new Map(); // name → template
+  let scheduled = false;
+  let flushWaiters = [];
+  let lastState = null; // { payload, rest, at }
+  const lastTemplates = new Map(); // name → signature
+  let stats = emptyStats();
+
+  const withoutPosition = ({ position, ...rest }) => signatureOf(rest);
+
+  // Where the head unit thinks playback is now, going by the last state it was sent
+  const extrapolatedPosition = () => {
+    const { payload, at } = lastState;
+    if (payload.state !== 'playing') return payload.position ?? 0;
+    return (payload.position ?? 0) + ((now() - at) / 1000) * (payload.playbackSpeed ?? 1);
+  };
+
+  const sendState = async ({ payload, force }) => {
+    const rest = withoutPosition(payload);
+    if (!force && lastState && rest === lastState.rest) {
+      if (payload.position === lastState.payload.position && payload.state !== 'playing') {
+        stats.playbackStateDeduped += 1;
+        return;
+      }
+      if (Math.abs((payload.position ?? 0) - extrapolatedPosition()) <= positionToleranceSec) {
+        stats.playbackStateExtrapolated += 1;
+        return;
+      }
+    }
+    lastState = { payload, rest, at: now() };
+    stats.playbackStateSent += 1;
+    try {
+      await carProjection.updateMediaPlaybackState(payload);
+    } catch (error) {
+      lastState = null; // resend next time
+      onError(error);
+    }
+  };
+
+  const sendScreens = () => {
+    pendingScreens.forEach((template, name) => {
+      const signature = signatureOf(template);
+      if (lastTemplates.get(name) === signature) {
+        stats.templatesDeduped += 1;
+        return;
+      }
+      lastTemplates.set(name, signature);
+      stats.templatesSent += 1;
+      try {
+        carProjection.registerScreen({ name, template });
+      } catch (error) {
+        lastTemplates.delete(name);
+        onError(error);
+      }
+    });
+    pendingScreens.clear();
+  };
+
+  // Send everything pending now (also runs once per frame on its own)
+  const flush = async () => {
+    scheduled = false;
+    const waiters = flushWaiters;
+    flushWaiters = [];
+    stats.flushes += 1;
+    sendScreens();
+    const state = pendingState;
+    pendingState = null;
+    if (state) await sendState(state);
+    waiters.forEach((resolve) => resolve());
+  };
+
+  // Resolves once the batch this call joined has been flushed
+  const scheduleFlush = () => new Promise((resolve) => {
+    flushWaiters.push(resolve);
+    if (scheduled) return;
+    scheduled = true;
+    schedule(() => {
+      flush();
+    });
+  });
+
+  // `force` sends even if the head unit could extrapolate the position (e.g. after a seek)
+  const updateMediaPlaybackState = (payload, { force = false } = {}) => {
+    stats.playbackStateRequested += 1;
+    if (pendingState) stats.coalesced += 1;
+    pendingState = { payload, force: force || Boolean(pendingState?.force) };
+    return scheduleFlush();
+  };
+
+  const registerScreen = ({ name, template }) => {
+    stats.templatesRequested += 1;
+    if (pendingScreens.has(name)) stats.coalesced += 1;
+    pendingScreens.set(name, template);
+    scheduleFlush();
+  };
+
+  const beforeNavigation = () => sendScreens();
+
+  return {
+    updateMediaPlaybackState,
+    registerScreen,
+    navigateToScreen: (name) => {
+      beforeNavigation();
+      return carProjection.navigateToScreen(name);
+    },
+    popScreen: () => {
+      beforeNavigation();
+      return carProjection.popScreen();
+    },
+    popToRoot: () => {
+      beforeNavigation();
+      return carProjection.popToRoot();
+    },
+    addScreenChangedListener: (listener) => carProjection.addScreenChangedListener(listener),
+    flush,
+    // A new head unit session has nothing cached: resend everything next time
+    invalidate: () => {
+      lastState = null;
+      lastTemplates.clear();
+    },
+    stats: () => ({ ...stats }),
+    resetStats: () => {
+      stats = emptyStats();
+    },
+  };
+};
@@ -0,0 +1,180 @@
+// Stand-in for react-native-car-projection with a scriptable head unit. The module half has
+// the calls App.js makes (registerScreen, navigateToScreen, updateMediaPlaybackState, the
+// add*Listener subscriptions, ...); the headUnit half drives it the way a car would:
+// session start/end, MediaBrowser connect, media commands and presses on template actions.
+// Every template and playback-state payload is recorded with the clock time it arrived.
+
+// Listener method → event name, as the native module emits them
+const LISTENERS = {
+  addSessionStartedListener: 'sessionStarted',
+  addSessionEndedListener: 'sessionEnded',
+  addMediaBrowserConnectedListener: 'mediaBrowserConnected',
+  addScreenChangedListener: 'screenChanged',
+  addMediaPlayListener: 'mediaPlay',
+  addMediaPauseListener: 'mediaPause',
+  addMediaStopListener: 'mediaStop',
+  addMediaPlayFromIdListener: 'mediaPlayFromId',
+  addMediaPlayFromSearchListener: 'mediaPlayFromSearch',
+  addMediaSearchListener: 'mediaSearch',
+  addMediaCustomActionListener: 'mediaCustomAction',
+  addMediaSeekToListener: 'mediaSeekTo',
+  addMediaFastForwardListener: 'mediaFastForward',
+  addMediaRewindListener: 'mediaRewind',
+};
+
+const PANE_MAX_ACTIONS = 2;
+const ACTION_STRIP_MAX_ACTIONS = 2;
+
+// Templates are kept as plain objects tagged with their kind
+export const createListTemplate = (config) => ({ type: 'list', ...config });
+export const createPaneTemplate = (config) => {
+  // The host rejects panes over these limits, so the fake does too
+  if ((config.actions ?? []).length > PANE_MAX_ACTIONS) {
+    throw new Error(`createPaneTemplate: at most ${PANE_MAX_ACTIONS} actions, got ${config.actions.length}`);
+  }
+  if ((config.actionStrip ?? []).length > ACTION_STRIP_MAX_ACTIONS) {
+    throw new Error(`createPaneTemplate: at most ${ACTION_STRIP_MAX_ACTIONS} action strip actions, got ${config.actionStrip.length}`);
+  }
+  return { type: 'pane', ...config };
+};
+export const createMessageTemplate = (config) => ({ type: 'message', ...config });
+
+// Everything in a template that can be pressed, with a label to find it by
+const pressablesOf = (template) => [
+  ...(template.headerAction ? [template.headerAction] : []),
+  ...(template.actionStrip ?? []),
+  ...(template.actions ?? []),
+  ...(template.items ?? []),
+  ...(template.rows ?? []),
+].filter((entry) => typeof entry?.onPress === 'function');
+
+export const createFakeCarProjection = ({ clock, root = 'main' }) => {
+  const listeners = new Map(); // event → Set
+  const screens = new Map(); // name → latest template
+  const templates = []; // { at, name, template }
+  const playbackStates = []; // { at, payload }
+  const navigations = []; // { at, action, name }
+  let stack = [];
+  let connected = false;
+  let browseTree = null;
+  const searchResults = []; // { at, query, results }
+
+  const emit = (event, payload) => {
+    (listeners.get(event) ?? new Set()).forEach((listener) => listener(payload));
+  };
+
+  const subscribe = (event) => (listener) => {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return { remove: () => listeners.get(event).delete(listener) };
+  };
+
+  const showScreen = (name) => {
+    emit('screenChanged', name);
+  };
+
+  const module = {
+    ...Object.fromEntries(Object.entries(LISTENERS).map(([method, event]) => [method, subscribe(event)])),
+    createListTemplate,
+    createPaneTemplate,
+    createMessageTemplate,
+    registerScreen: ({ name, template }) => {
+      screens.set(name, template);
+      templates.push({ at: clock.now(), name, template });
+    },
+    navigateToScreen: (name) => {
+      if (!screens.has(name)) throw new Error(`navigateToScreen: "${name}" is not registered`);
+      navigations.push({ at: clock.now(), action: 'navigate', name });
+      stack = [...stack, name];
+      showScreen(name);
+    },
+    popScreen: () => {
+      navigations.push({ at: clock.now(), action: 'pop' });
+      if (stack.length <= 1) return;
+      stack = stack.slice(0, -1);
+      showScreen(stack[stack.length - 1]);
+    },
+    popToRoot: () => {
+      navigations.push({ at: clock.now(), action: 'popToRoot' });
+      if (stack.length <= 1) return;
+      stack = stack.slice(0, 1);
+      showScreen(stack[0]);
+    },
+    updateMediaPlaybackState: async (payload) => {
+      playbackStates.push({ at: clock.now(), payload });
+    },
+    configureMediaSession: async () => {},
+    setMediaBrowseTree: async (tree) => {
+      browseTree = tree;
+    },
+    setMediaSearchResults: async (query, results) => {
+      searchResults.push({ at: clock.now(), query, results });
+    },
+    isConnected: async () => connected,
+    startSession: () => {},
+  };
+
+  const currentTemplate = () => screens.get(stack[stack.length - 1]) ?? null;
+
+  const headUnit = {
+    // Car App session: the head unit opens the root screen
+    startSession: () => {
+      connected = true;
+      stack = [root];
+      emit('sessionStarted');
+      showScreen(root);
+    },
+    endSession: () => {
+      connected = false;
+      stack = [];
+      emit('sessionEnded');
+    },
+    connectMediaBrowser: () => {
+      connected = true;
+      emit('mediaBrowserConnected');
+    },
+    play: () => emit('mediaPlay'),
+    pause: () => emit('mediaPause'),
+    stop: () => emit('mediaStop'),
+    playFromId: (mediaId) => emit('mediaPlayFromId', { mediaId }),
+    playFromSearch: (query, extras = {}) => emit('mediaPlayFromSearch', { query, extras }),
+    search: (query, extras = {}) => emit('mediaSearch', { query, extras }),
+    seekTo: (position) => emit('mediaSeekTo', { position }),
+    fastForward: () => emit('mediaFastForward'),
+    rewind: () => emit('mediaRewind'),
+    customAction: (action) => emit('mediaCustomAction', { action }),
+    // Deliver any car event by name (see LISTENERS), e.g. a recorded one
+    emit,
+    // The car's own back button (not an app navigation call, so not in navigations())
+    back: () => {
+      if (stack.length <= 1) return;
+      stack = stack.slice(0, -1);
+      showScreen(stack[stack.length - 1]);
+    },
+    // Press the action, row or list item titled `title` (a string, or a RegExp) on the screen shown
+    press: (title) => {
+      const template = currentTemplate();
+      if (!template) throw new Error('press: no screen is showing');
+      const matches = (entry) => (title instanceof RegExp ? title.test(entry.title) : entry.title === title);
+      const target = pressablesOf(template).find(matches);
+      if (!target) {
+        const available = pressablesOf(template).map((entry) => entry.title).join(', ');
+        throw new Error(`press: "${title}" is not on "${stack[stack.length - 1]}" (has: ${available})`);
+      }
+      target.onPress();
+    },
+    currentScreen: () => stack[stack.length - 1] ?? null,
+    currentTemplate,
+    screenStack: () => stack.slice(),
+    templateOf: (name) => screens.get(name) ?? null,
+    templates: (name) => (name ? templates.filter((entry) => entry.name === name) : templates.slice()),
+    playbackStates: () => playbackStates.slice(),
+    navigations: () => navigations.slice(),
+    lastPlaybackState: () => playbackStates[playbackStates.length - 1]?.payload ?? null,
+    browseTree: () => browseTree,
+    searchResults: () => searchResults.slice(),
+    isConnected: () => connected,
+  };
+
+  return { module, headUnit };
+};
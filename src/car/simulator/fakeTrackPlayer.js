@@ -0,0 +1,276 @@
+// Stand-in for react-native-track-player driven by an injected clock. Covers the calls the app
+// and the playback service make: a queue with an active index, play/pause/stop/seek/skip,
+// rate and volume, and the events (PlaybackState, PlaybackActiveTrackChanged,
+// PlaybackProgressUpdated, PlaybackQueueEnded, PlaybackError, Remote*). Playback advances
+// only when the clock does; items end after `duration` seconds (or `defaultDuration`).
+// The controls half lets a scenario make items fail or send remote commands. With
+// `autoEvents: false` the player only follows commands and events fed in through
+// controls.inject (used to replay recorded sessions).
+
+export const State = {
+  None: 'none',
+  Ready: 'ready',
+  Playing: 'playing',
+  Paused: 'paused',
+  Stopped: 'stopped',
+  Loading: 'loading',
+  Buffering: 'buffering',
+  Error: 'error',
+  Ended: 'ended',
+};
+
+export const Event = {
+  PlaybackState: 'playback-state',
+  PlaybackError: 'playback-error',
+  PlaybackQueueEnded: 'playback-queue-ended',
+  PlaybackActiveTrackChanged: 'playback-active-track-changed',
+  PlaybackProgressUpdated: 'playback-progress-updated',
+  RemotePlay: 'remote-play',
+  RemotePause: 'remote-pause',
+  RemoteStop: 'remote-stop',
+  RemoteNext: 'remote-next',
+  RemotePrevious: 'remote-previous',
+  RemoteSeek: 'remote-seek',
+  RemoteJumpForward: 'remote-jump-forward',
+  RemoteJumpBackward: 'remote-jump-backward',
+};
+
+export const Capability = {
+  Play: 'play',
+  Pause: 'pause',
+  Stop: 'stop',
+  SkipToNext: 'skip-to-next',
+  SkipToPrevious: 'skip-to-previous',
+  SeekTo: 'seek-to',
+  JumpForward: 'jump-forward',
+  JumpBackward: 'jump-backward',
+};
+
+export const AppKilledPlaybackBehavior = {
+  ContinuePlayback: 'continue-playback',
+  PausePlayback: 'pause-playback',
+  StopPlaybackAndRemoveNotification: 'stop-playback-and-remove-notification',
+};
+
+const TICK_MS = 250;
+
+export const createFakeTrackPlayer = ({
+  clock,
+  defaultDuration = 180,
+  bufferMs = 200, // time from play() until Playing
+  autoEvents = true,
+} = {}) => {
+  const listeners = new Map(); // event → Set
+  let queue = [];
+  let index = -1;
+  let position = 0;
+  let state = State.None;
+  let rate = 1;
+  let volume = 1;
+  let options = {};
+  let ticker = null;
+  let bufferTimer = null;
+  let sinceProgressEvent = 0;
+  const failures = new Map(); // track id or url → { code, message }
+  const calls = []; // { at, method, args }
+
+  const dispatch = (event, payload) => {
+    (listeners.get(event) ?? new Set()).forEach((listener) => listener(payload));
+  };
+  const emit = (event, payload) => {
+    if (autoEvents) dispatch(event, payload);
+  };
+  const record = (method, ...args) => calls.push({ at: clock.now(), method, args });
+
+  const activeTrack = () => queue[index];
+  const durationOf = (track) => track?.duration ?? defaultDuration;
+
+  const setState = (next) => {
+    if (next === state) return;
+    state = next;
+    emit(Event.PlaybackState, { state });
+  };
+
+  const stopTicking = () => {
+    clock.clearInterval(ticker);
+    clock.clearTimeout(bufferTimer);
+    ticker = null;
+    bufferTimer = null;
+  };
+
+  const changeActive = (nextIndex, initialPosition = 0) => {
+    const lastTrack = activeTrack();
+    const lastIndex = index;
+    const lastPosition = position;
+    index = nextIndex;
+    position = initialPosition;
+    emit(Event.PlaybackActiveTrackChanged, { track: activeTrack(), index, lastTrack, lastIndex, lastPosition });
+  };
+
+  const failure = (track) => failures.get(track?.id) ?? failures.get(track?.url);
+
+  const tick = () => {
+    const track = activeTrack();
+    if (!track || state !== State.Playing) return;
+    position = Math.min(durationOf(track), position + (TICK_MS / 1000) * rate);
+    sinceProgressEvent += TICK_MS;
+    if (sinceProgressEvent >= (options.progressUpdateEventInterval ?? 1) * 1000) {
+      sinceProgressEvent = 0;
+      emit(Event.PlaybackProgressUpdated, { position, duration: durationOf(track), buffered: durationOf(track), track: index });
+    }
+    if (position < durationOf(track)) return;
+    if (index < queue.length - 1) {
+      changeActive(index + 1);
+      startPlaying();
+    } else {
+      stopTicking();
+      setState(State.Ended);
+      emit(Event.PlaybackQueueEnded, { track: index, position });
+    }
+  };
+
+  // Buffer, then play (or fail if the item was marked as failing)
+  const startPlaying = () => {
+    stopTicking();
+    const track = activeTrack();
+    if (!track || !autoEvents) return;
+    setState(State.Buffering);
+    bufferTimer = clock.setTimeout(() => {
+      bufferTimer = null;
+      const error = failure(track);
+      if (error) {
+        setState(State.Error);
+        emit(Event.PlaybackError, error);
+        return;
+      }
+      setState(State.Playing);
+      ticker = clock.setInterval(tick, TICK_MS);
+    }, bufferMs);
+  };
+
+  const isActive = () => state === State.Playing || state === State.Buffering || state === State.Loading;
+
+  const skipTo = (nextIndex, initialPosition = 0) => {
+    if (nextIndex < 0 || nextIndex >= queue.length) throw new Error(`skip: no track at index ${nextIndex}`);
+    const wasActive = isActive();
+    changeActive(nextIndex, initialPosition);
+    if (wasActive) startPlaying();
+  };
+
+  const player = {
+    setupPlayer: async () => {
+      record('setupPlayer');
+      setState(State.Ready);
+    },
+    updateOptions: async (next) => {
+      record('updateOptions', next);
+      options = { ...options, ...next };
+    },
+    registerPlaybackService: (factory) => {
+      player.playbackService = factory();
+    },
+    addEventListener: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return { remove: () => listeners.get(event).delete(listener) };
+    },
+    // Appends, or inserts before `insertBeforeIndex`; the active track stays active
+    add: async (tracks, insertBeforeIndex) => {
+      const added = Array.isArray(tracks) ? tracks : [tracks];
+      record('add', added, ...(insertBeforeIndex === undefined ? [] : [insertBeforeIndex]));
+      const wasEmpty = queue.length === 0;
+      const at = Math.max(0, Math.min(insertBeforeIndex ?? queue.length, queue.length));
+      queue = [...queue.slice(0, at), ...added, ...queue.slice(at)];
+      if (wasEmpty && queue.length > 0) changeActive(0);
+      else if (!wasEmpty && index >= at) index += added.length;
+    },
+    reset: async () => {
+      record('reset');
+      stopTicking();
+      queue = [];
+      index = -1;
+      position = 0;
+      setState(State.None);
+    },
+    skip: async (...args) => {
+      record('skip', ...args);
+      skipTo(...args);
+    },
+    skipToNext: async () => {
+      record('skipToNext');
+      skipTo(index + 1);
+    },
+    skipToPrevious: async () => {
+      record('skipToPrevious');
+      skipTo(index - 1);
+    },
+    play: async () => {
+      record('play');
+      if (state === State.Playing) return;
+      startPlaying();
+    },
+    pause: async () => {
+      record('pause');
+      stopTicking();
+      if (activeTrack()) setState(State.Paused);
+    },
+    stop: async () => {
+      record('stop');
+      stopTicking();
+      position = 0;
+      setState(State.Stopped);
+    },
+    retry: async () => {
+      record('retry');
+      startPlaying();
+    },
+    seekTo: async (seconds) => {
+      record('seekTo', seconds);
+      position = Math.max(0, Math.min(seconds, durationOf(activeTrack())));
+    },
+    setRate: async (next) => {
+      record('setRate', next);
+      rate = next;
+    },
+    getRate: async () => rate,
+    setVolume: async (next) => {
+      volume = next;
+    },
+    getVolume: async () => volume,
+    getProgress: async () => ({ position, duration: activeTrack() ? durationOf(activeTrack()) : 0, buffered: 0 }),
+    getPlaybackState: async () => ({ state }),
+    getActiveTrack: async () => activeTrack(),
+    getActiveTrackIndex: async () => (index >= 0 ? index : undefined),
+    getQueue: async () => queue.slice(),
+  };
+
+  const controls = {
+    // Make the item with this id or url fail when it starts (until cleared)
+    fail: (idOrUrl, error = { code: 'android-io-network-connection-failed', message: 'Network error' }) => {
+      failures.set(idOrUrl, error);
+    },
+    clearFailure: (idOrUrl) => failures.delete(idOrUrl),
+    // Notification / headset commands, as the playback service receives them
+    remote: (event, payload) => dispatch(event, payload),
+    // Deliver a player event (e.g. a recorded one), updating what getters report to match
+    inject: (event, payload = {}) => {
+      if (event === Event.PlaybackState) state = payload.state;
+      if (event === Event.PlaybackProgressUpdated) position = payload.position ?? position;
+      if (event === Event.PlaybackActiveTrackChanged) {
+        const found = queue.findIndex((track) => track.id === payload.track?.id);
+        index = found >= 0 ? found : payload.index ?? index;
+        position = 0;
+      }
+      dispatch(event, payload);
+    },
+    state: () => state,
+    position: () => position,
+    rate: () => rate,
+    volume: () => volume,
+    queueIds: () => queue.map((track) => track.id),
+    activeIndex: () => index,
+    calls: (method) => (method ? calls.filter((call) => call.method === method) : calls.slice()),
+  };
+
+  return { player, controls };
+};
@@ -0,0 +1,57 @@
+import * as carProjectionExports from './fakeCarProjection';
+import * as trackPlayerExports from './fakeTrackPlayer';
+
+// Simulated head unit for exercising the car flows without a phone or the Desktop Head Unit:
+// fake react-native-car-projection and react-native-track-player modules sharing one clock.
+// Wire the module halves in place of the native packages (e.g. a module mock), then script
+// the car through `headUnit` and the player through `player`:
+//
+//   const sim = createSimulatedHeadUnit({ clock });
+//   // react-native-car-projection → sim.carProjectionModule
+//   // react-native-track-player   → sim.trackPlayerModule
+//   sim.headUnit.startSession();
+//   sim.headUnit.press('Recently Played');
+//   sim.headUnit.press(/Song Title/);
+//   await sim.clock.advance(1000);
+//   sim.headUnit.lastPlaybackState(); // { state: 'playing', title: 'Song Title', ... }
+//
+// `clock` has `now`, `setTimeout`, `clearTimeout`, `setInterval`, `clearInterval` and
+// `advance(ms)`. It has to drive the app's own timers too (retry backoff, sleep
+// timer, session saves), which use the global ones: jest/simulator.js passes a clock over
+// Jest's fake timers, so both advance together.
+
+export { createFakeCarProjection } from './fakeCarProjection';
+export { createFakeTrackPlayer } from './fakeTrackPlayer';
+
+export const createSimulatedHeadUnit = ({
+  clock,
+  root = 'main',
+  defaultDuration,
+  bufferMs,
+  autoEvents,
+} = {}) => {
+  if (!clock) throw new Error('createSimulatedHeadUnit needs a clock (see jest/simulator.js)');
+  const car = carProjectionExports.createFakeCarProjection({ clock, root });
+  const trackPlayer = trackPlayerExports.createFakeTrackPlayer({ clock, defaultDuration, bufferMs, autoEvents });
+  return {
+    clock,
+    headUnit: car.headUnit,
+    player: trackPlayer.controls,
+    // Shaped like the packages' module objects (default export plus named exports)
+    carProjectionModule: {
+      __esModule: true,
+      default: car.module,
+      createListTemplate: carProjectionExports.createListTemplate,
+      createPaneTemplate: carProjectionExports.createPaneTemplate,
+      createMessageTemplate: carProjectionExports.createMessageTemplate,
+    },
+    trackPlayerModule: {
+      __esModule: true,
+      default: trackPlayer.player,
+      State: trackPlayerExports.State,
+      Event: trackPlayerExports.Event,
+      Capability: trackPlayerExports.Capability,
+      AppKilledPlaybackBehavior: trackPlayerExports.AppKilledPlaybackBehavior,
+    },
+  };
+};
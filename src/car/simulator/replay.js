@@ -0,0 +1,133 @@
+// Replays a session recorded with src/inspector/sessionRecorder.js against the simulated head
+// unit. With the app running on the simulator's modules, the recorded inputs are delivered at
+// their recorded times (on the simulator's clock) and the app's outputs are collected in the
+// recording's format, so compareOutputs can check them against what happened in the car:
+//
+//   const sim = createSimulatedHeadUnit({ clock, autoEvents: false }); // player events come from the file
+//   // ...render the app on sim.carProjectionModule / sim.trackPlayerModule...
+//   const outputs = await replaySession(recording, sim);
+//   compareOutputs(recording, outputs).differences; // [] when the app behaved the same
+//
+// A recording made on the simulator itself can be replayed with the player generating its own
+// events (autoEvents on) and only the car inputs delivered: { inputTypes: ['car'] }.
+//
+// Screen changes are not replayed as events: the simulated head unit reports its own for the
+// app's navigation calls, and a recorded change to a screen lower in the stack is replayed as
+// the car's back button.
+
+const SUPPORTED_VERSION = 1;
+
+const INPUT_TYPES = ['car', 'player'];
+
+// Templates compared by what the driver sees: title and the labels of everything pressable
+const templateSummary = (template) => template && {
+  title: template.title,
+  message: template.message,
+  labels: [
+    ...(template.actionStrip ?? []),
+    ...(template.rows ?? []),
+    ...(template.items ?? []),
+    ...(template.actions ?? []),
+  ].map((entry) => entry.title),
+};
+
+// Positions move with timing; compare what the car shows
+const playbackSummary = (payload) => payload && {
+  state: payload.state,
+  title: payload.title,
+  artist: payload.artist,
+  playbackSpeed: payload.playbackSpeed,
+  errorMessage: payload.errorMessage,
+};
+
+const trackIds = (tracks) => [].concat(tracks ?? []).map((track) => (typeof track === 'object' ? track.id : track));
+
+const SUMMARIES = {
+  template: ({ name, data }) => ({ name, template: templateSummary(data) }),
+  playbackState: ({ data }) => playbackSummary(data),
+  navigation: ({ name, data }) => ({ name, screen: data }),
+  command: ({ name, data }) => ({ name, args: name === 'add' ? [trackIds(data?.[0])] : data }),
+};
+
+export const replaySession = async (recording, sim, { settleMs = 1000, inputTypes = INPUT_TYPES } = {}) => {
+  if (recording?.version !== SUPPORTED_VERSION) {
+    throw new Error(`replaySession: unsupported recording version ${recording?.version}`);
+  }
+  const { clock, headUnit, player, trackPlayerModule } = sim;
+  const startedAt = clock.now();
+  // Whatever the app did before the replay (mounting) was before the recording too
+  const already = {
+    templates: headUnit.templates().length,
+    playbackStates: headUnit.playbackStates().length,
+    navigations: headUnit.navigations().length,
+    calls: player.calls().length,
+  };
+
+  const deliver = ({ type, name, data }) => {
+    if (type === 'player') {
+      player.inject(trackPlayerModule.Event[name], data);
+    } else if (name === 'screenChanged') {
+      const stack = headUnit.screenStack();
+      if (stack.includes(data) && stack[stack.length - 1] !== data) {
+        while (headUnit.currentScreen() !== data) headUnit.back();
+      }
+    } else if (name === 'sessionStarted') {
+      headUnit.startSession();
+    } else if (name === 'sessionEnded') {
+      headUnit.endSession();
+    } else if (name === 'mediaBrowserConnected') {
+      headUnit.connectMediaBrowser();
+    } else {
+      headUnit.emit(name, data);
+    }
+  };
+
+  const inputs = recording.entries.filter((entry) => inputTypes.includes(entry.type));
+  for (const entry of inputs) {
+    await clock.advance(Math.max(0, startedAt + entry.t - clock.now()));
+    deliver(entry);
+  }
+  await clock.advance(settleMs);
+
+  const at = (time) => time - startedAt;
+  const entries = [
+    ...headUnit.templates().slice(already.templates).map(({ at: time, name, template }) => ({ t: at(time), type: 'template', name, data: template })),
+    ...headUnit.playbackStates().slice(already.playbackStates).map(({ at: time, payload }) => ({ t: at(time), type: 'playbackState', name: 'update', data: payload })),
+    ...headUnit.navigations().slice(already.navigations).map(({ at: time, action, name }) => ({
+      t: at(time),
+      type: 'navigation',
+      name: { navigate: 'navigateToScreen', pop: 'popScreen', popToRoot: 'popToRoot' }[action],
+      data: name,
+    })),
+    ...player.calls().slice(already.calls)
+      .filter((call) => call.method !== 'setupPlayer' && call.method !== 'updateOptions')
+      .map(({ at: time, method, args }) => ({ t: at(time), type: 'command', name: method, data: args })),
+  ].sort((a, b) => a.t - b.t);
+  return { entries };
+};
+
+// Per output type, the first place where the replayed sequence departs from the recorded
+// one. `types` limits the comparison (default: all output types).
+export const compareOutputs = (recording, replayed, { types = Object.keys(SUMMARIES) } = {}) => {
+  const differences = [];
+  types.forEach((type) => {
+    const summarize = (entries) => entries
+      .filter((entry) => entry.type === type)
+      .map((entry) => JSON.stringify(SUMMARIES[type](entry)));
+    const expected = summarize(recording.entries);
+    const actual = summarize(replayed.entries);
+    const length = Math.max(expected.length, actual.length);
+    for (let index = 0; index < length; index += 1) {
+      if (expected[index] !== actual[index]) {
+        differences.push({
+          type,
+          index,
+          expected: expected[index] === undefined ? undefined : JSON.parse(expected[index]),
+          actual: actual[index] === undefined ? undefined : JSON.parse(actual[index]),
+        });
+        break;
+      }
+    }
+  });
+  return { matches: differences.length === 0, differences };
+};
@@ -0,0 +1,159 @@
+// Keeps Car App calls within what Android Auto allows:
+// - a screen's template may only be refreshed so often: past `refreshLimit` refreshes in its
+//   window, further ones are deferred until the window has room, and deferred refreshes of the
+//   same screen collapse into the latest template
+// - a task may only be `maxDepth` screens deep: navigating deeper replaces the top screen
+//   (pop, then push) instead of growing the stack; navigateToScreen returns { replaced } with
+//   the replaced screen's name (null otherwise) so callers mirroring the stack can follow
+// The first registration of a screen, and the one sent right before navigating to it, are not
+// refreshes. Warnings go to onWarning in development only.
+// Exposes the same calls as CarProjection (registerScreen, navigateToScreen, popScreen,
+// popToRoot, addScreenChangedListener, updateMediaPlaybackState), so it can sit under carSync.
+
+import { carLog } from '../logging';
+
+export const TEMPLATE_LIMITS = {
+  maxDepth: 5, // the Car App Library's task step limit
+  refreshLimit: { count: 4, windowMs: 5000 },
+};
+
+const emptyStats = () => ({
+  registrations: 0,
+  refreshes: {}, // name → refreshes sent this task
+  deferred: 0,
+  collapsed: 0, // deferred refreshes replaced by a later one
+  depthCollapsed: 0, // navigations that replaced the top screen
+  maxDepthSeen: 1,
+});
+
+export const createTemplateQuota = (carProjection, {
+  limits = TEMPLATE_LIMITS,
+  root = 'main',
+  now = Date.now,
+  timers = { setTimeout, clearTimeout },
+  warnings = typeof __DEV__ !== 'undefined' && __DEV__,
+  onWarning = (message) => carLog.warn(message),
+} = {}) => {
+  const { maxDepth, refreshLimit } = { ...TEMPLATE_LIMITS, ...limits };
+  const registered = new Set();
+  const sentAt = new Map(); // name → timestamps of refreshes in the current window
+  const deferred = new Map(); // name → { template, timer }
+  let stack = [root];
+  let stats = emptyStats();
+
+  const warn = (message) => {
+    if (warnings) onWarning(message);
+  };
+
+  const send = (name, template) => {
+    carProjection.registerScreen({ name, template });
+  };
+
+  // Refreshes of `name` still inside the window
+  const recentRefreshes = (name) => {
+    const cutoff = now() - refreshLimit.windowMs;
+    const recent = (sentAt.get(name) ?? []).filter((at) => at > cutoff);
+    sentAt.set(name, recent);
+    return recent;
+  };
+
+  const sendRefresh = (name, template) => {
+    recentRefreshes(name).push(now());
+    stats.refreshes[name] = (stats.refreshes[name] ?? 0) + 1;
+    send(name, template);
+  };
+
+  const sendDeferred = (name) => {
+    const pending = deferred.get(name);
+    if (!pending) return;
+    timers.clearTimeout(pending.timer);
+    deferred.delete(name);
+    sendRefresh(name, pending.template);
+  };
+
+  const registerScreen = ({ name, template }) => {
+    stats.registrations += 1;
+    if (!registered.has(name)) {
+      registered.add(name);
+      send(name, template);
+      return;
+    }
+    const pending = deferred.get(name);
+    if (pending) {
+      // Already waiting for room: the latest template is the one that will be sent
+      stats.collapsed += 1;
+      pending.template = template;
+      return;
+    }
+    const recent = recentRefreshes(name);
+    if (recent.length < refreshLimit.count) {
+      sendRefresh(name, template);
+      return;
+    }
+    stats.deferred += 1;
+    const waitMs = Math.max(0, recent[0] + refreshLimit.windowMs - now());
+    warn(`"${name}" refreshed ${recent.length} times in ${refreshLimit.windowMs} ms; deferring the next refresh ${waitMs} ms`);
+    deferred.set(name, { template, timer: timers.setTimeout(() => sendDeferred(name), waitMs) });
+  };
+
+  const navigateToScreen = (name) => {
+    let replaced = null;
+    // Entering a screen shows its latest template; that isn't a refresh
+    const pending = deferred.get(name);
+    if (pending) {
+      timers.clearTimeout(pending.timer);
+      deferred.delete(name);
+      send(name, pending.template);
+    }
+    if (stack.length >= maxDepth) {
+      stats.depthCollapsed += 1;
+      warn(`navigating to "${name}" would make the task ${stack.length + 1} screens deep (max ${maxDepth}); replacing "${stack[stack.length - 1]}"`);
+      replaced = stack[stack.length - 1];
+      const below = stack.slice(0, -1);
+      carProjection.popScreen();
+      stack = below; // not stack.slice: the pop may already have been mirrored by handleScreenChanged
+    }
+    stack = [...stack, name];
+    stats.maxDepthSeen = Math.max(stats.maxDepthSeen, stack.length);
+    carProjection.navigateToScreen(name);
+    return { replaced };
+  };
+
+  const popScreen = () => {
+    if (stack.length > 1) stack = stack.slice(0, -1);
+    return carProjection.popScreen();
+  };
+
+  const popToRoot = () => {
+    stack = stack.slice(0, 1);
+    return carProjection.popToRoot();
+  };
+
+  // Follow back presses handled by the head unit itself
+  const handleScreenChanged = (screenName) => {
+    const index = stack.lastIndexOf(screenName);
+    if (index >= 0) stack = stack.slice(0, index + 1);
+  };
+
+  return {
+    registerScreen,
+    navigateToScreen,
+    popScreen,
+    popToRoot,
+    addScreenChangedListener: (listener) => carProjection.addScreenChangedListener(listener),
+    updateMediaPlaybackState: (payload) => carProjection.updateMediaPlaybackState(payload),
+    // Start following the head unit's screen changes; remove() stops
+    attach: () => carProjection.addScreenChangedListener(handleScreenChanged),
+    // A new task (car session) starts at the root with fresh budgets, and the host has no
+    // screens yet: the next registration of each one is a first registration again
+    reset: () => {
+      [...deferred.keys()].forEach(sendDeferred);
+      registered.clear();
+      sentAt.clear();
+      stack = [root];
+      stats = emptyStats();
+    },
+    depth: () => stack.length,
+    stats: () => ({ ...stats, refreshes: { ...stats.refreshes } }),
+  };
+};
@@ -0,0 +1,93 @@
+/** @jest-environment node */
+import http from 'http';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createHttpProvider } from '../providers';
+import { loadCatalog } from '../catalog';
+
+// Catalog loading against a local stub HTTP server: each route answers with a fixed
+// status and body, or never answers
+const item = (id, extra = {}) => ({
+  id,
+  title: `Title ${id}`,
+  mediaUri: `https://example.com/${id}.mp4`,
+  artworkUri: `https://example.com/${id}.jpg`,
+  playable: true,
+  ...extra,
+});
+
+const ROUTES = {
+  '/array.json': [200, [item('a'), item('b')]],
+  '/object.json': [200, { items: [item('a')] }],
+  '/mixed.json': [200, [item('a'), { id: 'broken', title: 'No uri' }, item('a'), item('c', { duration: -1 })]],
+  '/not-a-list.json': [200, { tracks: [] }],
+  '/missing.json': [404, { error: 'not found' }],
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((request, response) => {
+    if (request.url === '/hang.json') return; // never answers
+    const [status, body] = ROUTES[request.url] ?? [404, {}];
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('createHttpProvider', () => {
+  test('loads a bare array or an object with items', async () => {
+    await expect(createHttpProvider(`${baseUrl}/array.json`).load()).resolves.toHaveLength(2);
+    await expect(createHttpProvider(`${baseUrl}/object.json`).load()).resolves.toEqual([item('a')]);
+  });
+
+  test('rejects HTTP errors and JSON without items', async () => {
+    await expect(createHttpProvider(`${baseUrl}/missing.json`).load()).rejects.toThrow('HTTP 404');
+    await expect(createHttpProvider(`${baseUrl}/not-a-list.json`).load()).rejects.toThrow('"items" array');
+  });
+
+  test('gives up after the timeout', async () => {
+    await expect(createHttpProvider(`${baseUrl}/hang.json`, { timeoutMs: 50 }).load()).rejects.toThrow();
+  });
+});
+
+describe('loadCatalog', () => {
+  test('keeps valid items and reports the rest', async () => {
+    const result = await loadCatalog(createHttpProvider(`${baseUrl}/mixed.json`));
+    expect(result.items.map((entry) => entry.id)).toEqual(['a']);
+    expect(result.fromCache).toBe(false);
+    expect(result.errors).toEqual([
+      { index: 1, id: 'broken', problems: expect.arrayContaining(['"mediaUri" must be a non-empty string']) },
+      { index: 2, id: 'a', problems: ['duplicate id "a"'] },
+      { index: 3, id: 'c', problems: ['"duration" must be a non-negative number of seconds when present'] },
+    ]);
+  });
+
+  test('falls back to the last good catalog when the server fails', async () => {
+    await loadCatalog(createHttpProvider(`${baseUrl}/array.json`));
+    const result = await loadCatalog(createHttpProvider(`${baseUrl}/missing.json`));
+    expect(result.fromCache).toBe(true);
+    expect(result.source).toBe(`http:${baseUrl}/array.json`);
+    expect(result.items.map((entry) => entry.id)).toEqual(['a', 'b']);
+  });
+
+  test('throws when the server fails and nothing is cached', async () => {
+    await expect(loadCatalog(createHttpProvider(`${baseUrl}/missing.json`))).rejects.toThrow('HTTP 404');
+  });
+});
@@ -0,0 +1,52 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { validateCatalog } from './schema';
+import { libraryLog, storageLog } from '../logging';
+
+// Last catalog that loaded and validated, so the car still has something to browse offline
+const CATALOG_CACHE_KEY = 'catalog_cache';
+
+const loadCachedCatalog = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(CATALOG_CACHE_KEY);
+    if (!stored) return null;
+    const cached = JSON.parse(stored);
+    // Re-validate: the schema may have tightened since the cache was written
+    const { items } = validateCatalog(cached?.items);
+    return items.length > 0 ? { ...cached, items } : null;
+  } catch (error) {
+    storageLog.error('Error loading cached catalog', { error });
+    return null;
+  }
+};
+
+const cacheCatalog = async (items, source) => {
+  try {
+    await AsyncStorage.setItem(CATALOG_CACHE_KEY, JSON.stringify({ items, source, cachedAt: Date.now() }));
+  } catch (error) {
+    storageLog.error('Error caching catalog', { error });
+  }
+};
+
+// Load and validate the catalog from `provider`, falling back to the cached copy if the
+// provider fails or returns nothing valid. Resolves to { items, errors, source, fromCache };
+// `errors` lists the rejected entries (see validateCatalog). Throws only if there is no cache either.
+export const loadCatalog = async (provider) => {
+  try {
+    const raw = await provider.load();
+    const { items, errors } = validateCatalog(raw);
+    if (errors.length > 0) {
+      libraryLog.warn('Rejected invalid catalog items', { source: provider.name, errors });
+    }
+    if (items.length === 0) {
+      throw new Error('Catalog has no valid items');
+    }
+    await cacheCatalog(items, provider.name);
+    return { items, errors, source: provider.name, fromCache: false };
+  } catch (error) {
+    libraryLog.warn('Error loading catalog', { source: provider.name, error });
+    const cached = await loadCachedCatalog();
+    if (!cached) throw error;
+    libraryLog.info('Using cached catalog', { source: cached.source });
+    return { items: cached.items, errors: [], source: cached.source, fromCache: true };
+  }
+};
@@ -0,0 +1,44 @@
+// Catalog providers. A provider is { name, load }, where load() resolves to the raw
+// (unvalidated) list of media items. Validation and caching happen in catalog.js.
+
+const DEFAULT_HTTP_TIMEOUT_MS = 10000;
+
+// Accept either a bare array of items or an object with an `items` array
+const extractItems = (json) => {
+  if (Array.isArray(json)) return json;
+  if (json && Array.isArray(json.items)) return json.items;
+  throw new Error('Catalog JSON must be an array or an object with an "items" array');
+};
+
+// Items defined in code, e.g. src/data/mediaItems.js
+export const createStaticProvider = (items, name = 'static') => ({
+  name,
+  load: async () => items,
+});
+
+// A JSON file bundled with the app, e.g. createJsonFileProvider(require('./catalog.json'))
+export const createJsonFileProvider = (json, name = 'json-file') => ({
+  name,
+  load: async () => extractItems(json),
+});
+
+// A JSON feed fetched over HTTP. `fetchImpl` can be swapped to point at a stub server or mock.
+export const createHttpProvider = (url, { fetchImpl = fetch, timeoutMs = DEFAULT_HTTP_TIMEOUT_MS } = {}) => ({
+  name: `http:${url}`,
+  load: async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url, {
+        headers: { Accept: 'application/json' },
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Catalog request failed with HTTP ${response.status}`);
+      }
+      return extractItems(await response.json());
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
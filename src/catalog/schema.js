@@ -0,0 +1,53 @@
+// Schema for catalog media items (the shape of the entries in src/data/mediaItems.js).
+// Unknown fields are allowed and passed through untouched.
+const REQUIRED_STRING_FIELDS = ['id', 'title', 'mediaUri', 'artworkUri'];
+const OPTIONAL_STRING_FIELDS = ['artist', 'album', 'genre'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Returns a list of human-readable problems with `item` (empty when valid)
+export const validateMediaItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['not an object'];
+  }
+  const problems = [];
+  REQUIRED_STRING_FIELDS.forEach((field) => {
+    if (!isNonEmptyString(item[field])) problems.push(`"${field}" must be a non-empty string`);
+  });
+  if (typeof item.playable !== 'boolean') {
+    problems.push('"playable" must be a boolean');
+  }
+  OPTIONAL_STRING_FIELDS.forEach((field) => {
+    if (item[field] !== undefined && typeof item[field] !== 'string') {
+      problems.push(`"${field}" must be a string when present`);
+    }
+  });
+  if (item.duration !== undefined && !(typeof item.duration === 'number' && item.duration >= 0)) {
+    problems.push('"duration" must be a non-negative number of seconds when present');
+  }
+  return problems;
+};
+
+// Split raw catalog entries into valid items and reported errors.
+// Each error is { index, id, problems }; duplicate ids after the first are rejected.
+export const validateCatalog = (entries) => {
+  if (!Array.isArray(entries)) {
+    return { items: [], errors: [{ index: -1, id: null, problems: ['catalog is not an array'] }] };
+  }
+  const items = [];
+  const errors = [];
+  const seenIds = new Set();
+  entries.forEach((entry, index) => {
+    const problems = validateMediaItem(entry);
+    if (problems.length === 0 && seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+    if (problems.length > 0) {
+      errors.push({ index, id: entry?.id ?? null, problems });
+      return;
+    }
+    seenIds.add(entry.id);
+    items.push(entry);
+  });
+  return { items, errors };
+};
@@ -0,0 +1,5 @@
+// Podcast feeds shown under "Podcasts" on the phone and in Android Auto (RSS 2.0 or Atom)
+export const podcastFeeds = [
+  'https://feeds.npr.org/510289/podcast.xml',
+  'https://feeds.npr.org/510298/podcast.xml',
+];
@@ -0,0 +1,155 @@
+import React from 'react';
+import { StyleSheet, Text, View, FlatList, TouchableOpacity } from 'react-native';
+import { DownloadStatus } from './downloadManager';
+
+// Storage quotas the user can cycle through
+const QUOTA_OPTIONS = [512, 1024, 2048, 5120].map((mb) => mb * 1024 * 1024);
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+};
+
+const statusText = (entry) => {
+  if (entry.status === DownloadStatus.Completed) return `Downloaded • ${formatBytes(entry.totalBytes)}`;
+  if (entry.status === DownloadStatus.Failed) return `Failed • ${entry.error || 'Unknown error'}`;
+  const percent = entry.totalBytes > 0 ? Math.floor((entry.bytesWritten / entry.totalBytes) * 100) : 0;
+  return `${entry.status === DownloadStatus.Paused ? 'Paused' : 'Downloading'} • ${percent}%`;
+};
+
+// Phone UI for the download manager: progress, pause/resume, cancel/delete and the storage quota
+export default function DownloadsPanel({ downloads, manager, onPlay }) {
+  const quota = manager.getQuota();
+  const used = manager.usedBytes();
+
+  const cycleQuota = () => {
+    const next = QUOTA_OPTIONS.find((option) => option > quota) ?? QUOTA_OPTIONS[0];
+    manager.setQuota(next);
+  };
+
+  const renderEntry = ({ item: entry }) => {
+    const { status } = entry;
+    return (
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.info}
+          disabled={status !== DownloadStatus.Completed}
+          onPress={() => onPlay(entry.item)}
+        >
+          <Text style={styles.title} numberOfLines={1}>{entry.item.title}</Text>
+          <Text style={[styles.status, status === DownloadStatus.Failed && styles.statusFailed]}>
+            {statusText(entry)}
+          </Text>
+          {(status === DownloadStatus.Downloading || status === DownloadStatus.Paused) && (
+            <View style={styles.progressTrack}>
+              <View
+                style={[
+                  styles.progressFill,
+                  { width: `${entry.totalBytes > 0 ? (entry.bytesWritten / entry.totalBytes) * 100 : 0}%` },
+                ]}
+              />
+            </View>
+          )}
+        </TouchableOpacity>
+        {status === DownloadStatus.Downloading && (
+          <TouchableOpacity style={styles.button} onPress={() => manager.pause(entry.itemId)}>
+            <Text style={styles.buttonText}>Pause</Text>
+          </TouchableOpacity>
+        )}
+        {(status === DownloadStatus.Paused || status === DownloadStatus.Failed) && (
+          <TouchableOpacity style={styles.button} onPress={() => manager.resume(entry.itemId)}>
+            <Text style={styles.buttonText}>{status === DownloadStatus.Failed ? 'Retry' : 'Resume'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.button} onPress={() => manager.remove(entry.itemId)}>
+          <Text style={styles.buttonText}>{status === DownloadStatus.Completed ? 'Delete' : 'Cancel'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <FlatList
+      data={downloads}
+      renderItem={renderEntry}
+      keyExtractor={(entry) => entry.itemId}
+      contentContainerStyle={styles.listContent}
+      ListHeaderComponent={(
+        <TouchableOpacity style={styles.quota} onPress={cycleQuota}>
+          <Text style={styles.quotaText}>
+            {formatBytes(used)} of {formatBytes(quota)} used • tap to change limit
+          </Text>
+        </TouchableOpacity>
+      )}
+      ListEmptyComponent={(
+        <Text style={styles.empty}>Nothing downloaded yet. Tap ↓ on a track to keep it for offline listening.</Text>
+      )}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  listContent: {
+    padding: 10,
+    paddingBottom: 100,
+  },
+  quota: {
+    paddingHorizontal: 6,
+    paddingBottom: 10,
+  },
+  quotaText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  empty: {
+    color: '#999',
+    fontSize: 14,
+    padding: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e1e1e',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+  },
+  info: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#fff',
+    marginBottom: 4,
+  },
+  status: {
+    fontSize: 12,
+    color: '#999',
+  },
+  statusFailed: {
+    color: '#e57373',
+  },
+  progressTrack: {
+    height: 3,
+    backgroundColor: '#444',
+    marginTop: 6,
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#1db954',
+  },
+  button: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#444',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+});
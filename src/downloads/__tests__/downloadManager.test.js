@@ -0,0 +1,102 @@
+import { createDownloadManager, DownloadStatus } from '../downloadManager';
+
+const item = (id) => ({ id, title: id, mediaUri: `https://example.com/${id}.mp3` });
+
+// In-memory expo-file-system: each download waits until the test calls finish(id)
+const createFileSystem = () => {
+  const files = new Map(); // fileUri → size
+  const downloads = new Map(); // item id → { progress, finish }
+  return {
+    files,
+    downloads,
+    makeDirectoryAsync: async () => {},
+    deleteAsync: async (fileUri) => {
+      files.delete(fileUri);
+    },
+    getInfoAsync: async (fileUri) => (files.has(fileUri) ? { exists: true, size: files.get(fileUri) } : { exists: false }),
+    createDownloadResumable: (url, fileUri, options, progress) => {
+      const id = url.match(/\/([^/]+)\.mp3$/)[1];
+      let resolve;
+      const done = new Promise((r) => { resolve = r; });
+      downloads.set(id, {
+        progress: (written, total) => progress({ totalBytesWritten: written, totalBytesExpectedToWrite: total }),
+        finish: (size) => {
+          files.set(fileUri, size);
+          resolve({ status: 200, headers: {} });
+          return done;
+        },
+      });
+      return { downloadAsync: () => done };
+    },
+  };
+};
+
+const createStorage = () => {
+  const values = new Map();
+  return {
+    values,
+    setItem: jest.fn(async (key, value) => { values.set(key, value); }),
+    getItem: async (key) => values.get(key) ?? null,
+  };
+};
+
+const setup = () => {
+  const fileSystem = createFileSystem();
+  const storage = createStorage();
+  const manager = createDownloadManager({ fileSystem, storage, directory: 'file:///downloads/', progressIntervalMs: 500 });
+  const snapshots = [];
+  manager.subscribe((entries) => snapshots.push(entries));
+  return { fileSystem, storage, manager, snapshots };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('progress reaches listeners at most once per interval, and on the last byte', async () => {
+  const { fileSystem, manager, snapshots } = setup();
+  await manager.start(item('a'));
+  const before = snapshots.length;
+  const { progress } = fileSystem.downloads.get('a');
+
+  progress(100, 1000);
+  progress(200, 1000);
+  progress(300, 1000);
+  expect(snapshots.length - before).toBe(1);
+
+  jest.advanceTimersByTime(500);
+  progress(400, 1000);
+  progress(999, 1000);
+  expect(snapshots.length - before).toBe(2);
+
+  progress(1000, 1000);
+  expect(snapshots.length - before).toBe(3);
+  expect(manager.list()[0]).toMatchObject({ bytesWritten: 1000, totalBytes: 1000 });
+});
+
+test('getLocalUri leaves lastUsedAt alone; touch marks the item used', async () => {
+  const { fileSystem, storage, manager } = setup();
+  await manager.start(item('a'));
+  fileSystem.downloads.get('a').progress(1000, 1000);
+  await fileSystem.downloads.get('a').finish(1000);
+  await jest.advanceTimersByTimeAsync(0);
+  const [entry] = manager.list();
+  expect(entry.status).toBe(DownloadStatus.Completed);
+
+  jest.advanceTimersByTime(60000);
+  const saves = storage.setItem.mock.calls.length;
+  await expect(manager.getLocalUri('a')).resolves.toBe(entry.fileUri);
+  expect(manager.list()[0].lastUsedAt).toBe(entry.lastUsedAt);
+  expect(storage.setItem.mock.calls.length).toBe(saves);
+
+  manager.touch('a');
+  expect(manager.list()[0].lastUsedAt).toBe(entry.lastUsedAt + 60000);
+  expect(storage.setItem.mock.calls.length).toBe(saves + 1);
+
+  manager.touch('missing'); // not downloaded: nothing to mark
+  expect(storage.setItem.mock.calls.length).toBe(saves + 1);
+});
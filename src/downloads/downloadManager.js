@@ -0,0 +1,276 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { storageLog } from '../logging';
+
+// Offline copies of media items for playback without coverage.
+// The index (entries + quota) lives in AsyncStorage; files live under `directory`.
+// Completed downloads count against a storage quota and are evicted least recently
+// used first; each file's size is checked after download and again before playback.
+const DOWNLOADS_KEY = 'downloads';
+
+export const DEFAULT_QUOTA_BYTES = 2 * 1024 * 1024 * 1024;
+export const PROGRESS_NOTIFY_INTERVAL_MS = 500;
+
+export const DownloadStatus = {
+  Downloading: 'downloading',
+  Paused: 'paused',
+  Completed: 'completed',
+  Failed: 'failed',
+};
+
+const fileExtension = (uri) => uri.split(/[?#]/)[0].match(/\.([a-zA-Z0-9]{1,5})$/)?.[1] ?? 'bin';
+const safeFileName = (id) => id.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+export const createDownloadManager = ({
+  fileSystem = FileSystem,
+  storage = AsyncStorage,
+  directory = `${FileSystem.documentDirectory}downloads/`,
+  progressIntervalMs = PROGRESS_NOTIFY_INTERVAL_MS,
+} = {}) => {
+  let entries = {}; // itemId -> { itemId, item, fileUri, status, bytesWritten, totalBytes, resumeData, error, createdAt, lastUsedAt }
+  let quotaBytes = DEFAULT_QUOTA_BYTES;
+  let loading = null;
+  const active = new Map(); // itemId -> DownloadResumable
+  const progressNotifiedAt = new Map(); // itemId -> time listeners last saw its progress
+  const listeners = new Set();
+
+  const list = () => Object.values(entries).sort((a, b) => b.createdAt - a.createdAt);
+  const notify = () => {
+    const snapshot = list();
+    listeners.forEach((listener) => listener(snapshot));
+  };
+  const persist = async () => {
+    try {
+      await storage.setItem(DOWNLOADS_KEY, JSON.stringify({ quotaBytes, entries }));
+    } catch (error) {
+      storageLog.error('Error saving downloads index', { error });
+    }
+  };
+  const update = (itemId, changes, { save = true } = {}) => {
+    if (!entries[itemId]) return;
+    entries[itemId] = { ...entries[itemId], ...changes };
+    notify();
+    if (save) persist();
+  };
+  const deleteFile = (fileUri) => fileSystem.deleteAsync(fileUri, { idempotent: true }).catch((error) => {
+    storageLog.warn('Error deleting download', { fileUri, error });
+  });
+
+  const usedBytes = () => Object.values(entries)
+    .filter((entry) => entry.status === DownloadStatus.Completed)
+    .reduce((total, entry) => total + (entry.totalBytes || 0), 0);
+
+  // Evict least recently used downloads until the quota is met. `keepId` (just finished)
+  // is evicted last, i.e. only when it alone is bigger than the quota.
+  const enforceQuota = async (keepId) => {
+    const candidates = Object.values(entries)
+      .filter((entry) => entry.status === DownloadStatus.Completed && entry.itemId !== keepId)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    while (usedBytes() > quotaBytes && candidates.length > 0) {
+      const evicted = candidates.shift();
+      storageLog.info('Evicting download to stay under quota', { id: evicted.itemId });
+      delete entries[evicted.itemId];
+      await deleteFile(evicted.fileUri);
+    }
+    if (keepId && usedBytes() > quotaBytes) {
+      await deleteFile(entries[keepId].fileUri);
+      entries[keepId] = { ...entries[keepId], status: DownloadStatus.Failed, error: 'Larger than the storage quota' };
+    }
+    notify();
+  };
+
+  // Progress is recorded on every tick but listeners hear about it at most once per
+  // progressIntervalMs per download (and on the last byte), not dozens of times a second
+  const progressCallback = (itemId) => ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+    if (!entries[itemId]) return;
+    entries[itemId] = {
+      ...entries[itemId],
+      bytesWritten: totalBytesWritten,
+      totalBytes: totalBytesExpectedToWrite > 0 ? totalBytesExpectedToWrite : entries[itemId].totalBytes,
+    };
+    const now = Date.now();
+    const done = totalBytesExpectedToWrite > 0 && totalBytesWritten >= totalBytesExpectedToWrite;
+    if (done || now - (progressNotifiedAt.get(itemId) ?? -Infinity) >= progressIntervalMs) {
+      progressNotifiedAt.set(itemId, now);
+      notify();
+    }
+  };
+
+  // Check the finished file against the expected size, then account for it in the quota
+  const finish = async (itemId, result) => {
+    const entry = entries[itemId];
+    if (result.status < 200 || result.status >= 300) {
+      throw new Error(`Download failed with HTTP ${result.status}`);
+    }
+    // Progress reports the full size even when resuming; Content-Length only covers the last request
+    const expected = entry.totalBytes
+      || Number(result.headers?.['Content-Length'] ?? result.headers?.['content-length'])
+      || 0;
+    const info = await fileSystem.getInfoAsync(entry.fileUri, { size: true });
+    if (!info.exists || (expected > 0 && info.size !== expected)) {
+      await deleteFile(entry.fileUri);
+      throw new Error(`Size check failed: expected ${expected} bytes, got ${info.size ?? 0}`);
+    }
+    entries[itemId] = {
+      ...entry,
+      status: DownloadStatus.Completed,
+      bytesWritten: info.size,
+      totalBytes: info.size,
+      resumeData: null,
+      error: null,
+      lastUsedAt: Date.now(),
+    };
+    await enforceQuota(itemId);
+    persist();
+  };
+
+  // Drive a download until it completes, pauses or is cancelled
+  const run = async (itemId, download, task) => {
+    active.set(itemId, download);
+    try {
+      const result = await task();
+      // downloadAsync/resumeAsync resolve to undefined when paused or cancelled
+      if (result && active.get(itemId) === download) await finish(itemId, result);
+    } catch (error) {
+      storageLog.warn('Error downloading', { id: itemId, error });
+      update(itemId, { status: DownloadStatus.Failed, error: error.message || String(error) });
+    } finally {
+      if (active.get(itemId) === download) active.delete(itemId);
+      progressNotifiedAt.delete(itemId);
+    }
+  };
+
+  const manager = {
+    // Load the persisted index once. Downloads cut off by an app restart come back paused.
+    load: () => {
+      if (!loading) {
+        loading = (async () => {
+          try {
+            const stored = await storage.getItem(DOWNLOADS_KEY);
+            if (stored) {
+              const parsed = JSON.parse(stored);
+              quotaBytes = parsed.quotaBytes ?? quotaBytes;
+              entries = parsed.entries ?? {};
+              Object.values(entries).forEach((entry) => {
+                if (entry.status === DownloadStatus.Downloading) entry.status = DownloadStatus.Paused;
+              });
+            }
+          } catch (error) {
+            storageLog.error('Error loading downloads index', { error });
+          }
+          notify();
+        })();
+      }
+      return loading;
+    },
+
+    // Listener receives the full entry list on every change. Returns a subscription with remove().
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+
+    list,
+    usedBytes,
+    getQuota: () => quotaBytes,
+
+    setQuota: async (bytes) => {
+      await manager.load();
+      quotaBytes = bytes;
+      await enforceQuota(null);
+      persist();
+    },
+
+    // Items with a completed local copy, most recent first
+    completedItems: () => list().filter((entry) => entry.status === DownloadStatus.Completed).map((entry) => entry.item),
+
+    start: async (item) => {
+      await manager.load();
+      const existing = entries[item.id];
+      if (active.has(item.id) || existing?.status === DownloadStatus.Completed) return;
+      if (existing?.status === DownloadStatus.Paused) {
+        manager.resume(item.id);
+        return;
+      }
+      await fileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+      const now = Date.now();
+      entries[item.id] = {
+        itemId: item.id,
+        item,
+        fileUri: `${directory}${safeFileName(item.id)}.${fileExtension(item.mediaUri)}`,
+        status: DownloadStatus.Downloading,
+        bytesWritten: 0,
+        totalBytes: 0,
+        resumeData: null,
+        error: null,
+        createdAt: now,
+        lastUsedAt: now,
+      };
+      notify();
+      persist();
+      const download = fileSystem.createDownloadResumable(
+        item.mediaUri, entries[item.id].fileUri, {}, progressCallback(item.id),
+      );
+      run(item.id, download, () => download.downloadAsync());
+    },
+
+    pause: async (itemId) => {
+      const download = active.get(itemId);
+      if (!download) return;
+      active.delete(itemId);
+      try {
+        const state = await download.pauseAsync();
+        update(itemId, { status: DownloadStatus.Paused, resumeData: state?.resumeData ?? null });
+      } catch (error) {
+        update(itemId, { status: DownloadStatus.Failed, error: error.message || String(error) });
+      }
+    },
+
+    // Resume a paused (or failed) download; without resume data it starts over
+    resume: async (itemId) => {
+      await manager.load();
+      const entry = entries[itemId];
+      if (!entry || active.has(itemId) || entry.status === DownloadStatus.Completed) return;
+      const download = fileSystem.createDownloadResumable(
+        entry.item.mediaUri, entry.fileUri, {}, progressCallback(itemId), entry.resumeData || undefined,
+      );
+      update(itemId, { status: DownloadStatus.Downloading, error: null });
+      run(itemId, download, () => (entry.resumeData ? download.resumeAsync() : download.downloadAsync()));
+    },
+
+    // Cancel an in-progress download or delete a finished one
+    remove: async (itemId) => {
+      const download = active.get(itemId);
+      active.delete(itemId);
+      if (download) await download.cancelAsync().catch(() => {});
+      const entry = entries[itemId];
+      delete entries[itemId];
+      if (entry) await deleteFile(entry.fileUri);
+      notify();
+      persist();
+    },
+
+    // Local file for a completed, intact download, or null to stream instead
+    getLocalUri: async (itemId) => {
+      await manager.load();
+      const entry = entries[itemId];
+      if (entry?.status !== DownloadStatus.Completed) return null;
+      const info = await fileSystem.getInfoAsync(entry.fileUri, { size: true }).catch(() => ({ exists: false }));
+      if (!info.exists || info.size !== entry.totalBytes) {
+        storageLog.warn('Local copy missing or corrupt, streaming instead', { id: itemId });
+        await deleteFile(entry.fileUri);
+        update(itemId, { status: DownloadStatus.Failed, error: 'Local copy missing or corrupt' });
+        return null;
+      }
+      return entry.fileUri;
+    },
+
+    // Mark a completed download as used for LRU eviction; call when its item starts playing
+    touch: (itemId) => {
+      if (entries[itemId]?.status !== DownloadStatus.Completed) return;
+      update(itemId, { lastUsedAt: Date.now() });
+    },
+  };
+
+  return manager;
+};
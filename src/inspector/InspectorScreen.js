@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, FlatList, TouchableOpacity, TextInput, Modal, Share } from 'react-native';
+import { TimelineKind } from './timeline';
+import { saveRecording } from './sessionRecorder';
+
+const KIND_FILTERS = [
+  { label: 'All', kinds: [] },
+  { label: 'Car', kinds: [TimelineKind.Car] },
+  { label: 'Player', kinds: [TimelineKind.Player] },
+  { label: 'Templates', kinds: [TimelineKind.Template] },
+];
+
+const KIND_COLORS = {
+  [TimelineKind.Car]: '#64b5f6',
+  [TimelineKind.Player]: '#1db954',
+  [TimelineKind.Template]: '#ffb74d',
+};
+
+const formatClock = (time) => {
+  const date = new Date(time);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+// Hidden debug screen: the car connection timeline with filters and JSON export, and
+// session recording for offline replay (see sessionRecorder.js)
+export default function InspectorScreen({ visible, timeline, recorder, onClose }) {
+  const [kindFilter, setKindFilter] = useState(KIND_FILTERS[0]);
+  const [text, setText] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [expandedSeq, setExpandedSeq] = useState(null);
+  const [isRecording, setIsRecording] = useState(recorder?.isRecording() ?? false);
+  const [recordingStatus, setRecordingStatus] = useState(null);
+
+  const filter = { kinds: kindFilter.kinds, text };
+
+  // Re-query on new entries while open; newest first
+  useEffect(() => {
+    if (!visible) return undefined;
+    const refresh = () => setEntries(timeline.query({ kinds: kindFilter.kinds, text }).reverse());
+    refresh();
+    const sub = timeline.subscribe(refresh);
+    return () => sub.remove();
+  }, [visible, timeline, kindFilter, text]);
+
+  const exportTimeline = () => {
+    Share.share({ title: 'Android Auto timeline', message: timeline.exportJson(filter) })
+      .catch(() => {});
+  };
+
+  const toggleRecording = async () => {
+    if (!recorder.isRecording()) {
+      recorder.start();
+      setIsRecording(true);
+      setRecordingStatus('Recording… use the car, then stop to save.');
+      return;
+    }
+    const recording = recorder.stop();
+    setIsRecording(false);
+    try {
+      const path = await saveRecording(recording);
+      setRecordingStatus(`Saved ${recording.entries.length} entries to ${path}`);
+    } catch (error) {
+      setRecordingStatus(`Couldn't save the recording: ${error.message}`);
+    }
+  };
+
+  const clearTimeline = () => {
+    timeline.clear();
+    setEntries([]);
+  };
+
+  const renderEntry = ({ item: entry }) => (
+    <TouchableOpacity
+      style={styles.entry}
+      onPress={() => setExpandedSeq(expandedSeq === entry.seq ? null : entry.seq)}
+    >
+      <View style={styles.entryHeader}>
+        <Text style={styles.entryTime}>{formatClock(entry.time)}</Text>
+        <Text style={[styles.entryKind, { color: KIND_COLORS[entry.kind] }]}>{entry.kind}</Text>
+        <Text style={styles.entryName} numberOfLines={1}>{entry.name}</Text>
+      </View>
+      {entry.data !== undefined && (
+        <Text style={styles.entryData} numberOfLines={expandedSeq === entry.seq ? undefined : 1}>
+          {expandedSeq === entry.seq ? JSON.stringify(entry.data, null, 2) : JSON.stringify(entry.data)}
+        </Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Connection inspector</Text>
+          {recorder && (
+            <TouchableOpacity style={[styles.button, isRecording && styles.buttonRecording]} onPress={toggleRecording}>
+              <Text style={styles.buttonText}>{isRecording ? '■ Stop' : '● Record'}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.button} onPress={exportTimeline}>
+            <Text style={styles.buttonText}>Export</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={clearTimeline}>
+            <Text style={styles.buttonText}>Clear</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={onClose}>
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+        {recordingStatus && <Text style={styles.recordingStatus}>{recordingStatus}</Text>}
+        <View style={styles.filters}>
+          {KIND_FILTERS.map((option) => (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.chip, option === kindFilter && styles.chipActive]}
+              onPress={() => setKindFilter(option)}
+            >
+              <Text style={styles.chipText}>{option.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TextInput
+          style={styles.search}
+          value={text}
+          onChangeText={setText}
+          placeholder="Filter by event, screen or payload"
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(entry) => String(entry.seq)}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={<Text style={styles.empty}>No events recorded.</Text>}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  button: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#444',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  buttonRecording: {
+    borderColor: '#e53935',
+    backgroundColor: '#3a1212',
+  },
+  recordingStatus: {
+    color: '#999',
+    fontSize: 12,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  filters: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#1e1e1e',
+  },
+  chipActive: {
+    backgroundColor: '#1db954',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  search: {
+    marginHorizontal: 16,
+    marginBottom: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e1e1e',
+    color: '#fff',
+  },
+  listContent: {
+    padding: 10,
+    paddingBottom: 40,
+  },
+  empty: {
+    color: '#999',
+    fontSize: 14,
+    padding: 6,
+  },
+  entry: {
+    backgroundColor: '#1e1e1e',
+    padding: 10,
+    marginBottom: 6,
+    borderRadius: 6,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  entryTime: {
+    color: '#999',
+    fontSize: 12,
+    fontVariant: ['tabular-nums'],
+    marginRight: 8,
+  },
+  entryKind: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginRight: 8,
+  },
+  entryName: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+  },
+  entryData: {
+    color: '#bbb',
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,140 @@
+import { createSessionRecorder, saveRecording, RECORDING_VERSION } from '../sessionRecorder';
+import { createFakeCarProjection, createListTemplate } from '../../car/simulator/fakeCarProjection';
+import { createFakeTrackPlayer, Event } from '../../car/simulator/fakeTrackPlayer';
+
+// A recorder over the fake car and player modules, on a clock the test sets by hand
+const setup = () => {
+  let time = 1000;
+  const clock = { now: () => time, setTimeout: () => null, clearTimeout: () => {}, setInterval: () => null, clearInterval: () => {} };
+  const car = createFakeCarProjection({ clock });
+  const trackPlayer = createFakeTrackPlayer({ clock, autoEvents: false });
+  const recorder = createSessionRecorder({ carProjection: car.module, trackPlayer: trackPlayer.player, Event, now: clock.now });
+  return {
+    car,
+    trackPlayer,
+    recorder,
+    setTime: (next) => {
+      time = next;
+    },
+  };
+};
+
+const entriesOf = (recording) => recording.entries.map(({ t, type, name }) => [t, type, name]);
+
+test('records car and player events with their time since start', () => {
+  const { car, trackPlayer, recorder, setTime } = setup();
+  recorder.start();
+  setTime(1250);
+  car.headUnit.startSession();
+  setTime(1400);
+  trackPlayer.controls.inject(Event.PlaybackState, { state: 'playing' });
+  car.headUnit.customAction('cycle_speed');
+  setTime(3000);
+  const recording = recorder.stop();
+
+  expect(recording).toMatchObject({ version: RECORDING_VERSION, recordedAt: new Date(1000).toISOString(), durationMs: 2000 });
+  expect(entriesOf(recording)).toEqual([
+    [250, 'car', 'sessionStarted'],
+    [250, 'car', 'screenChanged'],
+    [400, 'player', 'PlaybackState'],
+    [400, 'car', 'mediaCustomAction'],
+  ]);
+  expect(recording.entries[1].data).toBe('main');
+  expect(recording.entries[3].data).toEqual({ action: 'cycle_speed' });
+});
+
+test('records templates, playback states, navigation and player commands as plain data', async () => {
+  const { car, trackPlayer, recorder } = setup();
+  recorder.start();
+  car.module.registerScreen({ name: 'main', template: createListTemplate({ title: 'Main', items: [{ title: 'A', onPress: () => {} }] }) });
+  car.module.navigateToScreen('main');
+  await car.module.updateMediaPlaybackState({ state: 'paused', title: 'A' });
+  await trackPlayer.player.add([{ id: 'a', url: 'https://example.com/a.mp3' }]);
+  await trackPlayer.player.seekTo(12);
+  await trackPlayer.player.getProgress(); // not a command
+  const recording = recorder.stop();
+
+  expect(recording.entries.map(({ type, name, data }) => [type, name, data])).toEqual([
+    ['template', 'main', { type: 'list', title: 'Main', items: [{ title: 'A' }] }],
+    ['navigation', 'navigateToScreen', 'main'],
+    ['car', 'screenChanged', 'main'],
+    ['playbackState', 'update', { state: 'paused', title: 'A' }],
+    ['command', 'add', [[{ id: 'a', url: 'https://example.com/a.mp3' }]]],
+    ['command', 'seekTo', [12]],
+  ]);
+  // The wrapped calls still reached the modules
+  expect(car.headUnit.currentTemplate().title).toBe('Main');
+  expect(trackPlayer.controls.queueIds()).toEqual(['a']);
+});
+
+test('stop puts the original methods back and drops the listeners', () => {
+  const { car, trackPlayer, recorder } = setup();
+  const { registerScreen, navigateToScreen } = car.module;
+  const { play } = trackPlayer.player;
+  recorder.start();
+  expect(car.module.registerScreen).not.toBe(registerScreen);
+  expect(trackPlayer.player.play).not.toBe(play);
+
+  const recording = recorder.stop();
+  expect(car.module.registerScreen).toBe(registerScreen);
+  expect(car.module.navigateToScreen).toBe(navigateToScreen);
+  expect(trackPlayer.player.play).toBe(play);
+  expect(recorder.isRecording()).toBe(false);
+
+  car.headUnit.startSession();
+  trackPlayer.controls.inject(Event.PlaybackState, { state: 'playing' });
+  expect(recording.entries).toEqual([]);
+  expect(recorder.stop()).toBeNull();
+});
+
+test('a second start while recording keeps the first recording', () => {
+  const { car, recorder } = setup();
+  recorder.start();
+  car.headUnit.startSession();
+  const { registerScreen } = car.module;
+  recorder.start();
+
+  expect(car.module.registerScreen).toBe(registerScreen);
+  expect(recorder.entryCount()).toBe(2);
+  recorder.stop();
+  car.headUnit.connectMediaBrowser();
+  expect(recorder.entryCount()).toBe(0);
+});
+
+test('a wrapper installed on top of the recorder keeps working after stop', () => {
+  const { car, recorder } = setup();
+  recorder.start();
+  const seen = [];
+  const recording = car.module.registerScreen;
+  car.module.registerScreen = (screen) => {
+    seen.push(screen.name);
+    return recording(screen);
+  };
+  recorder.stop();
+
+  car.module.registerScreen({ name: 'main', template: createListTemplate({ title: 'Main', items: [] }) });
+  expect(seen).toEqual(['main']);
+  expect(car.headUnit.templateOf('main').title).toBe('Main');
+
+  // The old wrapper, still in the chain, doesn't record into the next recording
+  recorder.start();
+  car.module.registerScreen({ name: 'main', template: createListTemplate({ title: 'Again', items: [] }) });
+  expect(recorder.stop().entries.map(({ type, name }) => [type, name])).toEqual([['template', 'main']]);
+});
+
+test('saveRecording writes the JSON under documents/recordings', async () => {
+  const files = {};
+  const fileSystem = {
+    documentDirectory: 'file:///docs/',
+    makeDirectoryAsync: jest.fn(async () => {}),
+    writeAsStringAsync: async (path, contents) => {
+      files[path] = contents;
+    },
+  };
+  const recording = { version: RECORDING_VERSION, recordedAt: '2026-10-12T17:42:08.311Z', durationMs: 10, entries: [] };
+  const path = await saveRecording(recording, { fileSystem });
+
+  expect(path).toBe('file:///docs/recordings/session-2026-10-12T17-42-08-311Z.json');
+  expect(fileSystem.makeDirectoryAsync).toHaveBeenCalledWith('file:///docs/recordings/', { intermediates: true });
+  expect(JSON.parse(files[path])).toEqual(recording);
+});
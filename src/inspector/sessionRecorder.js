@@ -0,0 +1,106 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { CAR_EVENTS, toPlainData } from './timeline';
+
+// Records a real car session (e.g. on the Desktop Head Unit) for offline replay: the ordered
+// inputs (CarProjection and TrackPlayer events) and outputs (templates, media-session
+// payloads, screen navigation, player commands), each with its time since recording started.
+// src/car/simulator/replay.js feeds the inputs back through the simulated head unit and
+// compares the outputs. Recording:
+//   { version, recordedAt, durationMs, entries: [{ t, type, name, data }] }
+// Input types: 'car' (name = CAR_EVENTS event name), 'player' (name = Event key).
+// Output types: 'template', 'playbackState', 'navigation', 'command'.
+export const RECORDING_VERSION = 1;
+
+export const RecordingEntryType = {
+  Car: 'car',
+  Player: 'player',
+  Template: 'template',
+  PlaybackState: 'playbackState',
+  Navigation: 'navigation',
+  Command: 'command',
+};
+
+// TrackPlayer events worth replaying (keys of its Event enum)
+const PLAYER_EVENTS = [
+  'PlaybackState',
+  'PlaybackActiveTrackChanged',
+  'PlaybackProgressUpdated',
+  'PlaybackError',
+  'PlaybackQueueEnded',
+];
+
+// TrackPlayer methods recorded as commands
+const PLAYER_COMMANDS = ['add', 'reset', 'skip', 'skipToNext', 'skipToPrevious', 'play', 'pause', 'stop', 'seekTo', 'setRate', 'retry'];
+
+const NAVIGATION_CALLS = ['navigateToScreen', 'popScreen', 'popToRoot'];
+
+export const createSessionRecorder = ({ carProjection, trackPlayer, Event, now = Date.now }) => {
+  let recording = null;
+  let startedAt = 0;
+  let detach = [];
+
+  const add = (type, name, data) => {
+    recording?.entries.push({ t: now() - startedAt, type, name, data: toPlainData(data) });
+  };
+
+  // Replace target[method] with a recording wrapper; returns the undo. If something wrapped
+  // it again since, ours stays in that chain and just stops recording.
+  const wrap = (target, method, record) => {
+    const original = target[method];
+    if (typeof original !== 'function') return () => {};
+    let active = true;
+    const wrapper = (...args) => {
+      if (active) record(...args);
+      return original.apply(target, args);
+    };
+    target[method] = wrapper;
+    return () => {
+      active = false;
+      if (target[method] === wrapper) target[method] = original;
+    };
+  };
+
+  const start = () => {
+    if (recording) return;
+    startedAt = now();
+    recording = { version: RECORDING_VERSION, recordedAt: new Date(startedAt).toISOString(), entries: [] };
+    const subs = [
+      ...CAR_EVENTS
+        .filter(([method]) => typeof carProjection[method] === 'function')
+        .map(([method, name]) => carProjection[method]((event) => add(RecordingEntryType.Car, name, event))),
+      ...PLAYER_EVENTS.map((name) => trackPlayer.addEventListener(Event[name], (event) => add(RecordingEntryType.Player, name, event))),
+    ];
+    detach = [
+      () => subs.forEach((sub) => sub?.remove?.()),
+      wrap(carProjection, 'registerScreen', (screen) => add(RecordingEntryType.Template, screen?.name, screen?.template)),
+      wrap(carProjection, 'updateMediaPlaybackState', (payload) => add(RecordingEntryType.PlaybackState, 'update', payload)),
+      ...NAVIGATION_CALLS.map((method) => wrap(carProjection, method, (name) => add(RecordingEntryType.Navigation, method, name))),
+      ...PLAYER_COMMANDS.map((method) => wrap(trackPlayer, method, (...args) => add(RecordingEntryType.Command, method, args))),
+    ];
+  };
+
+  const stop = () => {
+    if (!recording) return null;
+    detach.reverse().forEach((undo) => undo());
+    detach = [];
+    const finished = { ...recording, durationMs: now() - startedAt };
+    recording = null;
+    return finished;
+  };
+
+  return {
+    start,
+    stop,
+    isRecording: () => recording !== null,
+    entryCount: () => recording?.entries.length ?? 0,
+  };
+};
+
+// Write a finished recording to <documents>/recordings/ and return the file path
+export const saveRecording = async (recording, { fileSystem = FileSystem } = {}) => {
+  const directory = `${fileSystem.documentDirectory}recordings/`;
+  await fileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+  const path = `${directory}session-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+  await fileSystem.writeAsStringAsync(path, JSON.stringify(recording, null, 2));
+  return path;
+};
@@ -0,0 +1,134 @@
+// Timestamped record of what happened between the app and the head unit, for the
+// hidden inspector screen and for bug reports. Bounded: the oldest entries are dropped.
+// Entry: { seq, time, kind, name, data }.
+
+export const TimelineKind = {
+  Car: 'car', // CarProjection events (session, MediaBrowser, screen changes, media commands)
+  Player: 'player', // TrackPlayer state and track transitions
+  Template: 'template', // templates registered with registerScreen
+};
+
+export const DEFAULT_TIMELINE_CAPACITY = 1000;
+
+// Drop functions (onPress handlers) and anything else JSON can't carry
+export const toPlainData = (data) => {
+  if (data === undefined) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(data));
+  } catch (_) {
+    return String(data);
+  }
+};
+
+export const createTimeline = ({ capacity = DEFAULT_TIMELINE_CAPACITY } = {}) => {
+  let entries = [];
+  let seq = 0;
+  const listeners = new Set();
+
+  const record = (kind, name, data) => {
+    seq += 1;
+    const entry = { seq, time: Date.now(), kind, name, data: toPlainData(data) };
+    entries.push(entry);
+    if (entries.length > capacity) entries = entries.slice(entries.length - capacity);
+    listeners.forEach((listener) => listener(entry));
+    return entry;
+  };
+
+  // Entries matching { kinds, text } (both optional); text matches name or payload, case-insensitive
+  const query = ({ kinds, text } = {}) => {
+    const needle = text?.trim().toLowerCase();
+    return entries.filter((entry) => {
+      if (kinds && kinds.length > 0 && !kinds.includes(entry.kind)) return false;
+      if (!needle) return true;
+      return entry.name.toLowerCase().includes(needle)
+        || (entry.data !== undefined && JSON.stringify(entry.data).toLowerCase().includes(needle));
+    });
+  };
+
+  const exportJson = (filter) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    entries: query(filter).map((entry) => ({ ...entry, time: new Date(entry.time).toISOString() })),
+  }, null, 2);
+
+  return {
+    record,
+    query,
+    exportJson,
+    clear: () => {
+      entries = [];
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+};
+
+// CarProjection listener methods recorded by attachCarInspector (and the session recorder),
+// with the payload kept for each
+export const CAR_EVENTS = [
+  ['addSessionStartedListener', 'sessionStarted'],
+  ['addSessionEndedListener', 'sessionEnded'],
+  ['addMediaBrowserConnectedListener', 'mediaBrowserConnected'],
+  ['addScreenChangedListener', 'screenChanged'],
+  ['addMediaPlayListener', 'mediaPlay'],
+  ['addMediaPauseListener', 'mediaPause'],
+  ['addMediaStopListener', 'mediaStop'],
+  ['addMediaPlayFromIdListener', 'mediaPlayFromId'],
+  ['addMediaCustomActionListener', 'mediaCustomAction'],
+  ['addMediaSeekToListener', 'mediaSeekTo'],
+  ['addMediaFastForwardListener', 'mediaFastForward'],
+  ['addMediaRewindListener', 'mediaRewind'],
+  ['addMediaPlayFromSearchListener', 'mediaPlayFromSearch'],
+  ['addMediaSearchListener', 'mediaSearch'],
+];
+
+// Record every CarProjection event and every registerScreen call. registerScreen is wrapped
+// in place so all callers are covered; remove() restores it and drops the listeners.
+export const attachCarInspector = (carProjection, timeline) => {
+  const subs = CAR_EVENTS
+    .filter(([method]) => typeof carProjection[method] === 'function')
+    .map(([method, name]) => carProjection[method]((event) => timeline.record(TimelineKind.Car, name, event)));
+
+  const registerScreen = carProjection.registerScreen;
+  carProjection.registerScreen = (screen) => {
+    timeline.record(TimelineKind.Template, screen?.name ?? '(unnamed)', screen?.template);
+    return registerScreen.call(carProjection, screen);
+  };
+
+  return {
+    remove: () => {
+      subs.forEach((sub) => sub?.remove?.());
+      carProjection.registerScreen = registerScreen;
+    },
+  };
+};
+
+// Record TrackPlayer state transitions (repeats of the same state are skipped), track changes and errors
+export const attachPlayerInspector = (trackPlayer, Event, timeline) => {
+  let lastState = null;
+  const subs = [
+    trackPlayer.addEventListener(Event.PlaybackState, (event) => {
+      if (event.state === lastState) return;
+      timeline.record(TimelineKind.Player, 'state', { from: lastState, to: event.state });
+      lastState = event.state;
+    }),
+    trackPlayer.addEventListener(Event.PlaybackActiveTrackChanged, (event) => {
+      timeline.record(TimelineKind.Player, 'activeTrack', {
+        id: event.track?.id ?? null,
+        index: event.index,
+        lastId: event.lastTrack?.id ?? null,
+        lastPosition: event.lastPosition,
+      });
+    }),
+    trackPlayer.addEventListener(Event.PlaybackError, (event) => {
+      timeline.record(TimelineKind.Player, 'error', { code: event?.code, message: event?.message });
+    }),
+    trackPlayer.addEventListener(Event.PlaybackQueueEnded, (event) => {
+      timeline.record(TimelineKind.Player, 'queueEnded', { track: event?.track, position: event?.position });
+    }),
+  ];
+  return {
+    remove: () => subs.forEach((sub) => sub?.remove?.()),
+  };
+};
@@ -0,0 +1,50 @@
+import * as FileSystem from 'expo-file-system/legacy';
+
+// Appends entries as JSON lines to a log file. Writes are batched; when the file
+// grows past maxBytes it is rotated to `<path>.1` (one previous file is kept).
+export const fileSink = ({
+  fileSystem = FileSystem,
+  path = `${FileSystem.documentDirectory}logs/app.log`,
+  maxBytes = 512 * 1024,
+  flushIntervalMs = 2000,
+} = {}) => {
+  let pending = [];
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const writeBatch = async (lines) => {
+    try {
+      const directory = path.slice(0, path.lastIndexOf('/') + 1);
+      await fileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+      const info = await fileSystem.getInfoAsync(path);
+      let existing = '';
+      if (info.exists && info.size > maxBytes) {
+        await fileSystem.moveAsync({ from: path, to: `${path}.1` }).catch(() => {});
+      } else if (info.exists) {
+        existing = await fileSystem.readAsStringAsync(path);
+      }
+      await fileSystem.writeAsStringAsync(path, existing + lines.join('\n') + '\n');
+    } catch (_) {
+      // logging must not fail the app
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return writing;
+    const lines = pending;
+    pending = [];
+    writing = writing.then(() => writeBatch(lines));
+    return writing;
+  };
+
+  return {
+    write: (entry) => {
+      pending.push(JSON.stringify(entry));
+      if (!timer) timer = setTimeout(flush, flushIntervalMs);
+    },
+    flush,
+    path,
+  };
+};
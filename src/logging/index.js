@@ -0,0 +1,28 @@
+import { createLogger, consoleSink, httpSink, LogLevel } from './logger';
+import { fileSink } from './fileSink';
+
+export { createLogger, consoleSink, httpSink, LogLevel } from './logger';
+export { fileSink } from './fileSink';
+
+// Opt-in sinks, read from the environment at build time:
+// - EXPO_PUBLIC_LOG_COLLECTOR_URL: local HTTP collector, e.g. http://127.0.0.1:7246/ingest/<id> (dev builds only)
+// - EXPO_PUBLIC_LOG_TO_FILE=1: append entries to <documents>/logs/app.log
+const COLLECTOR_URL = process.env.EXPO_PUBLIC_LOG_COLLECTOR_URL;
+const LOG_TO_FILE = process.env.EXPO_PUBLIC_LOG_TO_FILE === '1';
+
+// App-wide logger. Dev builds log everything to the console; production builds write
+// nothing unless a file sink is enabled, and only keep warnings and errors in the buffer.
+export const logger = createLogger({
+  level: __DEV__ ? LogLevel.Debug : LogLevel.Warn,
+  sinks: [
+    ...(__DEV__ ? [consoleSink()] : []),
+    ...(__DEV__ && COLLECTOR_URL ? [httpSink({ url: COLLECTOR_URL })] : []),
+    ...(LOG_TO_FILE ? [fileSink()] : []),
+  ],
+});
+
+// Subsystem loggers
+export const playerLog = logger.tag('player');
+export const carLog = logger.tag('car');
+export const storageLog = logger.tag('storage');
+export const libraryLog = logger.tag('library');
@@ -0,0 +1,132 @@
+// Structured logging: leveled, tagged entries kept in a bounded ring buffer and
+// fanned out to pluggable sinks. A sink is { write(entry), flush?() }.
+// Entry: { seq, time, level, tag, message, data }.
+
+export const LogLevel = {
+  Debug: 'debug',
+  Info: 'info',
+  Warn: 'warn',
+  Error: 'error',
+  Silent: 'silent',
+};
+
+const LEVEL_RANK = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export const DEFAULT_BUFFER_SIZE = 500;
+
+// Errors don't survive JSON.stringify; keep the useful parts
+const serializeValue = (value) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code };
+  }
+  return value;
+};
+
+const serializeData = (data) => {
+  if (data === undefined || data === null) return undefined;
+  if (typeof data !== 'object' || data instanceof Error) return { value: serializeValue(data) };
+  if (Array.isArray(data)) return { value: data.map(serializeValue) };
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, serializeValue(value)]));
+};
+
+export const createLogger = ({ level = LogLevel.Debug, sinks = [], bufferSize = DEFAULT_BUFFER_SIZE } = {}) => {
+  let threshold = LEVEL_RANK[level] ?? LEVEL_RANK.debug;
+  const activeSinks = new Set(sinks);
+  const listeners = new Set();
+  const buffer = new Array(bufferSize);
+  let seq = 0;
+
+  const write = (entryLevel, tag, message, data) => {
+    if (LEVEL_RANK[entryLevel] < threshold) return;
+    seq += 1;
+    const entry = { seq, time: Date.now(), level: entryLevel, tag, message, data: serializeData(data) };
+    buffer[seq % bufferSize] = entry;
+    activeSinks.forEach((sink) => {
+      try {
+        sink.write(entry);
+      } catch (_) {
+        // a broken sink must never break the caller
+      }
+    });
+    listeners.forEach((listener) => listener(entry));
+  };
+
+  // Logger bound to one subsystem, e.g. logger.tag('player').info('Playing', { id })
+  const tag = (name) => ({
+    debug: (message, data) => write(LogLevel.Debug, name, message, data),
+    info: (message, data) => write(LogLevel.Info, name, message, data),
+    warn: (message, data) => write(LogLevel.Warn, name, message, data),
+    error: (message, data) => write(LogLevel.Error, name, message, data),
+  });
+
+  // Buffered entries, oldest first
+  const entries = () => {
+    const count = Math.min(seq, bufferSize);
+    const result = [];
+    for (let s = seq - count + 1; s <= seq; s += 1) {
+      result.push(buffer[s % bufferSize]);
+    }
+    return result;
+  };
+
+  return {
+    tag,
+    entries,
+    setLevel: (next) => {
+      threshold = LEVEL_RANK[next] ?? threshold;
+    },
+    addSink: (sink) => {
+      activeSinks.add(sink);
+      return { remove: () => activeSinks.delete(sink) };
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+    flush: () => Promise.all([...activeSinks].map((sink) => sink.flush?.())),
+  };
+};
+
+const CONSOLE_METHOD = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Writes `[tag] message` plus the payload to the JS console
+export const consoleSink = (target = console) => ({
+  write: ({ level, tag, message, data }) => {
+    const method = target[CONSOLE_METHOD[level]] ?? target.log;
+    if (data === undefined) method.call(target, `[${tag}] ${message}`);
+    else method.call(target, `[${tag}] ${message}`, data);
+  },
+});
+
+// POSTs batches of entries as JSON ({ entries: [...] }) to a local collector.
+// Delivery is best effort: failed batches are dropped.
+export const httpSink = ({ url, fetchImpl = fetch, batchSize = 20, flushIntervalMs = 2000 }) => {
+  let pending = [];
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    try {
+      await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entries: batch }),
+      });
+    } catch (_) {
+      // collector not running
+    }
+  };
+
+  return {
+    write: (entry) => {
+      pending.push(entry);
+      if (pending.length >= batchSize) flush();
+      else if (!timer) timer = setTimeout(flush, flushIntervalMs);
+    },
+    flush,
+  };
+};
@@ -0,0 +1,49 @@
+import { createErrorRecovery, describePlaybackError, isNetworkError } from '../errorRecovery';
+
+const NETWORK = { code: 'android-io-network-connection-failed', message: 'Network error' };
+const NOT_FOUND = { code: 'android-io-file-not-found', message: 'Not found' };
+
+test('network errors back off 1 s, 2 s, 4 s, then the item is skipped', () => {
+  const recovery = createErrorRecovery();
+  expect([1, 2, 3].map(() => recovery.onError('a', NETWORK))).toEqual([
+    { action: 'retry', attempt: 1, delayMs: 1000 },
+    { action: 'retry', attempt: 2, delayMs: 2000 },
+    { action: 'retry', attempt: 3, delayMs: 4000 },
+  ]);
+  expect(recovery.onError('a', NETWORK)).toEqual({ action: 'skip', message: "Can't reach this stream. Check your connection." });
+  expect(recovery.isFailed('a')).toBe(true);
+});
+
+test('the delay is capped at maxDelayMs', () => {
+  const recovery = createErrorRecovery({ maxRetries: 6, baseDelayMs: 1000, maxDelayMs: 5000 });
+  const delays = Array.from({ length: 6 }, () => recovery.onError('a', NETWORK).delayMs);
+  expect(delays).toEqual([1000, 2000, 4000, 5000, 5000, 5000]);
+});
+
+test('errors a retry cannot fix skip straight away', () => {
+  const recovery = createErrorRecovery();
+  expect(recovery.onError('a', NOT_FOUND)).toEqual({ action: 'skip', message: 'This item is no longer available.' });
+  expect(recovery.isFailed('a')).toBe(true);
+  expect(recovery.isFailed('b')).toBe(false);
+});
+
+test('playing again resets the retries; clear forgets a failed item', () => {
+  const recovery = createErrorRecovery({ maxRetries: 1 });
+  recovery.onError('a', NETWORK);
+  recovery.onPlaying('a');
+  expect(recovery.onError('a', NETWORK)).toMatchObject({ action: 'retry', attempt: 1 });
+  expect(recovery.onError('a', NETWORK)).toMatchObject({ action: 'skip' });
+
+  recovery.clear('a');
+  expect(recovery.isFailed('a')).toBe(false);
+  expect(recovery.onError('a', NETWORK)).toMatchObject({ action: 'retry', attempt: 1 });
+});
+
+test('isNetworkError and describePlaybackError sort errors by what the driver can do', () => {
+  expect(isNetworkError({ code: 'android-io-bad-http-status', message: 'Response code: 503' })).toBe(true);
+  expect(isNetworkError({ code: 'android-io-bad-http-status', message: 'Response code: 404' })).toBe(false);
+  expect(isNetworkError({ message: 'The request timed out.' })).toBe(true);
+  expect(describePlaybackError({ code: 'android-io-bad-http-status', message: 'Response code: 404' })).toBe('This item is no longer available.');
+  expect(describePlaybackError({ code: 'android-parsing-container-unsupported' })).toBe("This item can't be played on this device.");
+  expect(describePlaybackError(undefined)).toBe('Playback failed.');
+});
@@ -0,0 +1,88 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  savePlaybackSession,
+  loadPlaybackSession,
+  clearPlaybackSession,
+  restorePlaybackSession,
+} from '../playbackSession';
+import { currentSimulator } from '../../../jest/simulator';
+
+const item = (id, extra = {}) => ({ id, title: id.toUpperCase(), mediaUri: `https://example.com/${id}.mp4`, ...extra });
+const QUEUE = [item('a'), item('b', { duration: 600 }), item('c')];
+
+// TrackPlayer is the simulator's fake player (see jest/simulator.js)
+const { player } = currentSimulator();
+const seeksSince = (since) => player.calls().slice(since).filter(({ method }) => method === 'seekTo').map(({ args }) => args[0]);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(Date, 'now').mockReturnValue(1000);
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+describe('saving and loading', () => {
+  test('a saved session loads back as it was saved', async () => {
+    await savePlaybackSession(QUEUE, 'b', 42.5);
+    await expect(loadPlaybackSession()).resolves.toEqual({ queue: QUEUE, activeId: 'b', position: 42.5, savedAt: 1000 });
+
+    await clearPlaybackSession();
+    await expect(loadPlaybackSession()).resolves.toBeNull();
+  });
+
+  test('keyFor keeps each profile\'s session apart', async () => {
+    const kid = { keyFor: (key) => `profile:kid:${key}` };
+    await savePlaybackSession(QUEUE, 'a', 0, kid);
+    await expect(loadPlaybackSession()).resolves.toBeNull();
+    await expect(loadPlaybackSession(kid)).resolves.toMatchObject({ activeId: 'a', position: 0 });
+  });
+
+  test('nothing is saved without an active item or a queue', async () => {
+    await savePlaybackSession(QUEUE, null, 10);
+    await savePlaybackSession([], 'a', 10);
+    await expect(AsyncStorage.getAllKeys()).resolves.toEqual([]);
+  });
+
+  test.each([
+    ['an active item missing from the queue', { queue: QUEUE, activeId: 'gone', position: 5 }],
+    ['no queue', { activeId: 'a', position: 5 }],
+    ['a queue that is not a list', { queue: 'a,b', activeId: 'a', position: 5 }],
+  ])('a stale session with %s is ignored', async (_, session) => {
+    await AsyncStorage.setItem('playback_session', JSON.stringify(session));
+    await expect(loadPlaybackSession()).resolves.toBeNull();
+  });
+
+  test('a session that is not JSON is ignored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.setItem('playback_session', '{"queue":');
+    await expect(loadPlaybackSession()).resolves.toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('restorePlaybackSession', () => {
+  test('loads the queue at the saved item and seeks to the saved position', async () => {
+    const since = player.calls().length;
+    const restored = await restorePlaybackSession({ queue: QUEUE, activeId: 'b', position: 42 });
+
+    expect(restored).toEqual({ queue: QUEUE, track: QUEUE[1] });
+    expect(player.queueIds()).toEqual(['a', 'b', 'c']);
+    expect(player.activeIndex()).toBe(1);
+    expect(seeksSince(since)).toEqual([42]);
+    // Loaded, not played
+    expect(player.calls().slice(since).map(({ method }) => method)).not.toContain('play');
+  });
+
+  test.each([
+    ['past the end of the item to its duration', 'b', 900, [600]],
+    ['past the end of an item of unknown length as saved', 'a', 900, [900]],
+    ['before the start to the start', 'b', -30, []],
+    ['that is not a number to the start', 'b', 'soon', []],
+  ])('clamps a position %s', async (_, activeId, position, seeks) => {
+    const since = player.calls().length;
+    await restorePlaybackSession({ queue: QUEUE, activeId, position });
+    expect(seeksSince(since)).toEqual(seeks);
+  });
+});
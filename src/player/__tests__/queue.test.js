@@ -0,0 +1,73 @@
+import TrackPlayer from 'react-native-track-player';
+import { buildPlayContext, loadQueue, toPlayerTrack } from '../queue';
+import { currentSimulator } from '../../../jest/simulator';
+
+const item = (id, extra = {}) => ({ id, title: id.toUpperCase(), artist: 'Artist', mediaUri: `https://example.com/${id}.mp4`, ...extra });
+const ITEMS = [item('a'), item('b'), item('c'), item('d')];
+
+const ids = (queue) => queue.map(({ id }) => id);
+
+describe('buildPlayContext', () => {
+  test('queues the list and starts at the tapped item', () => {
+    const { queue, startIndex } = buildPlayContext(ITEMS, 'c');
+    expect(ids(queue)).toEqual(['a', 'b', 'c', 'd']);
+    expect(startIndex).toBe(2);
+  });
+
+  test('leaves out excluded and unplayable items, and counts the start index without them', () => {
+    const items = [item('a'), item('folder', { playable: false }), ...ITEMS.slice(1)];
+    const { queue, startIndex } = buildPlayContext(items, 'c', (id) => id === 'a' || id === 'b');
+    expect(ids(queue)).toEqual(['c', 'd']);
+    expect(startIndex).toBe(0);
+  });
+
+  test('keeps the tapped item even when it is excluded', () => {
+    const { queue, startIndex } = buildPlayContext(ITEMS, 'b', (id) => id !== 'd');
+    expect(ids(queue)).toEqual(['b', 'd']);
+    expect(startIndex).toBe(0);
+  });
+
+  test('starts at the first item when the tapped one is not in the list', () => {
+    expect(buildPlayContext(ITEMS, 'z').startIndex).toBe(0);
+    expect(buildPlayContext([], 'z')).toEqual({ queue: [], startIndex: 0 });
+  });
+});
+
+describe('loadQueue', () => {
+  // TrackPlayer is the simulator's fake player (see jest/simulator.js)
+  const { player } = currentSimulator();
+
+  test('adds the start track first, then the ones before and after it', async () => {
+    const since = player.calls().length;
+    await loadQueue(ITEMS, 2);
+
+    expect(player.calls().slice(since).map(({ method, args }) => [method, ...args.map((arg) => (Array.isArray(arg) ? ids(arg) : arg))]))
+      .toEqual([['reset'], ['add', ['c']], ['add', ['a', 'b'], 0], ['add', ['d']]]);
+    expect(player.queueIds()).toEqual(['a', 'b', 'c', 'd']);
+    expect(player.activeIndex()).toBe(2);
+    await expect(TrackPlayer.getActiveTrack()).resolves.toEqual(toPlayerTrack(ITEMS[2]));
+  });
+
+  test('adds nothing around a start track at either end', async () => {
+    const since = player.calls().length;
+    await loadQueue(ITEMS.slice(0, 1), 0);
+    expect(player.calls().slice(since).map(({ method }) => method)).toEqual(['reset', 'add']);
+    expect(player.queueIds()).toEqual(['a']);
+  });
+
+  test('plays what resolveMediaUri returns instead of the stream', async () => {
+    await loadQueue(ITEMS.slice(0, 2), 1, async (entry) => (entry.id === 'b' ? 'file:///downloads/b.mp4' : entry.mediaUri));
+    const queue = await TrackPlayer.getQueue();
+    expect(queue.map(({ url }) => url)).toEqual(['https://example.com/a.mp4', 'file:///downloads/b.mp4']);
+  });
+});
+
+test('toPlayerTrack fills in a missing artist', () => {
+  expect(toPlayerTrack({ id: 'x', title: 'X', mediaUri: 'https://example.com/x.mp4', artworkUri: 'https://example.com/x.jpg' })).toEqual({
+    id: 'x',
+    url: 'https://example.com/x.mp4',
+    title: 'X',
+    artist: 'Unknown Artist',
+    artwork: 'https://example.com/x.jpg',
+  });
+});
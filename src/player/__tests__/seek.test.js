@@ -0,0 +1,64 @@
+import TrackPlayer from 'react-native-track-player';
+import { seekTo, skipBy, skipIntervalsFor, addSeekListener, SKIP_INTERVALS } from '../seek';
+
+// TrackPlayer is the simulator's fake player (see jest/simulator.js)
+const load = async (duration) => {
+  await TrackPlayer.reset();
+  await TrackPlayer.add({ id: 'a', url: 'https://example.com/a.mp3', title: 'A', duration });
+};
+
+describe('skipIntervalsFor', () => {
+  test('uses the item\'s content type, or the default', () => {
+    expect(skipIntervalsFor({ contentType: 'podcast' })).toEqual({ backward: 15, forward: 30 });
+    expect(skipIntervalsFor({ contentType: 'audiobook' })).toBe(SKIP_INTERVALS.default);
+    expect(skipIntervalsFor({})).toBe(SKIP_INTERVALS.default);
+    expect(skipIntervalsFor(null)).toBe(SKIP_INTERVALS.default);
+  });
+
+  test('takes other intervals', () => {
+    const intervals = { default: { backward: 5, forward: 5 }, music: { backward: 10, forward: 10 } };
+    expect(skipIntervalsFor({ contentType: 'music' }, intervals)).toEqual({ backward: 10, forward: 10 });
+    expect(skipIntervalsFor({ contentType: 'podcast' }, intervals)).toEqual({ backward: 5, forward: 5 });
+  });
+});
+
+describe('seekTo', () => {
+  test('clamps to the start and to the duration', async () => {
+    await load(100);
+    await expect(seekTo(-10)).resolves.toBe(0);
+    await expect(seekTo(250)).resolves.toBe(100);
+    await expect(seekTo(42)).resolves.toBe(42);
+    expect((await TrackPlayer.getProgress()).position).toBe(42);
+  });
+
+  test('only clamps at the start while the duration is unknown', async () => {
+    await TrackPlayer.reset();
+    jest.spyOn(TrackPlayer, 'getProgress').mockResolvedValueOnce({ position: 0, duration: 0, buffered: 0 });
+    const seek = jest.spyOn(TrackPlayer, 'seekTo');
+    await expect(seekTo(600)).resolves.toBe(600);
+    expect(seek).toHaveBeenCalledWith(600);
+    seek.mockRestore();
+  });
+
+  test('tells every seek listener the position sought to, until removed', async () => {
+    await load(100);
+    const positions = [];
+    const sub = addSeekListener((position) => positions.push(position));
+    await seekTo(150);
+    sub.remove();
+    await seekTo(10);
+    expect(positions).toEqual([100]);
+  });
+});
+
+describe('skipBy', () => {
+  test('moves from the current position, clamped both ways', async () => {
+    await load(100);
+    await seekTo(20);
+    await expect(skipBy(30)).resolves.toBe(50);
+    await expect(skipBy(-15)).resolves.toBe(35);
+    await expect(skipBy(-60)).resolves.toBe(0);
+    await seekTo(90);
+    await expect(skipBy(30)).resolves.toBe(100);
+  });
+});
@@ -0,0 +1,179 @@
+import { createSleepTimer, SleepTimerMode } from '../sleepTimer';
+
+// A player in TrackPlayer's shape: `progress` is what getProgress reports, `calls` what
+// the timer asked of it
+const createPlayer = ({ track = { id: 'a' }, position = 0, duration = 180 } = {}) => {
+  const listeners = new Map(); // event → Set
+  const player = {
+    track,
+    progress: { position, duration },
+    volume: 1,
+    volumes: [],
+    calls: [],
+    emit: (event, payload) => (listeners.get(event) ?? new Set()).forEach((listener) => listener(payload)),
+    getActiveTrack: async () => player.track,
+    getProgress: async () => player.progress,
+    getRate: async () => 1,
+    setVolume: async (volume) => {
+      player.volume = volume;
+      player.volumes.push(volume);
+    },
+    pause: async () => {
+      player.calls.push('pause');
+    },
+    stop: async () => {
+      player.calls.push('stop');
+    },
+    addEventListener: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return { remove: () => listeners.get(event).delete(listener) };
+    },
+  };
+  return player;
+};
+
+const createStorage = (values = {}) => {
+  const map = new Map(Object.entries(values));
+  return {
+    map,
+    getItem: async (key) => map.get(key) ?? null,
+    setItem: async (key, value) => {
+      map.set(key, value);
+    },
+    removeItem: async (key) => {
+      map.delete(key);
+    },
+  };
+};
+
+const setup = (playerOptions) => {
+  const player = createPlayer(playerOptions);
+  const storage = createStorage();
+  const timer = createSleepTimer({ player, storage, fadeOutMs: 10000, tickMs: 1000 });
+  return { player, storage, timer };
+};
+
+const advance = (ms) => jest.advanceTimersByTimeAsync(ms);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.warn.mockRestore();
+});
+
+test('fades the volume out over the last seconds, pauses, then puts the volume back', async () => {
+  const { player, storage, timer } = setup();
+  await timer.start({ minutes: 1 });
+  expect(JSON.parse(storage.map.get('sleep_timer'))).toMatchObject({ mode: SleepTimerMode.Duration });
+
+  await advance(49000);
+  expect(player.volumes).toEqual([]);
+  await advance(2000);
+  expect(player.volume).toBeCloseTo(0.9);
+  await advance(4000);
+  expect(player.volume).toBeCloseTo(0.5);
+  expect(timer.getState().remainingMs).toBe(5000);
+  expect(player.calls).toEqual([]);
+
+  await advance(5000);
+  expect(player.calls).toEqual(['pause']);
+  expect(player.volume).toBe(1);
+  expect(timer.getState()).toBeNull();
+  expect(storage.map.has('sleep_timer')).toBe(false);
+});
+
+test('cancel during the fade puts the volume back and keeps playing', async () => {
+  const { player, storage, timer } = setup();
+  const states = [];
+  timer.subscribe((state) => states.push(state));
+  await timer.start({ minutes: 1 });
+  await advance(57000);
+  expect(player.volume).toBeCloseTo(0.3);
+
+  await timer.cancel();
+  await advance(10000);
+  expect(player.volume).toBe(1);
+  expect(player.calls).toEqual([]);
+  expect(states[states.length - 1]).toBeNull();
+  expect(storage.map.has('sleep_timer')).toBe(false);
+});
+
+describe('end of track', () => {
+  test('stops when the queue moves past the item, fading over its last seconds', async () => {
+    const { player, timer } = setup({ position: 165, duration: 180 });
+    await timer.start({ endOfTrack: true, action: 'stop' });
+    await advance(0); // the first tick reads the progress
+    expect(timer.getState()).toMatchObject({ mode: SleepTimerMode.EndOfTrack, trackId: 'a', remainingMs: 15000 });
+
+    player.progress = { position: 175, duration: 180 };
+    await advance(1000);
+    expect(player.volume).toBeCloseTo(0.5);
+
+    // The same item again (e.g. a seek back in it) isn't the end
+    player.emit('playback-active-track-changed', { track: { id: 'a' } });
+    await advance(0);
+    expect(player.calls).toEqual([]);
+
+    player.emit('playback-active-track-changed', { track: { id: 'b' } });
+    await advance(0);
+    expect(player.calls).toEqual(['stop']);
+    expect(player.volume).toBe(1);
+    expect(timer.getState()).toBeNull();
+  });
+
+  test('pauses when the queue ends', async () => {
+    const { player, timer } = setup();
+    await timer.start({ endOfTrack: true });
+    player.emit('playback-queue-ended', {});
+    await advance(0);
+    expect(player.calls).toEqual(['pause']);
+  });
+
+  test('does nothing with no item loaded', async () => {
+    const { timer } = setup({ track: null });
+    await expect(timer.start({ endOfTrack: true })).resolves.toBeNull();
+    expect(timer.getState()).toBeNull();
+  });
+});
+
+describe('restore', () => {
+  const saved = (timer) => ({ sleep_timer: JSON.stringify(timer) });
+
+  test('drops a timer whose deadline passed while the app was gone', async () => {
+    const player = createPlayer();
+    const storage = createStorage(saved({ mode: SleepTimerMode.Duration, endsAt: Date.now() - 1000, trackId: null, action: 'pause' }));
+    const timer = createSleepTimer({ player, storage });
+    await timer.restore();
+    await advance(60000);
+
+    expect(timer.getState()).toBeNull();
+    expect(storage.map.has('sleep_timer')).toBe(false);
+    expect(player.calls).toEqual([]);
+  });
+
+  test('drops an end-of-track timer for an item no longer playing', async () => {
+    const player = createPlayer({ track: { id: 'b' } });
+    const storage = createStorage(saved({ mode: SleepTimerMode.EndOfTrack, endsAt: null, trackId: 'a', action: 'pause' }));
+    const timer = createSleepTimer({ player, storage });
+    await timer.restore();
+
+    expect(timer.getState()).toBeNull();
+    expect(storage.map.has('sleep_timer')).toBe(false);
+  });
+
+  test('re-arms a timer that is still pending', async () => {
+    const player = createPlayer();
+    const storage = createStorage(saved({ mode: SleepTimerMode.Duration, endsAt: Date.now() + 30000, trackId: null, action: 'stop' }));
+    const timer = createSleepTimer({ player, storage });
+    await timer.restore();
+    expect(timer.getState()).toMatchObject({ mode: SleepTimerMode.Duration, action: 'stop' });
+
+    await advance(30000);
+    expect(player.calls).toEqual(['stop']);
+  });
+});
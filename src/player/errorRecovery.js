@@ -0,0 +1,70 @@
+// Playback error recovery policy.
+// - Network errors are retried with exponential backoff (baseDelayMs, 2×, 4×, … up to maxDelayMs).
+// - After maxRetries failed retries, or straight away for errors a retry can't fix
+//   (unsupported format, 404...), the item is marked failed and the caller should skip it.
+// Failed items stay marked for the rest of the app session so they are not auto-selected
+// again (queue building, auto-play on connect); an explicit user Retry clears the mark.
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 15000;
+
+// react-native-track-player reports ExoPlayer error codes such as
+// 'android-io-network-connection-failed'; iOS reports NSURLError descriptions.
+export const isNetworkError = (error) => {
+  const code = String(error?.code || '');
+  const message = String(error?.message || '');
+  return code.startsWith('android-io-network')
+    || (code === 'android-io-bad-http-status' && /\b5\d\d\b/.test(message))
+    || /network|timed? ?out|connection|offline|unreachable/i.test(message);
+};
+
+// Human-readable message for the car (updateMediaPlaybackState errorMessage) and error screen
+export const describePlaybackError = (error) => {
+  const code = String(error?.code || '');
+  if (isNetworkError(error)) return "Can't reach this stream. Check your connection.";
+  if (code === 'android-io-file-not-found' || code === 'android-io-bad-http-status') {
+    return 'This item is no longer available.';
+  }
+  if (code.startsWith('android-parsing') || code.startsWith('android-decoding')) {
+    return "This item can't be played on this device.";
+  }
+  return 'Playback failed.';
+};
+
+export const createErrorRecovery = ({
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+} = {}) => {
+  const retries = new Map(); // itemId -> retries so far
+  const failed = new Set();
+
+  return {
+    // Decide what to do about `error` while playing `itemId`:
+    // { action: 'retry', delayMs, attempt } or { action: 'skip', message }
+    onError: (itemId, error) => {
+      const attempt = (retries.get(itemId) || 0) + 1;
+      if (isNetworkError(error) && attempt <= maxRetries) {
+        retries.set(itemId, attempt);
+        return { action: 'retry', attempt, delayMs: Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs) };
+      }
+      retries.delete(itemId);
+      failed.add(itemId);
+      return { action: 'skip', message: describePlaybackError(error) };
+    },
+
+    // Playback of `itemId` succeeded: forget its retry count
+    onPlaying: (itemId) => {
+      retries.delete(itemId);
+    },
+
+    isFailed: (itemId) => failed.has(itemId),
+
+    // The user explicitly asked to retry `itemId`
+    clear: (itemId) => {
+      retries.delete(itemId);
+      failed.delete(itemId);
+    },
+  };
+};
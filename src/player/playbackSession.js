@@ -0,0 +1,64 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TrackPlayer from 'react-native-track-player';
+import { loadQueue } from './queue';
+import { storageLog } from '../logging';
+
+// The last play context (queue, active item, position) so playback can resume after the app is killed.
+// AppKilledPlaybackBehavior.StopPlaybackAndRemoveNotification drops TrackPlayer's own queue, so we keep ours.
+const PLAYBACK_SESSION_KEY = 'playback_session';
+
+// Minimum time between periodic saves while playing (progress events arrive every 2 s)
+export const SESSION_SAVE_INTERVAL_MS = 10000;
+
+// `keyFor` maps the storage key, e.g. to the active listener profile's (src/profiles)
+export const savePlaybackSession = async (queue, activeId, position, { keyFor = (key) => key } = {}) => {
+  try {
+    if (!activeId || queue.length === 0) return;
+    await AsyncStorage.setItem(keyFor(PLAYBACK_SESSION_KEY), JSON.stringify({
+      queue,
+      activeId,
+      position: position || 0,
+      savedAt: Date.now(),
+    }));
+  } catch (error) {
+    storageLog.error('Error saving playback session', { error });
+  }
+};
+
+export const loadPlaybackSession = async ({ keyFor = (key) => key } = {}) => {
+  try {
+    const stored = await AsyncStorage.getItem(keyFor(PLAYBACK_SESSION_KEY));
+    if (!stored) return null;
+    const session = JSON.parse(stored);
+    if (!Array.isArray(session?.queue) || !session.queue.some((item) => item.id === session.activeId)) {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    storageLog.error('Error loading playback session', { error });
+    return null;
+  }
+};
+
+export const clearPlaybackSession = async ({ keyFor = (key) => key } = {}) => {
+  try {
+    await AsyncStorage.removeItem(keyFor(PLAYBACK_SESSION_KEY));
+  } catch (error) {
+    storageLog.error('Error clearing playback session', { error });
+  }
+};
+
+// Load a saved session into TrackPlayer at its saved position without starting playback.
+// Returns { queue, track } for the caller to adopt as the current play context.
+// resolveMediaUri is passed through to loadQueue. The position is clamped to the item's
+// duration when it is known (the item may have been replaced by a shorter one since).
+export const restorePlaybackSession = async (session, resolveMediaUri) => {
+  const startIndex = session.queue.findIndex((item) => item.id === session.activeId);
+  const track = session.queue[startIndex];
+  await loadQueue(session.queue, startIndex, resolveMediaUri);
+  const position = Math.max(0, track.duration > 0 ? Math.min(session.position, track.duration) : session.position) || 0;
+  if (position > 0) {
+    await TrackPlayer.seekTo(position);
+  }
+  return { queue: session.queue, track };
+};
@@ -0,0 +1,52 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storageLog } from '../logging';
+
+// Speeds offered on the phone and cycled through by the car action
+export const PLAYBACK_SPEEDS = [0.75, 1, 1.25, 1.5, 1.75, 2];
+export const DEFAULT_SPEED = 1;
+
+// { items: { [itemId]: rate }, collections: { [collectionId]: rate } }
+const PLAYBACK_SPEEDS_KEY = 'playback_speeds';
+
+// Speed after `rate` in PLAYBACK_SPEEDS, wrapping back to the slowest
+export const nextSpeed = (rate) => PLAYBACK_SPEEDS.find((speed) => speed > rate) ?? PLAYBACK_SPEEDS[0];
+
+export const formatSpeed = (rate) => `${rate}×`;
+
+// Remembered speeds. An item's own speed wins; otherwise the speed last chosen for its
+// collection (item.collectionId, e.g. a podcast show) applies, so new episodes inherit it.
+// `keyFor` maps the storage key, e.g. to the active listener profile's (src/profiles).
+export const createSpeedMemory = ({ storage = AsyncStorage, keyFor = (key) => key } = {}) => {
+  let speeds = { items: {}, collections: {} };
+
+  const load = async () => {
+    try {
+      const stored = await storage.getItem(keyFor(PLAYBACK_SPEEDS_KEY));
+      const parsed = stored ? JSON.parse(stored) : null;
+      speeds = { items: parsed?.items ?? {}, collections: parsed?.collections ?? {} };
+    } catch (error) {
+      storageLog.error('Error loading playback speeds', { error });
+    }
+  };
+
+  const speedFor = (item) => {
+    if (!item) return DEFAULT_SPEED;
+    return speeds.items[item.id]
+      ?? (item.collectionId ? speeds.collections[item.collectionId] : undefined)
+      ?? DEFAULT_SPEED;
+  };
+
+  const remember = async (item, rate) => {
+    speeds = {
+      items: { ...speeds.items, [item.id]: rate },
+      collections: item.collectionId ? { ...speeds.collections, [item.collectionId]: rate } : speeds.collections,
+    };
+    try {
+      await storage.setItem(keyFor(PLAYBACK_SPEEDS_KEY), JSON.stringify(speeds));
+    } catch (error) {
+      storageLog.error('Error saving playback speeds', { error });
+    }
+  };
+
+  return { load, speedFor, remember };
+};
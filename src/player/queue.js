@@ -0,0 +1,39 @@
+import TrackPlayer from 'react-native-track-player';
+
+// Map a media item (see src/data/mediaItems.js) to the track shape TrackPlayer expects.
+// `url` overrides the stream URL, e.g. with a downloaded copy.
+export const toPlayerTrack = (item, url = item.mediaUri) => ({
+  id: item.id,
+  url,
+  title: item.title,
+  artist: item.artist || 'Unknown Artist',
+  artwork: item.artworkUri,
+});
+
+// Build a play context from a list: only playable items are queued, and playback
+// starts at the item with `startId` (or the first item if it is not in the list).
+// Items for which isExcluded(id) is true (e.g. failed this session) are left out,
+// except the start item, which the user picked explicitly.
+export const buildPlayContext = (items, startId, isExcluded = () => false) => {
+  const queue = items.filter((item) => item.playable !== false && (item.id === startId || !isExcluded(item.id)));
+  const startIndex = Math.max(0, queue.findIndex((item) => item.id === startId));
+  return { queue, startIndex };
+};
+
+// Replace the TrackPlayer queue with `queue` and make `startIndex` the active track.
+// resolveMediaUri(item) may return (or resolve to) a local file to play instead of the stream.
+// The start track is added first and the others are inserted around it, so the
+// active track never passes through queue[0] (which would fire a spurious
+// PlaybackActiveTrackChanged and put the wrong item in Recently Played).
+export const loadQueue = async (queue, startIndex, resolveMediaUri = (item) => item.mediaUri) => {
+  const urls = await Promise.all(queue.map(resolveMediaUri));
+  const tracks = queue.map((item, index) => toPlayerTrack(item, urls[index]));
+  await TrackPlayer.reset();
+  await TrackPlayer.add(tracks[startIndex]);
+  if (startIndex > 0) {
+    await TrackPlayer.add(tracks.slice(0, startIndex), 0);
+  }
+  if (startIndex < tracks.length - 1) {
+    await TrackPlayer.add(tracks.slice(startIndex + 1));
+  }
+};
@@ -0,0 +1,35 @@
+import TrackPlayer from 'react-native-track-player';
+
+// Skip intervals in seconds per content type (item.contentType, 'default' when unset).
+// Spoken word jumps further forward than back; music and video use the same step both ways.
+export const SKIP_INTERVALS = {
+  default: { backward: 15, forward: 15 },
+  podcast: { backward: 15, forward: 30 },
+};
+
+export const skipIntervalsFor = (item, intervals = SKIP_INTERVALS) =>
+  intervals[item?.contentType] ?? intervals.default;
+
+const seekListeners = new Set();
+
+// Called with the new position (seconds) after every seek, whichever path it came from
+export const addSeekListener = (listener) => {
+  seekListeners.add(listener);
+  return { remove: () => seekListeners.delete(listener) };
+};
+
+// The single seek path for the phone, the car pane, the car's media session and the
+// background service. Clamps to the track and resolves to the position sought to.
+export const seekTo = async (position) => {
+  const { duration } = await TrackPlayer.getProgress();
+  const target = Math.max(0, duration > 0 ? Math.min(position, duration) : position);
+  await TrackPlayer.seekTo(target);
+  seekListeners.forEach((listener) => listener(target));
+  return target;
+};
+
+// Seek relative to the current position; negative `seconds` rewinds
+export const skipBy = async (seconds) => {
+  const { position } = await TrackPlayer.getProgress();
+  return seekTo(position + seconds);
+};
@@ -0,0 +1,195 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TrackPlayer, { Event } from 'react-native-track-player';
+import { playerLog } from '../logging';
+
+// Sleep timer: pauses (or stops) playback after a duration or at the end of the current
+// item, fading the volume out over the last seconds. It lives outside React and is driven
+// by wall-clock deadlines and TrackPlayer events, so it keeps working while the UI is
+// backgrounded; the armed timer is persisted and re-armed by the playback service.
+const SLEEP_TIMER_KEY = 'sleep_timer';
+
+export const SleepTimerMode = {
+  Duration: 'duration',
+  EndOfTrack: 'endOfTrack',
+};
+
+// Choices offered on the phone and in the car
+export const SLEEP_TIMER_OPTIONS = [
+  { label: '15 minutes', minutes: 15 },
+  { label: '30 minutes', minutes: 30 },
+  { label: '45 minutes', minutes: 45 },
+  { label: '60 minutes', minutes: 60 },
+  { label: 'End of track', endOfTrack: true },
+];
+
+export const DEFAULT_FADE_OUT_MS = 10000;
+
+// "12 min", or seconds in the last minute
+export const formatRemaining = (ms) => {
+  if (ms == null) return '';
+  if (ms < 60000) return `${Math.max(0, Math.ceil(ms / 1000))} s`;
+  return `${Math.ceil(ms / 60000)} min`;
+};
+
+export const createSleepTimer = ({
+  player = TrackPlayer,
+  storage = AsyncStorage,
+  fadeOutMs = DEFAULT_FADE_OUT_MS,
+  tickMs = 1000,
+} = {}) => {
+  let timer = null; // { mode, endsAt, trackId, action }
+  let remainingMs = null;
+  let interval = null;
+  let trackSub = null;
+  let queueEndedSub = null;
+  let fading = false;
+  let expiring = false;
+  const listeners = new Set();
+
+  const getState = () => (timer ? { ...timer, remainingMs } : null);
+  const notify = () => {
+    const state = getState();
+    listeners.forEach((listener) => listener(state));
+  };
+  const persist = async () => {
+    try {
+      if (timer) await storage.setItem(SLEEP_TIMER_KEY, JSON.stringify(timer));
+      else await storage.removeItem(SLEEP_TIMER_KEY);
+    } catch (error) {
+      playerLog.warn('Error saving sleep timer', { error });
+    }
+  };
+
+  const disarm = async () => {
+    clearInterval(interval);
+    interval = null;
+    trackSub?.remove();
+    queueEndedSub?.remove();
+    trackSub = null;
+    queueEndedSub = null;
+    timer = null;
+    remainingMs = null;
+    if (fading) {
+      fading = false;
+      await player.setVolume(1).catch(() => {});
+    }
+  };
+
+  const expire = async () => {
+    if (!timer || expiring) return; // tick and a track event can race
+    expiring = true;
+    const { mode, action } = timer;
+    playerLog.info('Sleep timer expired', { mode, action });
+    clearInterval(interval);
+    interval = null;
+    try {
+      if (action === 'stop') await player.stop();
+      else await player.pause();
+    } catch (error) {
+      playerLog.warn('Error stopping playback for sleep timer', { error });
+    }
+    await disarm();
+    expiring = false;
+    persist();
+    notify();
+  };
+
+  // Time left: until the deadline, or until the active item ends at the current rate
+  const computeRemaining = async () => {
+    if (timer.mode === SleepTimerMode.Duration) return timer.endsAt - Date.now();
+    const [{ position, duration }, rate] = await Promise.all([player.getProgress(), player.getRate()]);
+    if (!(duration > 0)) return null;
+    return ((duration - position) / (rate || 1)) * 1000;
+  };
+
+  const tick = async () => {
+    if (!timer) return;
+    try {
+      remainingMs = await computeRemaining();
+    } catch (_) {
+      return; // player not ready; try again next tick
+    }
+    if (!timer) return;
+    if (timer.mode === SleepTimerMode.Duration && remainingMs <= 0) {
+      await expire();
+      return;
+    }
+    if (remainingMs != null && remainingMs <= fadeOutMs) {
+      fading = true;
+      await player.setVolume(Math.max(0, remainingMs / fadeOutMs)).catch(() => {});
+    }
+    notify();
+  };
+
+  const arm = (next) => {
+    timer = next;
+    interval = setInterval(tick, tickMs);
+    if (next.mode === SleepTimerMode.EndOfTrack) {
+      // The queue moved past the item: stop at the very start of the next one
+      trackSub = player.addEventListener(Event.PlaybackActiveTrackChanged, (event) => {
+        if (timer && event.track?.id !== timer.trackId) expire();
+      });
+      queueEndedSub = player.addEventListener(Event.PlaybackQueueEnded, () => expire());
+    }
+    tick();
+  };
+
+  // start({ minutes }) or start({ endOfTrack: true }); `action` is 'pause' (default) or 'stop'
+  const start = async ({ minutes, endOfTrack = false, action = 'pause' }) => {
+    await disarm();
+    if (endOfTrack) {
+      const activeTrack = await player.getActiveTrack();
+      if (!activeTrack) return null;
+      arm({ mode: SleepTimerMode.EndOfTrack, endsAt: null, trackId: activeTrack.id, action });
+    } else {
+      arm({ mode: SleepTimerMode.Duration, endsAt: Date.now() + minutes * 60000, trackId: null, action });
+    }
+    playerLog.info('Sleep timer started', { mode: timer.mode, minutes, action });
+    persist();
+    notify();
+    return getState();
+  };
+
+  const cancel = async () => {
+    if (!timer) return;
+    playerLog.info('Sleep timer cancelled');
+    await disarm();
+    persist();
+    notify();
+  };
+
+  // Re-arm a timer saved before the JS context was restarted. Deadlines that already
+  // passed are dropped rather than pausing playback the user has since started.
+  const restore = async () => {
+    try {
+      const stored = await storage.getItem(SLEEP_TIMER_KEY);
+      const saved = stored ? JSON.parse(stored) : null;
+      if (!saved || timer) return;
+      const stillPending = saved.mode === SleepTimerMode.EndOfTrack
+        ? (await player.getActiveTrack())?.id === saved.trackId
+        : saved.endsAt > Date.now();
+      if (!stillPending) {
+        await storage.removeItem(SLEEP_TIMER_KEY);
+        return;
+      }
+      arm(saved);
+      notify();
+    } catch (error) {
+      playerLog.warn('Error restoring sleep timer', { error });
+    }
+  };
+
+  return {
+    start,
+    cancel,
+    restore,
+    getState,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+};
+
+// Shared by the UI and the playback service (same JS context)
+export const sleepTimer = createSleepTimer();
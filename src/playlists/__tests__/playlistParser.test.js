@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { parseM3U, parsePLS, parsePlaylist, resolveUrl } from '../playlistParser';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const M3U_URL = 'https://example.com/lists/road/trip.m3u?token=1';
+const PLS_URL = 'https://example.com/pls/radio.pls';
+
+describe('resolveUrl', () => {
+  test('keeps absolute URLs', () => {
+    expect(resolveUrl('https://other.example.com/a.mp3', M3U_URL)).toBe('https://other.example.com/a.mp3');
+    expect(resolveUrl('file:///sdcard/a.mp3', undefined)).toBe('file:///sdcard/a.mp3');
+  });
+
+  test('resolves relative paths against the playlist URL, ignoring its query', () => {
+    expect(resolveUrl('a.mp3', M3U_URL)).toBe('https://example.com/lists/road/a.mp3');
+    expect(resolveUrl('./sub/a.mp3', M3U_URL)).toBe('https://example.com/lists/road/sub/a.mp3');
+    expect(resolveUrl('../../a.mp3', M3U_URL)).toBe('https://example.com/a.mp3');
+    expect(resolveUrl('/root.mp3', M3U_URL)).toBe('https://example.com/root.mp3');
+    expect(resolveUrl('//cdn.example.org/a.mp3', M3U_URL)).toBe('https://cdn.example.org/a.mp3');
+    expect(resolveUrl('a.mp3', 'https://example.com')).toBe('https://example.com/a.mp3');
+    expect(resolveUrl('..', M3U_URL)).toBe('https://example.com/lists/');
+  });
+
+  test('gives up without a base URL', () => {
+    expect(resolveUrl('a.mp3', undefined)).toBeNull();
+    expect(resolveUrl('a.mp3', 'not a url')).toBeNull();
+  });
+});
+
+describe('parseM3U: extended M3U', () => {
+  const { name, entries, errors } = parseM3U(fixture('road-trip.m3u'), { baseUrl: M3U_URL });
+
+  test('reads the playlist name', () => {
+    expect(name).toBe('Road Trip');
+  });
+
+  test('lists entries with their #EXTINF durations, artists and titles', () => {
+    expect(entries).toEqual([
+      { url: 'https://example.com/lists/road/music/one-more-time.mp3', title: 'One More Time', artist: 'Daft Punk', duration: 215 },
+      // -1: a stream of unknown length
+      { url: 'https://stream.example.net/live', title: 'Radio Stream', artist: undefined, duration: undefined },
+      // Attributes after the duration are skipped
+      { url: 'https://example.com/lists/shared/aruarian%20dance.mp3', title: 'Aruarian Dance', artist: 'Nujabes', duration: 187 },
+      // No #EXTINF: titled after the file
+      { url: 'https://example.com/absolute/path/track.mp3', title: 'track.mp3', artist: undefined, duration: undefined },
+      { url: 'https://cdn.example.org/last.mp3', title: 'Last One', artist: undefined, duration: 30 },
+    ]);
+  });
+
+  test('reports an #EXTINF with no URL after it', () => {
+    expect(errors).toEqual([{ line: 11, text: '#EXTINF:60,Never played', message: '#EXTINF not followed by a media URL' }]);
+  });
+
+  test('a name passed in wins over #PLAYLIST', () => {
+    expect(parseM3U(fixture('road-trip.m3u'), { baseUrl: M3U_URL, name: 'Mine' }).name).toBe('Mine');
+  });
+
+  test('reports relative entries when there is no playlist URL', () => {
+    const result = parseM3U(fixture('road-trip.m3u'));
+    expect(result.entries.map((entry) => entry.url)).toEqual(['https://stream.example.net/live']);
+    expect(result.errors.filter((error) => error.message.startsWith('Relative path')).map((error) => error.line)).toEqual([4, 9, 10, 13]);
+  });
+
+  test('reads a plain list with a BOM and CRLF line endings', () => {
+    const result = parseM3U('\uFEFFhttps://example.com/a.mp3\r\nhttps://example.com/b.mp3\r\n');
+    expect(result.entries.map((entry) => entry.title)).toEqual(['a.mp3', 'b.mp3']);
+    expect(result.errors).toEqual([]);
+  });
+});
+
+describe('parsePLS', () => {
+  test('reads FileN, TitleN and LengthN in entry order', () => {
+    const { entries, errors } = parsePLS(fixture('radio.pls'), { baseUrl: PLS_URL, name: 'Radio' });
+    expect(entries).toEqual([
+      { url: 'http://radio.example.com:8000/stream', title: 'Example Radio', artist: undefined, duration: undefined },
+      { url: 'https://example.com/pls/songs/track two.mp3', title: 'Track Two', artist: 'Some Band', duration: 245 },
+      { url: 'https://example.com/three.ogg', title: 'three.ogg', artist: undefined, duration: undefined },
+    ]);
+    expect(errors).toEqual([]);
+  });
+
+  test('reports bad lines, a missing header, orphan titles and a wrong NumberOfEntries', () => {
+    const { entries, errors } = parsePLS(fixture('broken.pls'), { baseUrl: PLS_URL });
+    expect(entries.map((entry) => entry.url)).toEqual(['https://example.com/pls/a.mp3']);
+    expect(errors).toEqual([
+      { line: 3, text: 'garbage', message: 'Expected "Key=Value"' },
+      { line: 4, text: 'Foo=bar', message: 'Unknown key "Foo"' },
+      { line: 1, text: '', message: 'Missing [playlist] header' },
+      { line: 2, text: 'Title2=No file', message: 'Title2/Length2 without File2' },
+      { line: 5, text: 'NumberOfEntries=5', message: 'NumberOfEntries is 5 but 2 entries were found' },
+    ]);
+  });
+});
+
+test('parsePlaylist picks the parser by extension, then by content', () => {
+  expect(parsePlaylist(fixture('radio.pls'), { baseUrl: PLS_URL }).entries).toHaveLength(3);
+  expect(parsePlaylist(fixture('radio.pls'), { baseUrl: 'https://example.com/radio' }).entries).toHaveLength(3);
+  expect(parsePlaylist(fixture('road-trip.m3u'), { baseUrl: M3U_URL }).name).toBe('Road Trip');
+});
@@ -0,0 +1,82 @@
+import { parseM3U, parsePLS, fileNameFromUrl } from '../playlistParser';
+import { importPlaylistText, importPlaylistFromUrl, upsertPlaylist } from '../playlists';
+
+const M3U = '#EXTM3U\nhttps://example.com/a%zz.mp3\n#EXTINF:abc\nhttps://example.com/b%20side.mp3\n';
+
+// Skipped lines are logged as warnings
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('fileNameFromUrl decodes what it can and keeps a stray "%" as is', () => {
+  expect(fileNameFromUrl('https://example.com/music/b%20side.mp3?x=1')).toBe('b side.mp3');
+  expect(fileNameFromUrl('https://example.com/a%zz.mp3')).toBe('a%zz.mp3');
+});
+
+test('a stray "%" in an entry URL does not abort the import', () => {
+  const { entries, errors } = parseM3U(M3U);
+  expect(entries.map((entry) => entry.title)).toEqual(['a%zz.mp3', 'b side.mp3']);
+  expect(errors).toEqual([expect.objectContaining({ line: 3, message: expect.stringContaining('Malformed #EXTINF') })]);
+
+  const pls = parsePLS('[playlist]\nFile1=https://example.com/c%zz.mp3\nNumberOfEntries=1\n');
+  expect(pls.entries[0].title).toBe('c%zz.mp3');
+  expect(importPlaylistText(M3U, { sourceUrl: 'https://example.com/100%.m3u' }).playlist.name).toBe('100%');
+});
+
+describe('playlist ids', () => {
+  let first;
+
+  beforeEach(() => {
+    first = importPlaylistText(M3U, { sourceUrl: 'https://one.example.com/mix.m3u' }).playlist;
+  });
+
+  test('another playlist with the same name gets a suffix instead of replacing it', () => {
+    const second = importPlaylistText(M3U, { sourceUrl: 'https://two.example.com/mix.m3u', existing: [first] }).playlist;
+    expect(first.id).toBe('playlist:mix');
+    expect(second.id).toBe('playlist:mix-2');
+    expect(second.items[0].id).toBe('playlist:mix-2#0');
+    expect(upsertPlaylist([first], second).map((playlist) => playlist.id)).toEqual(['playlist:mix', 'playlist:mix-2']);
+  });
+
+  test('importing the same URL again replaces the earlier import', () => {
+    const again = importPlaylistText(M3U, { sourceUrl: 'https://one.example.com/mix.m3u', existing: [first] }).playlist;
+    expect(again.id).toBe(first.id);
+    expect(upsertPlaylist([first], again)).toEqual([again]);
+  });
+
+  test('playlists without a URL never share an id', () => {
+    const named = importPlaylistText(M3U, { name: 'Mix', existing: [first] }).playlist;
+    expect(named.id).toBe('playlist:mix-2');
+  });
+});
+
+describe('importPlaylistFromUrl', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Settles only when aborted, like fetch does
+  const hangingFetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Aborted')));
+  }));
+
+  test('gives up after the timeout', async () => {
+    const result = importPlaylistFromUrl('https://example.com/slow.m3u', { fetchImpl: hangingFetch, timeoutMs: 1000 });
+    const settled = expect(result).rejects.toThrow('Aborted');
+    await jest.advanceTimersByTimeAsync(1000);
+    await settled;
+  });
+
+  test('reports HTTP errors', async () => {
+    const fetchImpl = async () => ({ ok: false, status: 404 });
+    await expect(importPlaylistFromUrl('https://example.com/missing.m3u', { fetchImpl })).rejects.toThrow('HTTP 404');
+  });
+});
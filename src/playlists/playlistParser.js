@@ -0,0 +1,196 @@
+// Parsers for M3U / extended M3U (M3U8 is the same format in UTF-8) and PLS playlists.
+// Both return { name, entries, errors }:
+// - entries: [{ url, title, artist, duration }] in playlist order, urls resolved against baseUrl
+// - errors: [{ line, text, message }] for every line that could not be used (1-based line numbers)
+
+const ABSOLUTE_URL_PATTERN = /^[a-zA-Z][a-zA-Z0-9+.-]*:/;
+
+// Resolve `path` against `baseUrl` (the playlist's own URL). Returns null if it can't be resolved.
+// Hand-rolled because React Native's URL implementation does not resolve relative references.
+export const resolveUrl = (path, baseUrl) => {
+  if (ABSOLUTE_URL_PATTERN.test(path)) return path;
+  const originMatch = baseUrl?.match(/^([a-zA-Z][a-zA-Z0-9+.-]*:)(\/\/[^/?#]*)?/);
+  if (!originMatch) return null;
+  const [origin, scheme] = originMatch;
+  if (path.startsWith('//')) return `${scheme}${path}`;
+  const basePath = baseUrl.slice(origin.length).split(/[?#]/)[0] || '/';
+  const joined = path.startsWith('/') ? path : `${basePath.slice(0, basePath.lastIndexOf('/') + 1)}${path}`;
+  const segments = [];
+  joined.split('/').slice(1).forEach((segment) => {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.') segments.push(segment);
+  });
+  // A trailing "." or ".." still names a directory
+  if (/(^|\/)\.\.?$/.test(joined)) segments.push('');
+  return `${origin}/${segments.join('/')}`;
+};
+
+// Last path segment of `url`, percent-decoded when it decodes cleanly (a stray "%" doesn't)
+export const fileNameFromUrl = (url) => {
+  const segment = url.split(/[?#]/)[0].split('/').pop() || url;
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+};
+
+// "Artist - Title" is the common convention for #EXTINF and PLS titles
+const splitArtistTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  if (separator <= 0) return { title: text, artist: undefined };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+const toLines = (text) => text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+const parseLength = (value) => {
+  const seconds = Number(value);
+  // -1 (or any negative) means "unknown / stream"
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : undefined;
+};
+
+export const parseM3U = (text, { baseUrl, name } = {}) => {
+  const entries = [];
+  const errors = [];
+  let playlistName = name;
+  let pendingInfo = null; // { line, text, title, artist, duration } from the last #EXTINF
+
+  toLines(text).forEach((raw, index) => {
+    const line = raw.trim();
+    const lineNumber = index + 1;
+    if (!line || line === '#EXTM3U') return;
+
+    if (line.startsWith('#EXTINF:')) {
+      if (pendingInfo) {
+        errors.push({ line: pendingInfo.line, text: pendingInfo.text, message: '#EXTINF not followed by a media URL' });
+      }
+      const comma = line.indexOf(',');
+      // Duration may be followed by attributes: #EXTINF:123 tvg-id="x",Title
+      const durationText = (comma === -1 ? line.slice(8) : line.slice(8, comma)).trim().split(/\s+/)[0];
+      const duration = Number(durationText);
+      if (comma === -1 || !Number.isFinite(duration)) {
+        errors.push({ line: lineNumber, text: raw, message: 'Malformed #EXTINF (expected "#EXTINF:<seconds>,<title>")' });
+        pendingInfo = null;
+        return;
+      }
+      pendingInfo = {
+        line: lineNumber,
+        text: raw,
+        duration: parseLength(duration),
+        ...splitArtistTitle(line.slice(comma + 1).trim()),
+      };
+      return;
+    }
+    if (line.startsWith('#PLAYLIST:')) {
+      playlistName = playlistName || line.slice(10).trim();
+      return;
+    }
+    if (line.startsWith('#')) return; // Comment or directive we don't use (#EXTGRP, #EXTVLCOPT, ...)
+
+    const url = resolveUrl(line, baseUrl);
+    if (!url) {
+      errors.push({ line: lineNumber, text: raw, message: 'Relative path with no playlist URL to resolve it against' });
+    } else {
+      entries.push({
+        url,
+        title: pendingInfo?.title || fileNameFromUrl(url),
+        artist: pendingInfo?.artist,
+        duration: pendingInfo?.duration,
+      });
+    }
+    pendingInfo = null;
+  });
+
+  if (pendingInfo) {
+    errors.push({ line: pendingInfo.line, text: pendingInfo.text, message: '#EXTINF not followed by a media URL' });
+  }
+  return { name: playlistName, entries, errors };
+};
+
+const PLS_ENTRY_PATTERN = /^(File|Title|Length)(\d+)$/i;
+
+export const parsePLS = (text, { baseUrl, name } = {}) => {
+  const errors = [];
+  const byIndex = new Map(); // N -> { file, title, length, line }
+  let sawHeader = false;
+  let declaredCount = null;
+  let countLine = null;
+
+  toLines(text).forEach((raw, index) => {
+    const line = raw.trim();
+    const lineNumber = index + 1;
+    if (!line || line.startsWith(';') || line.startsWith('#')) return;
+    if (line.toLowerCase() === '[playlist]') {
+      sawHeader = true;
+      return;
+    }
+    const equals = line.indexOf('=');
+    if (equals <= 0) {
+      errors.push({ line: lineNumber, text: raw, message: 'Expected "Key=Value"' });
+      return;
+    }
+    const key = line.slice(0, equals).trim();
+    const value = line.slice(equals + 1).trim();
+    const lowerKey = key.toLowerCase();
+    if (lowerKey === 'numberofentries') {
+      declaredCount = Number(value);
+      countLine = { line: lineNumber, text: raw };
+      return;
+    }
+    if (lowerKey === 'version') return;
+
+    const match = key.match(PLS_ENTRY_PATTERN);
+    if (!match) {
+      errors.push({ line: lineNumber, text: raw, message: `Unknown key "${key}"` });
+      return;
+    }
+    const n = Number(match[2]);
+    const entry = byIndex.get(n) || { line: lineNumber };
+    entry[match[1].toLowerCase()] = { value, line: lineNumber, text: raw };
+    byIndex.set(n, entry);
+  });
+
+  if (!sawHeader) {
+    errors.push({ line: 1, text: '', message: 'Missing [playlist] header' });
+  }
+
+  const entries = [];
+  [...byIndex.keys()].sort((a, b) => a - b).forEach((n) => {
+    const { file, title, length, line } = byIndex.get(n);
+    if (!file) {
+      const orphan = title || length;
+      errors.push({ line: orphan?.line ?? line, text: orphan?.text ?? '', message: `Title${n}/Length${n} without File${n}` });
+      return;
+    }
+    const url = resolveUrl(file.value, baseUrl);
+    if (!url) {
+      errors.push({ line: file.line, text: file.text, message: 'Relative path with no playlist URL to resolve it against' });
+      return;
+    }
+    const titled = title?.value ? splitArtistTitle(title.value) : { title: undefined, artist: undefined };
+    entries.push({
+      url,
+      title: titled.title || fileNameFromUrl(url),
+      artist: titled.artist,
+      duration: length ? parseLength(length.value) : undefined,
+    });
+  });
+
+  if (declaredCount !== null && declaredCount !== byIndex.size) {
+    errors.push({
+      line: countLine.line,
+      text: countLine.text,
+      message: `NumberOfEntries is ${declaredCount} but ${byIndex.size} entries were found`,
+    });
+  }
+  return { name, entries, errors };
+};
+
+// Pick the parser from the file extension, falling back to sniffing the content
+export const parsePlaylist = (text, { baseUrl, name } = {}) => {
+  const extension = (baseUrl || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const looksLikePls = extension === 'pls'
+    || (!['m3u', 'm3u8'].includes(extension) && /^\s*\[playlist\]/i.test(text.replace(/^\uFEFF/, '')));
+  return looksLikePls ? parsePLS(text, { baseUrl, name }) : parseM3U(text, { baseUrl, name });
+};
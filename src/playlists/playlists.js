@@ -0,0 +1,107 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parsePlaylist, fileNameFromUrl } from './playlistParser';
+import { libraryLog, storageLog } from '../logging';
+
+// Imported playlists, each a named collection: { id, name, sourceUrl, items, importedAt }.
+// Items use the same shape as src/data/mediaItems.js.
+const PLAYLISTS_KEY = 'playlists';
+
+const DEFAULT_FETCH_TIMEOUT_MS = 10000;
+
+export const loadPlaylists = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PLAYLISTS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    storageLog.error('Error loading playlists', { error });
+    return [];
+  }
+};
+
+export const savePlaylists = async (playlists) => {
+  try {
+    await AsyncStorage.setItem(PLAYLISTS_KEY, JSON.stringify(playlists));
+  } catch (error) {
+    storageLog.error('Error saving playlists', { error });
+  }
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'playlist';
+
+const nameFromUrl = (url) => fileNameFromUrl(url).replace(/\.(m3u8?|pls)$/i, '');
+
+// Ids are slugs of the name. Another playlist with the same name gets a numbered suffix;
+// importing the same URL again keeps its id, so upsertPlaylist replaces it.
+const playlistIdFor = (playlistName, sourceUrl, existing) => {
+  const base = `playlist:${slugify(playlistName)}`;
+  const taken = (id) => existing.some((playlist) => playlist.id === id && (!sourceUrl || playlist.sourceUrl !== sourceUrl));
+  let id = base;
+  for (let suffix = 2; taken(id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+// Turn parsed entries into media items. Entries that point at a catalog item's mediaUri
+// reuse that item (artwork, ids shared with Recently Played); others get playlist-scoped ids.
+const toMediaItems = (playlistId, entries, catalog) => entries.map((entry, index) => {
+  const known = catalog.find((item) => item.mediaUri === entry.url);
+  if (known) return known;
+  return {
+    id: `${playlistId}#${index}`,
+    title: entry.title,
+    artist: entry.artist,
+    duration: entry.duration,
+    mediaUri: entry.url,
+    artworkUri: '',
+    playable: true,
+  };
+});
+
+// Build a playlist collection from M3U/M3U8/PLS text. Returns { playlist, errors };
+// `errors` lists the lines that were skipped ({ line, text, message }) so callers can report them.
+// `existing` are the playlists already imported, to keep ids unique.
+export const importPlaylistText = (text, { sourceUrl, name, catalog = [], existing = [] } = {}) => {
+  const parsed = parsePlaylist(text, { baseUrl: sourceUrl, name });
+  const playlistName = parsed.name || (sourceUrl ? nameFromUrl(sourceUrl) : 'Imported playlist');
+  const id = playlistIdFor(playlistName, sourceUrl, existing);
+  if (parsed.errors.length > 0) {
+    libraryLog.warn('Skipped playlist lines', { playlist: playlistName, errors: parsed.errors });
+  }
+  return {
+    playlist: {
+      id,
+      name: playlistName,
+      sourceUrl,
+      items: toMediaItems(id, parsed.entries, catalog),
+      importedAt: Date.now(),
+    },
+    errors: parsed.errors,
+  };
+};
+
+// Fetch and import the playlist at `url`, giving up after `timeoutMs`
+export const importPlaylistFromUrl = async (url, {
+  catalog = [],
+  existing = [],
+  fetchImpl = fetch,
+  timeoutMs = DEFAULT_FETCH_TIMEOUT_MS,
+} = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Playlist request failed with HTTP ${response.status}`);
+    }
+    return importPlaylistText(await response.text(), { sourceUrl: url, catalog, existing });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Add `playlist` to `playlists`, replacing any previous import with the same id
+export const upsertPlaylist = (playlists, playlist) => [
+  ...playlists.filter((existing) => existing.id !== playlist.id),
+  playlist,
+];
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { parseFeed, parseDuration } from '../feedParser';
+import { fetchPodcasts } from '../podcasts';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const RSS_URL = 'https://example.com/rss.xml';
+const ATOM_URL = 'https://example.com/atom.xml';
+
+describe('parseFeed: RSS 2.0 with iTunes fields', () => {
+  const { show, episodes } = parseFeed(fixture('rss-itunes.xml'), RSS_URL);
+
+  test('reads the show', () => {
+    expect(show).toEqual({
+      id: `podcast:${RSS_URL}`,
+      feedUrl: RSS_URL,
+      title: 'Night & Day Radio',
+      artist: 'Jo Host',
+      artworkUri: 'https://example.com/show.jpg',
+      description: 'Stories <b>after dark</b>',
+      genre: 'Society & Culture',
+    });
+  });
+
+  test('lists playable episodes newest first', () => {
+    expect(episodes.map((episode) => episode.title)).toEqual([
+      'Episode 3: Guest “Sam”',
+      'Episode 2',
+      'Episode 1: Beginnings',
+    ]);
+  });
+
+  test('maps episodes to the media item shape', () => {
+    const [newest, middle, oldest] = episodes;
+    expect(newest).toEqual({
+      id: `podcast:${RSS_URL}#ep-3`,
+      title: 'Episode 3: Guest “Sam”',
+      artist: 'Sam Guest',
+      album: 'Night & Day Radio',
+      genre: 'Society & Culture',
+      artworkUri: 'https://example.com/ep3.jpg',
+      mediaUri: 'https://example.com/ep3.mp3',
+      duration: 3723,
+      publishedAt: Date.parse('2024-01-03T08:00:00Z'),
+      contentType: 'podcast',
+      collectionId: show.id,
+      playable: true,
+    });
+    // No guid: the enclosure URL keys the id; show fields fill in the rest
+    expect(middle).toMatchObject({
+      id: `podcast:${RSS_URL}#https://example.com/ep2.mp3`,
+      artist: 'Jo Host',
+      artworkUri: 'https://example.com/show.jpg',
+      duration: 750,
+    });
+    expect(oldest.duration).toBe(1830);
+  });
+});
+
+describe('parseFeed: Atom', () => {
+  const { show, episodes } = parseFeed(fixture('atom.xml'), ATOM_URL);
+
+  test('reads the show', () => {
+    expect(show).toMatchObject({
+      id: `podcast:${ATOM_URL}`,
+      title: 'Atom Cast',
+      artist: 'Atom Author',
+      artworkUri: 'https://example.com/atom-logo.png',
+      description: 'Weekly notes',
+      genre: 'Technology',
+    });
+  });
+
+  test('lists entries with an enclosure, newest first', () => {
+    expect(episodes.map((episode) => [episode.title, episode.artist, episode.mediaUri])).toEqual([
+      ['Newer entry', 'Guest Writer', 'https://example.com/atom2.m4a'],
+      ['Older entry', 'Atom Author', 'https://example.com/atom1.m4a'],
+    ]);
+    expect(episodes[0]).toMatchObject({
+      id: `podcast:${ATOM_URL}#urn:entry:2`,
+      publishedAt: Date.parse('2024-02-08T10:00:00Z'),
+      collectionId: show.id,
+      playable: true,
+    });
+  });
+});
+
+test('parseFeed rejects other XML documents', () => {
+  expect(() => parseFeed('<?xml version="1.0"?><html><body/></html>', RSS_URL)).toThrow('Unsupported feed format <html>');
+});
+
+test('parseDuration reads seconds, MM:SS and HH:MM:SS', () => {
+  expect(parseDuration('95')).toBe(95);
+  expect(parseDuration('01:35')).toBe(95);
+  expect(parseDuration('1:00:05')).toBe(3605);
+  expect(parseDuration('')).toBeUndefined();
+  expect(parseDuration('soon')).toBeUndefined();
+  expect(parseDuration('1:2:3:4')).toBeUndefined();
+});
+
+describe('fetchPodcasts', () => {
+  const respond = (body, status = 200) => Promise.resolve({ ok: status < 400, status, text: () => Promise.resolve(body) });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('parses each feed and keeps the last good copy of one that fails', async () => {
+    const previous = await fetchPodcasts([RSS_URL, ATOM_URL], {
+      fetchImpl: (url) => respond(fixture(url === RSS_URL ? 'rss-itunes.xml' : 'atom.xml')),
+    });
+    expect(previous.map((podcast) => podcast.show.title)).toEqual(['Night & Day Radio', 'Atom Cast']);
+
+    const refreshed = await fetchPodcasts([RSS_URL, ATOM_URL], {
+      previous,
+      fetchImpl: (url) => (url === RSS_URL ? respond('', 500) : respond(fixture('atom.xml'))),
+    });
+    expect(refreshed[0]).toBe(previous[0]);
+    expect(refreshed[1].episodes).toHaveLength(2);
+  });
+
+  test('skips a failing feed with no earlier copy', async () => {
+    const podcasts = await fetchPodcasts([RSS_URL], { fetchImpl: () => respond('not xml at all') });
+    expect(podcasts).toEqual([]);
+  });
+
+  describe('with a feed that never answers', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Settles only when aborted, like fetch does
+    const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    });
+
+    test('gives up on it after the timeout and keeps the others', async () => {
+      const fetchImpl = (url, init) => (url === RSS_URL ? hangingFetch(url, init) : respond(fixture('atom.xml')));
+      let podcasts = null;
+      fetchPodcasts([RSS_URL, ATOM_URL], { fetchImpl, timeoutMs: 1000 }).then((result) => {
+        podcasts = result;
+      });
+
+      await jest.advanceTimersByTimeAsync(999);
+      expect(podcasts).toBeNull();
+      await jest.advanceTimersByTimeAsync(1);
+      expect(podcasts.map((podcast) => podcast.show.title)).toEqual(['Atom Cast']);
+    });
+  });
+});
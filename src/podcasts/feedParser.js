@@ -0,0 +1,113 @@
+import { parseXml, child, children, childText } from './xml';
+
+// Parse RSS 2.0 (with iTunes namespace fields) and Atom podcast feeds into
+// { show, episodes }. Episodes use the same item shape as src/data/mediaItems.js
+// plus `publishedAt` (ms since epoch) and are ordered newest first.
+
+// itunes:duration may be seconds ("1830"), "MM:SS" or "HH:MM:SS"
+export const parseDuration = (value) => {
+  if (!value) return undefined;
+  const parts = value.trim().split(':').map(Number);
+  if (parts.length > 3 || parts.some((n) => !Number.isFinite(n) || n < 0)) return undefined;
+  return parts.reduce((total, n) => total * 60 + n, 0);
+};
+
+const parseDate = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isFinite(time) ? time : 0;
+};
+
+const showId = (feedUrl) => `podcast:${feedUrl}`;
+const episodeId = (feedUrl, key) => `podcast:${feedUrl}#${key}`;
+
+const newestFirst = (a, b) => b.publishedAt - a.publishedAt;
+
+const parseRss = (rss, feedUrl) => {
+  const channel = child(rss, 'channel');
+  if (!channel) throw new Error('RSS feed has no <channel>');
+
+  const showTitle = childText(channel, 'title') || feedUrl;
+  const showArtwork = child(channel, 'itunes:image')?.attributes.href
+    || childText(child(channel, 'image'), 'url')
+    || '';
+  const show = {
+    id: showId(feedUrl),
+    feedUrl,
+    title: showTitle,
+    artist: childText(channel, 'itunes:author') || childText(channel, 'author') || showTitle,
+    artworkUri: showArtwork,
+    description: childText(channel, 'itunes:summary') || childText(channel, 'description'),
+    genre: child(channel, 'itunes:category')?.attributes.text,
+  };
+
+  const episodes = children(channel, 'item')
+    .map((item) => {
+      const enclosure = child(item, 'enclosure')?.attributes;
+      if (!enclosure?.url) return null; // Not playable: no media attached
+      return {
+        id: episodeId(feedUrl, childText(item, 'guid') || enclosure.url),
+        title: childText(item, 'title') || childText(item, 'itunes:title') || 'Untitled episode',
+        artist: childText(item, 'itunes:author') || show.artist,
+        album: show.title,
+        genre: show.genre,
+        artworkUri: child(item, 'itunes:image')?.attributes.href || show.artworkUri,
+        mediaUri: enclosure.url,
+        duration: parseDuration(childText(item, 'itunes:duration')),
+        publishedAt: parseDate(childText(item, 'pubDate')),
+        contentType: 'podcast',
+        collectionId: show.id,
+        playable: true,
+      };
+    })
+    .filter(Boolean)
+    .sort(newestFirst);
+
+  return { show, episodes };
+};
+
+const atomAuthor = (element) => childText(child(element, 'author'), 'name');
+
+const parseAtom = (feed, feedUrl) => {
+  const showTitle = childText(feed, 'title') || feedUrl;
+  const show = {
+    id: showId(feedUrl),
+    feedUrl,
+    title: showTitle,
+    artist: atomAuthor(feed) || showTitle,
+    artworkUri: childText(feed, 'logo') || childText(feed, 'icon') || '',
+    description: childText(feed, 'subtitle'),
+    genre: child(feed, 'category')?.attributes.term,
+  };
+
+  const episodes = children(feed, 'entry')
+    .map((entry) => {
+      const enclosure = children(entry, 'link').find((link) => link.attributes.rel === 'enclosure');
+      if (!enclosure?.attributes.href) return null;
+      return {
+        id: episodeId(feedUrl, childText(entry, 'id') || enclosure.attributes.href),
+        title: childText(entry, 'title') || 'Untitled episode',
+        artist: atomAuthor(entry) || show.artist,
+        album: show.title,
+        genre: show.genre,
+        artworkUri: show.artworkUri,
+        mediaUri: enclosure.attributes.href,
+        duration: undefined,
+        publishedAt: parseDate(childText(entry, 'published') || childText(entry, 'updated')),
+        contentType: 'podcast',
+        collectionId: show.id,
+        playable: true,
+      };
+    })
+    .filter(Boolean)
+    .sort(newestFirst);
+
+  return { show, episodes };
+};
+
+// Parse feed XML fetched from `feedUrl` (used to derive stable ids). Throws on unsupported formats.
+export const parseFeed = (xml, feedUrl) => {
+  const root = parseXml(xml);
+  if (root.name === 'rss') return parseRss(root, feedUrl);
+  if (root.name === 'feed') return parseAtom(root, feedUrl);
+  throw new Error(`Unsupported feed format <${root.name}>`);
+};
@@ -0,0 +1,67 @@
+import { parseFeed } from './feedParser';
+import { libraryLog } from '../logging';
+
+// How often subscribed feeds are re-fetched while the app is running
+export const PODCAST_REFRESH_INTERVAL_MS = 30 * 60 * 1000;
+
+// A feed that hasn't answered by then counts as failed, so one hung server can't hold up the
+// whole refresh
+const DEFAULT_FEED_TIMEOUT_MS = 10000;
+
+const fetchFeed = async (feedUrl, fetchImpl, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(feedUrl, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Feed request failed with HTTP ${response.status}`);
+    }
+    return parseFeed(await response.text(), feedUrl);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Fetch and parse every feed, each giving up after `timeoutMs`. Feeds that fail are logged
+// and skipped; when `previous` results are given, a failed feed keeps its last good copy.
+// Resolves to [{ show, episodes }].
+export const fetchPodcasts = async (feedUrls, {
+  previous = [],
+  fetchImpl = fetch,
+  timeoutMs = DEFAULT_FEED_TIMEOUT_MS,
+} = {}) => {
+  const results = await Promise.all(feedUrls.map(async (feedUrl) => {
+    try {
+      return await fetchFeed(feedUrl, fetchImpl, timeoutMs);
+    } catch (error) {
+      libraryLog.warn('Error fetching podcast feed', { feedUrl, error });
+      return previous.find((podcast) => podcast.show.feedUrl === feedUrl) || null;
+    }
+  }));
+  return results.filter(Boolean);
+};
+
+// Fetch now and then every `intervalMs`, calling onUpdate(podcasts) after each round.
+// Returns a function that stops the refresh.
+export const startPodcastRefresh = (feedUrls, onUpdate, { intervalMs = PODCAST_REFRESH_INTERVAL_MS, fetchImpl, timeoutMs } = {}) => {
+  let latest = [];
+  let stopped = false;
+  const refresh = async () => {
+    const podcasts = await fetchPodcasts(feedUrls, { previous: latest, fetchImpl, timeoutMs });
+    if (stopped) return;
+    latest = podcasts;
+    onUpdate(podcasts);
+  };
+  refresh();
+  const timer = setInterval(refresh, intervalMs);
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+// Every episode across all shows, for id lookups
+export const allEpisodes = (podcasts) => podcasts.flatMap((podcast) => podcast.episodes);
@@ -0,0 +1,130 @@
+// Minimal, dependency-free XML parser for podcast feeds (RSS 2.0 / Atom).
+// Produces a tree of { name, attributes, children, text } elements. Namespace
+// prefixes are kept as part of the name (e.g. "itunes:duration"). Comments,
+// processing instructions and DOCTYPE are skipped; DTDs are not interpreted.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[entity] ?? match;
+});
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+const skipUntil = (xml, index, terminator) => {
+  const end = xml.indexOf(terminator, index);
+  if (end === -1) throw new Error(`Unterminated markup at offset ${index}`);
+  return end + terminator.length;
+};
+
+// Index just past the `>` closing the tag that starts at `index`, ignoring `>` inside quoted attribute values
+const findTagEnd = (xml, index) => {
+  let quote = null;
+  for (let i = index; i < xml.length; i += 1) {
+    const ch = xml[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i + 1;
+    }
+  }
+  throw new Error(`Unterminated tag at offset ${index}`);
+};
+
+// Parse `xml` and return the document's root element. Throws on malformed structure.
+export const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let index = 0;
+
+  while (index < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', index);
+    if (lt === -1) {
+      current.text += decodeEntities(xml.slice(index));
+      break;
+    }
+    if (lt > index) {
+      current.text += decodeEntities(xml.slice(index, lt));
+    }
+
+    if (xml.startsWith('<!--', lt)) {
+      index = skipUntil(xml, lt, '-->');
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt);
+      if (end === -1) throw new Error(`Unterminated CDATA at offset ${lt}`);
+      current.text += xml.slice(lt + 9, end);
+      index = end + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      index = skipUntil(xml, lt, '?>');
+    } else if (xml.startsWith('<!', lt)) {
+      index = skipUntil(xml, lt, '>');
+    } else if (xml[lt + 1] === '/') {
+      const end = skipUntil(xml, lt, '>');
+      const name = xml.slice(lt + 2, end - 1).trim();
+      if (current.name !== name) {
+        throw new Error(`Mismatched closing tag </${name}> for <${current.name}> at offset ${lt}`);
+      }
+      stack.pop();
+      index = end;
+    } else {
+      const end = findTagEnd(xml, lt);
+      let body = xml.slice(lt + 1, end - 1);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) body = body.slice(0, -1);
+      const nameMatch = body.match(/^[^\s/>]+/);
+      if (!nameMatch) throw new Error(`Invalid tag at offset ${lt}`);
+      const element = {
+        name: nameMatch[0],
+        attributes: parseAttributes(body.slice(nameMatch[0].length)),
+        children: [],
+        text: '',
+      };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+      index = end;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  const documentElement = root.children[0];
+  if (!documentElement) throw new Error('Document has no root element');
+  return documentElement;
+};
+
+// First child element called `name` (or undefined)
+export const child = (element, name) => element?.children.find((c) => c.name === name);
+
+// All child elements called `name`
+export const children = (element, name) => element?.children.filter((c) => c.name === name) ?? [];
+
+// Trimmed text of the first child called `name` (or undefined when missing/empty)
+export const childText = (element, name) => {
+  const text = child(element, name)?.text.trim();
+  return text ? text : undefined;
+};
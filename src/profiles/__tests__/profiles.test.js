@@ -0,0 +1,35 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createProfileStore } from '../profiles';
+import { savePlaybackSession, loadPlaybackSession } from '../../player/playbackSession';
+
+const QUEUE = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }];
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+test('data saved before profiles existed moves into the default profile', async () => {
+  await AsyncStorage.setItem('ratings', '{"a":1}');
+  await AsyncStorage.setItem('playback_session', JSON.stringify({ queue: QUEUE, activeId: 'b', position: 12 }));
+  const profiles = createProfileStore();
+  await profiles.load();
+
+  expect(await AsyncStorage.getItem('ratings')).toBeNull();
+  expect(await AsyncStorage.getItem('playback_session')).toBeNull();
+  expect(await AsyncStorage.getItem('profile:default:ratings')).toBe('{"a":1}');
+  await expect(loadPlaybackSession({ keyFor: profiles.keyFor })).resolves.toMatchObject({ activeId: 'b', position: 12 });
+});
+
+test('each profile resumes its own playback session', async () => {
+  const profiles = createProfileStore();
+  await profiles.load();
+  await savePlaybackSession(QUEUE, 'a', 30, { keyFor: profiles.keyFor });
+
+  const guest = await profiles.addProfile('Guest');
+  await profiles.switchTo(guest.id);
+  await expect(loadPlaybackSession({ keyFor: profiles.keyFor })).resolves.toBeNull();
+  await savePlaybackSession(QUEUE, 'b', 5, { keyFor: profiles.keyFor });
+
+  await profiles.switchTo('default');
+  await expect(loadPlaybackSession({ keyFor: profiles.keyFor })).resolves.toMatchObject({ activeId: 'a', position: 30 });
+});
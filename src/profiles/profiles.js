@@ -0,0 +1,114 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storageLog } from '../logging';
+
+// Listener profiles for a shared phone/car. Each profile keeps its own recently played list,
+// playback speeds, ratings and saved playback session (what the car resumes) under keys
+// prefixed with its id (profile:<id>:<key>); the catalog, playlists, downloads and caches
+// stay shared. Stored as
+// { activeId, profiles: [{ id, name }] }.
+const PROFILES_KEY = 'profiles';
+
+export const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+
+// Keys that belong to a profile. Data stored under them before profiles existed moves into
+// the default profile on first load.
+export const SCOPED_KEYS = ['recently_played', 'playback_speeds', 'ratings', 'playback_session'];
+
+export const scopedKey = (profileId, key) => `profile:${profileId}:${key}`;
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+
+export const createProfileStore = ({ storage = AsyncStorage } = {}) => {
+  let state = { activeId: DEFAULT_PROFILE.id, profiles: [DEFAULT_PROFILE] };
+  let loading = null;
+  const listeners = new Set();
+
+  const notify = () => {
+    const snapshot = { activeId: state.activeId, profiles: state.profiles.slice() };
+    listeners.forEach((listener) => listener(snapshot));
+  };
+
+  const persist = async () => {
+    try {
+      await storage.setItem(PROFILES_KEY, JSON.stringify(state));
+    } catch (error) {
+      storageLog.error('Error saving profiles', { error });
+    }
+  };
+
+  // Move pre-profile data under the default profile's keys
+  const migrateLegacyKeys = async () => {
+    for (const key of SCOPED_KEYS) {
+      const legacy = await storage.getItem(key);
+      if (legacy === null || legacy === undefined) continue;
+      await storage.setItem(scopedKey(DEFAULT_PROFILE.id, key), legacy);
+      await storage.removeItem(key);
+    }
+  };
+
+  const read = async () => {
+    try {
+      const stored = await storage.getItem(PROFILES_KEY);
+      const parsed = stored ? JSON.parse(stored) : null;
+      if (Array.isArray(parsed?.profiles) && parsed.profiles.length > 0) {
+        const activeId = parsed.profiles.some((profile) => profile.id === parsed.activeId)
+          ? parsed.activeId
+          : parsed.profiles[0].id;
+        state = { activeId, profiles: parsed.profiles };
+      } else {
+        await migrateLegacyKeys();
+        await persist();
+      }
+    } catch (error) {
+      storageLog.error('Error loading profiles', { error });
+    }
+    notify();
+  };
+
+  // Safe to call from several places; profile-scoped loads should await it first
+  const load = () => {
+    if (!loading) loading = read();
+    return loading;
+  };
+
+  const active = () => state.profiles.find((profile) => profile.id === state.activeId) ?? DEFAULT_PROFILE;
+
+  // Returns false for an unknown id (or the profile already active)
+  const switchTo = async (id) => {
+    if (id === state.activeId || !state.profiles.some((profile) => profile.id === id)) return false;
+    state = { ...state, activeId: id };
+    notify();
+    await persist();
+    return true;
+  };
+
+  // Create a profile named `name` and return it; ids are unique slugs of the name
+  const addProfile = async (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+    const base = slugify(trimmed);
+    let id = base;
+    for (let suffix = 2; state.profiles.some((profile) => profile.id === id); suffix += 1) {
+      id = `${base}-${suffix}`;
+    }
+    const profile = { id, name: trimmed };
+    state = { ...state, profiles: [...state.profiles, profile] };
+    notify();
+    await persist();
+    return profile;
+  };
+
+  return {
+    load,
+    active,
+    profiles: () => state.profiles.slice(),
+    switchTo,
+    addProfile,
+    // Storage key for `key` in the active profile
+    keyFor: (key) => scopedKey(state.activeId, key),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+};
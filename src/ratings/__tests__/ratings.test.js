@@ -0,0 +1,110 @@
+import { createRatingsStore, Rating } from '../ratings';
+import { buildPlayContext } from '../../player/queue';
+
+// In-memory storage in AsyncStorage's shape
+const createStorage = (values = {}) => {
+  const map = new Map(Object.entries(values));
+  return {
+    map,
+    getItem: async (key) => (map.has(key) ? map.get(key) : null),
+    setItem: async (key, value) => {
+      map.set(key, value);
+    },
+  };
+};
+
+const item = (id) => ({ id, title: id, mediaUri: `https://example.com/${id}.mp4` });
+const A = item('a');
+const B = item('b');
+const C = item('c');
+
+let now;
+
+beforeEach(() => {
+  now = 1000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+test('toggleFavorite likes an item, then clears the like', async () => {
+  const ratings = createRatingsStore({ storage: createStorage() });
+  await ratings.toggleFavorite(A);
+  expect(ratings.isFavorite('a')).toBe(true);
+  expect(ratings.ratingOf('a')).toBe(Rating.Like);
+
+  await ratings.toggleFavorite(A);
+  expect(ratings.isFavorite('a')).toBe(false);
+  expect(ratings.ratingOf('a')).toBeNull();
+});
+
+test('toggleDislike gives an item a thumbs-down, then clears it', async () => {
+  const ratings = createRatingsStore({ storage: createStorage() });
+  await ratings.toggleDislike(A);
+  expect(ratings.isDisliked('a')).toBe(true);
+
+  await ratings.toggleDislike(A);
+  expect(ratings.isDisliked('a')).toBe(false);
+});
+
+test('a like and a thumbs-down replace each other', async () => {
+  const ratings = createRatingsStore({ storage: createStorage() });
+  await ratings.toggleFavorite(A);
+  await ratings.toggleDislike(A);
+  expect(ratings.isDisliked('a')).toBe(true);
+  expect(ratings.isFavorite('a')).toBe(false);
+  expect(ratings.favorites()).toEqual([]);
+
+  await ratings.toggleFavorite(A);
+  expect(ratings.isFavorite('a')).toBe(true);
+  expect(ratings.isDisliked('a')).toBe(false);
+});
+
+test('favorites lists liked items, most recently liked first', async () => {
+  const ratings = createRatingsStore({ storage: createStorage() });
+  await ratings.toggleFavorite(A);
+  now = 2000;
+  await ratings.toggleFavorite(B);
+  now = 3000;
+  await ratings.toggleDislike(C);
+
+  expect(ratings.favorites()).toEqual([B, A]);
+});
+
+test('thumbs-down items are left out of the play context, unless picked to play', async () => {
+  const ratings = createRatingsStore({ storage: createStorage() });
+  await ratings.toggleDislike(B);
+  await ratings.toggleDislike(C);
+
+  const { queue, startIndex } = buildPlayContext([A, B, C], 'a', ratings.isDisliked);
+  expect(queue.map(({ id }) => id)).toEqual(['a']);
+  expect(startIndex).toBe(0);
+
+  const picked = buildPlayContext([A, B, C], 'c', ratings.isDisliked);
+  expect(picked.queue.map(({ id }) => id)).toEqual(['a', 'c']);
+  expect(picked.startIndex).toBe(1);
+});
+
+test('ratings are saved under the key keyFor gives, and loaded back', async () => {
+  const storage = createStorage();
+  const keyFor = (key) => `profile:kid:${key}`;
+  await createRatingsStore({ storage, keyFor }).toggleFavorite(A);
+  expect(JSON.parse(storage.map.get('profile:kid:ratings'))).toEqual({ a: { rating: Rating.Like, item: A, ratedAt: 1000 } });
+
+  const loaded = createRatingsStore({ storage, keyFor });
+  const seen = [];
+  loaded.subscribe((snapshot) => seen.push(Object.keys(snapshot)));
+  await loaded.load();
+  expect(loaded.favorites()).toEqual([A]);
+  expect(seen).toEqual([['a']]);
+});
+
+test('stored ratings that are not JSON load as none', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const ratings = createRatingsStore({ storage: createStorage({ ratings: '{"a":' }) });
+  await ratings.load();
+  expect(ratings.favorites()).toEqual([]);
+  console.error.mockRestore();
+});
@@ -0,0 +1,80 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storageLog } from '../logging';
+
+// Thumbs-up (favorite) / thumbs-down ratings. Each rating keeps a copy of the item so the
+// Favorites folder can list episodes and playlist entries that aren't in the catalog.
+// Stored as { [itemId]: { rating, item, ratedAt } }.
+const RATINGS_KEY = 'ratings';
+
+export const Rating = {
+  Like: 'like',
+  Dislike: 'dislike',
+};
+
+// `keyFor` maps the storage key, e.g. to the active listener profile's (src/profiles)
+export const createRatingsStore = ({ storage = AsyncStorage, keyFor = (key) => key } = {}) => {
+  let ratings = {};
+  const listeners = new Set();
+
+  const notify = () => {
+    const snapshot = { ...ratings };
+    listeners.forEach((listener) => listener(snapshot));
+  };
+
+  const load = async () => {
+    try {
+      const stored = await storage.getItem(keyFor(RATINGS_KEY));
+      const parsed = stored ? JSON.parse(stored) : null;
+      ratings = parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      storageLog.error('Error loading ratings', { error });
+    }
+    notify();
+  };
+
+  const persist = async () => {
+    try {
+      await storage.setItem(keyFor(RATINGS_KEY), JSON.stringify(ratings));
+    } catch (error) {
+      storageLog.error('Error saving ratings', { error });
+    }
+  };
+
+  const ratingOf = (id) => ratings[id]?.rating ?? null;
+
+  // `rating` null clears it
+  const setRating = async (item, rating) => {
+    if (rating) {
+      ratings = { ...ratings, [item.id]: { rating, item, ratedAt: Date.now() } };
+    } else {
+      const { [item.id]: _removed, ...rest } = ratings;
+      ratings = rest;
+    }
+    notify();
+    await persist();
+  };
+
+  const toggleFavorite = (item) => setRating(item, ratingOf(item.id) === Rating.Like ? null : Rating.Like);
+  const toggleDislike = (item) => setRating(item, ratingOf(item.id) === Rating.Dislike ? null : Rating.Dislike);
+
+  // Liked items, most recently liked first
+  const favorites = () => Object.values(ratings)
+    .filter((entry) => entry.rating === Rating.Like)
+    .sort((a, b) => b.ratedAt - a.ratedAt)
+    .map((entry) => entry.item);
+
+  return {
+    load,
+    ratingOf,
+    setRating,
+    toggleFavorite,
+    toggleDislike,
+    favorites,
+    isFavorite: (id) => ratingOf(id) === Rating.Like,
+    isDisliked: (id) => ratingOf(id) === Rating.Dislike,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+};
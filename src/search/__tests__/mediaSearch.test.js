@@ -0,0 +1,19 @@
+import { searchMedia, hintsFromExtras } from '../mediaSearch';
+import { mediaItems } from '../../data/mediaItems';
+
+test('hintsFromExtras reads MediaStore extras and tolerates none', () => {
+  expect(hintsFromExtras({ 'android.intent.extra.title': 'Sintel', artist: 'Blender' })).toEqual({
+    title: 'Sintel',
+    artist: 'Blender',
+    album: undefined,
+    genre: undefined,
+  });
+  expect(hintsFromExtras(null)).toEqual({ title: undefined, artist: undefined, album: undefined, genre: undefined });
+  expect(hintsFromExtras(undefined).title).toBeUndefined();
+});
+
+test('searchMedia matches loosely and ranks the best match first', () => {
+  expect(searchMedia(mediaItems, 'elephants dream')[0].id).toBe('elephants-dream');
+  expect(searchMedia(mediaItems, 'sintél')[0].title).toBe('Sintel');
+  expect(searchMedia(mediaItems, 'zzzz')).toEqual([]);
+});
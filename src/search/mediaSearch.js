@@ -0,0 +1,108 @@
+// Fuzzy, accent-insensitive search over media items, used for voice "play X" and
+// MediaBrowser search. Matching is per word so "elephants dream" finds "Elephant Dream"
+// and "sintél" finds "Sintel".
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+export const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Very light stemming so plurals and possessives match ("elephants" → "elephant")
+const stem = (word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean).map(stem);
+
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a word of this length
+const allowedEdits = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// How well one query word matches a list of words: 1 exact, 0.8 prefix, 0.6 fuzzy, 0 none
+const wordScore = (queryWord, words) => {
+  let best = 0;
+  words.forEach((word) => {
+    if (word === queryWord) best = 1;
+    else if (best < 0.8 && queryWord.length >= 3 && word.startsWith(queryWord)) best = 0.8;
+    else if (best < 0.6 && editDistance(queryWord, word) <= allowedEdits(queryWord.length)) best = 0.6;
+  });
+  return best;
+};
+
+// Score 0..1 for how well `query` matches `text`. Every query word has to match something.
+export const matchScore = (query, text) => {
+  const queryWords = tokenize(query);
+  const words = tokenize(text);
+  if (queryWords.length === 0 || words.length === 0) return 0;
+  const scores = queryWords.map((queryWord) => wordScore(queryWord, words));
+  if (scores.some((score) => score === 0)) return 0;
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  // Prefer items whose whole field matches over ones that merely contain the words
+  const coverage = queryWords.length / Math.max(words.length, queryWords.length);
+  return average * (0.8 + 0.2 * coverage);
+};
+
+const fieldText = {
+  title: (item) => item.title,
+  artist: (item) => item.artist,
+  album: (item) => item.album,
+  genre: (item) => item.genre,
+};
+
+// Search `items`. `query` is free text matched against title and artist together;
+// `hints` ({ title, artist, album, genre }, e.g. from the voice assistant's structured
+// extras) must each match their own field. Returns the best matches first.
+export const searchMedia = (items, query, hints = {}, { limit = 20 } = {}) => {
+  const activeHints = Object.entries(hints).filter(([field, value]) => fieldText[field] && normalize(value));
+  if (!normalize(query) && activeHints.length === 0) return [];
+
+  return items
+    .map((item) => {
+      const hintScores = activeHints.map(([field, value]) => matchScore(value, fieldText[field](item)));
+      if (hintScores.some((score) => score === 0)) return null;
+      let score = hintScores.reduce((sum, s) => sum + s, 0);
+      if (normalize(query)) {
+        const queryScore = Math.max(
+          matchScore(query, `${item.title} ${item.artist || ''}`),
+          matchScore(query, item.title),
+        );
+        // With hints the free text is usually just those hints joined, so don't require it to match
+        if (queryScore === 0 && activeHints.length === 0) return null;
+        score += queryScore;
+      }
+      return { item, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
+
+// Android passes voice search hints in MediaStore extras; map them to searchMedia hints
+export const hintsFromExtras = (extras) => {
+  // The native side sends null when the query has no extras
+  const source = extras ?? {};
+  return {
+    title: source['android.intent.extra.title'] ?? source.title,
+    artist: source['android.intent.extra.artist'] ?? source.artist,
+    album: source['android.intent.extra.album'] ?? source.album,
+    genre: source['android.intent.extra.genre'] ?? source.genre,
+  };
+};
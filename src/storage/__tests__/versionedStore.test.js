@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import { createVersionedStore } from '../versionedStore';
+import { createRecentlyPlayedStore, RECENTLY_PLAYED_VERSION } from '../recentlyPlayed';
+
+// Stored values as the app wrote them, read as raw strings (one isn't valid JSON)
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// In-memory storage in AsyncStorage's shape that logs every write
+const createStorage = (values = {}) => {
+  const map = new Map(Object.entries(values));
+  const writes = [];
+  return {
+    map,
+    writes,
+    getItem: async (key) => (map.has(key) ? map.get(key) : null),
+    setItem: async (key, value) => {
+      writes.push(key);
+      map.set(key, value);
+    },
+    removeItem: async (key) => {
+      map.delete(key);
+    },
+  };
+};
+
+// Timers the test moves by hand; `advance` runs whatever falls due
+const createTimers = () => {
+  let now = 0;
+  let nextId = 1;
+  const scheduled = new Map();
+  return {
+    setTimeout: (callback, ms) => {
+      scheduled.set(nextId, { at: now + ms, callback });
+      nextId += 1;
+      return nextId - 1;
+    },
+    clearTimeout: (id) => {
+      scheduled.delete(id);
+    },
+    advance: (ms) => {
+      now += ms;
+      [...scheduled].filter(([, { at }]) => at <= now).forEach(([id, { callback }]) => {
+        scheduled.delete(id);
+        callback();
+      });
+    },
+    pending: () => scheduled.size,
+  };
+};
+
+const KEY = 'recently_played';
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('loading stored recently played lists', () => {
+  test('a v0 array of copied items becomes ids and is stored in the current format', async () => {
+    const storage = createStorage({ [KEY]: fixture('recently-played-v0.json') });
+    await expect(createRecentlyPlayedStore({ storage }).load()).resolves.toEqual(['big-buck-bunny', 'sintel']);
+    expect(JSON.parse(storage.map.get(KEY))).toEqual({
+      version: RECENTLY_PLAYED_VERSION,
+      data: { ids: ['big-buck-bunny', 'sintel'] },
+    });
+  });
+
+  test('a partially invalid v0 array keeps the entries that have an id', async () => {
+    const storage = createStorage({ [KEY]: fixture('recently-played-partial.json') });
+    await expect(createRecentlyPlayedStore({ storage }).load()).resolves.toEqual([
+      'big-buck-bunny',
+      'elephant-dream',
+      'sintel',
+    ]);
+    expect(storage.map.has(`${KEY}:corrupt`)).toBe(false);
+  });
+
+  test.each([
+    ['corrupt JSON', 'recently-played-corrupt.json'],
+    ['a newer version', 'recently-played-newer.json'],
+  ])('%s is moved aside and the list starts empty', async (_, name) => {
+    const stored = fixture(name);
+    const storage = createStorage({ [KEY]: stored });
+    await expect(createRecentlyPlayedStore({ storage }).load()).resolves.toEqual([]);
+    expect(storage.map.get(`${KEY}:corrupt`)).toBe(stored);
+    expect(storage.map.has(KEY)).toBe(false);
+  });
+});
+
+describe('createVersionedStore', () => {
+  const setup = (values, options = {}) => {
+    const storage = createStorage(values);
+    const timers = createTimers();
+    const store = createVersionedStore({
+      key: 'numbers',
+      version: 1,
+      migrations: { 0: (numbers) => ({ numbers }) },
+      validate: (data) => Array.isArray(data?.numbers),
+      fallback: () => ({ numbers: [] }),
+      writeDelayMs: 1000,
+      storage,
+      timers,
+      ...options,
+    });
+    return { storage, timers, store };
+  };
+
+  test('quarantines data validate rejects, once', async () => {
+    const { storage, store } = setup({ numbers: '{"version":1,"data":{"numbers":"three"}}' });
+    await expect(store.load()).resolves.toEqual({ numbers: [] });
+    expect(storage.map.get('numbers:corrupt')).toBe('{"version":1,"data":{"numbers":"three"}}');
+
+    // The original is gone, so a second load doesn't overwrite the copy
+    await expect(store.load()).resolves.toEqual({ numbers: [] });
+    expect(storage.writes).toEqual(['numbers:corrupt']);
+  });
+
+  test('quarantines data without a migration path', async () => {
+    const { storage, store } = setup({ numbers: '[1, 2]' }, { version: 2 });
+    await expect(store.load()).resolves.toEqual({ numbers: [] });
+    expect(storage.map.get('numbers:corrupt')).toBe('[1, 2]');
+    expect(storage.map.has('numbers')).toBe(false);
+  });
+
+  test('writes a burst of saves once, writeDelayMs after the first', async () => {
+    const { storage, timers, store } = setup();
+    store.save({ numbers: [1] });
+    timers.advance(600);
+    store.save({ numbers: [1, 2] });
+    timers.advance(399);
+    expect(storage.writes).toEqual([]);
+    expect(store.hasPendingWrite()).toBe(true);
+    await expect(store.load()).resolves.toEqual({ numbers: [1, 2] });
+
+    timers.advance(1);
+    expect(storage.writes).toEqual(['numbers']);
+    expect(JSON.parse(storage.map.get('numbers'))).toEqual({ version: 1, data: { numbers: [1, 2] } });
+    expect(store.hasPendingWrite()).toBe(false);
+    expect(timers.pending()).toBe(0);
+  });
+
+  test('flush writes now and cancels the timer', async () => {
+    const { storage, timers, store } = setup();
+    store.save({ numbers: [3] });
+    await store.flush();
+    expect(storage.writes).toEqual(['numbers']);
+    expect(timers.pending()).toBe(0);
+
+    timers.advance(1000);
+    expect(storage.writes).toEqual(['numbers']);
+  });
+
+  test('a pending save for another key is written before the key changes', async () => {
+    let profile = 'a';
+    const { storage, timers, store } = setup({}, { key: () => `profile:${profile}:numbers` });
+    store.save({ numbers: [1] });
+    profile = 'b';
+    store.save({ numbers: [2] });
+    expect(storage.writes).toEqual(['profile:a:numbers']);
+
+    timers.advance(1000);
+    expect(storage.writes).toEqual(['profile:a:numbers', 'profile:b:numbers']);
+    expect(JSON.parse(storage.map.get('profile:b:numbers')).data).toEqual({ numbers: [2] });
+  });
+});
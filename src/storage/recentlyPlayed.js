@@ -0,0 +1,47 @@
+import { createVersionedStore } from './versionedStore';
+
+// Recently played, newest first, as media item ids. Items are looked up again when the list
+// is shown (see resolveRecentlyPlayed), so changed stream or artwork URLs are picked up and
+// items that no longer exist drop out.
+const RECENTLY_PLAYED_KEY = 'recently_played';
+export const MAX_RECENT_ITEMS = 10;
+
+// Formats by version:
+//   0: [mediaItem, ...] (copies of the items, unversioned JSON)
+//   1: { ids: [itemId, ...] }
+export const RECENTLY_PLAYED_VERSION = 1;
+
+export const recentlyPlayedMigrations = {
+  0: (items) => ({
+    ids: (Array.isArray(items) ? items : [])
+      .map((item) => (typeof item === 'string' ? item : item?.id))
+      .filter((id) => typeof id === 'string' && id.length > 0),
+  }),
+};
+
+const isRecentlyPlayed = (data) => Array.isArray(data?.ids) && data.ids.every((id) => typeof id === 'string');
+
+// `keyFor` maps the storage key, e.g. to the active listener profile's (src/profiles)
+export const createRecentlyPlayedStore = ({ keyFor = (key) => key, ...options } = {}) => {
+  const store = createVersionedStore({
+    key: () => keyFor(RECENTLY_PLAYED_KEY),
+    version: RECENTLY_PLAYED_VERSION,
+    migrations: recentlyPlayedMigrations,
+    validate: isRecentlyPlayed,
+    fallback: () => ({ ids: [] }),
+    ...options,
+  });
+
+  return {
+    // Resolves to the stored ids, newest first
+    load: async () => (await store.load()).ids.slice(0, MAX_RECENT_ITEMS),
+    save: (ids) => store.save({ ids: ids.slice(0, MAX_RECENT_ITEMS) }),
+    flush: store.flush,
+  };
+};
+
+// `ids` with `id` moved to the front, capped at MAX_RECENT_ITEMS
+export const addRecentId = (ids, id) => [id, ...ids.filter((existing) => existing !== id)].slice(0, MAX_RECENT_ITEMS);
+
+// Media items for `ids` (via `findItem`), skipping ids nothing resolves
+export const resolveRecentlyPlayed = (ids, findItem) => ids.map(findItem).filter(Boolean);
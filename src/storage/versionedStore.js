@@ -0,0 +1,123 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { storageLog } from '../logging';
+
+// One AsyncStorage value with a schema version. Stored as { version, data }; a value written
+// before it was versioned (plain JSON) counts as version 0. On load, `migrations` bring older
+// data up to `version` in order: migrations[n] turns version n data into version n + 1.
+// Anything unreadable (corrupt JSON, a failed migration, data from a newer app version,
+// data `validate` rejects) is moved to <key>:corrupt for inspection and `fallback()` is
+// used instead, so one bad write can't keep the app from starting.
+//
+// Saves are write-behind: the latest value is written `writeDelayMs` after the first
+// unsaved change, so bursts of changes cost one write. flush() writes it now.
+//
+// `key` is a string or a function returning one (e.g. a listener profile's key, see
+// src/profiles); a pending save is written under the key it was made with.
+export const createVersionedStore = ({
+  key,
+  version,
+  migrations = {},
+  validate = () => true,
+  fallback = () => null,
+  writeDelayMs = 1000,
+  storage = AsyncStorage,
+  timers = { setTimeout, clearTimeout },
+}) => {
+  const keyOf = typeof key === 'function' ? key : () => key;
+  let pending = null; // { key, data }
+  let timer = null;
+
+  const quarantine = async (storageKey, stored, reason) => {
+    storageLog.warn('Discarding unreadable stored data', { key: storageKey, reason });
+    try {
+      await storage.setItem(`${storageKey}:corrupt`, stored);
+      // Otherwise every load would hit it (and overwrite the copy) again
+      await storage.removeItem(storageKey);
+    } catch (error) {
+      storageLog.error('Error keeping unreadable stored data', { key: storageKey, error });
+    }
+  };
+
+  // Envelope → { version, data }, or unversioned data → version 0
+  const unwrap = (parsed) => (
+    parsed && typeof parsed === 'object' && !Array.isArray(parsed) && Number.isInteger(parsed.version) && 'data' in parsed
+      ? { version: parsed.version, data: parsed.data }
+      : { version: 0, data: parsed }
+  );
+
+  const migrate = (stored) => {
+    let { version: at, data } = stored;
+    if (at > version) throw new Error(`stored version ${at} is newer than ${version}`);
+    for (; at < version; at += 1) {
+      if (typeof migrations[at] !== 'function') throw new Error(`no migration from version ${at}`);
+      data = migrations[at](data);
+    }
+    return data;
+  };
+
+  const write = async (storageKey, data) => {
+    try {
+      await storage.setItem(storageKey, JSON.stringify({ version, data }));
+    } catch (error) {
+      storageLog.error('Error saving stored data', { key: storageKey, error });
+    }
+  };
+
+  const flush = async () => {
+    timers.clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const { key: storageKey, data } = pending;
+    pending = null;
+    await write(storageKey, data);
+  };
+
+  // Resolves to the stored data at the current version, or fallback() if there is none
+  const load = async () => {
+    const storageKey = keyOf();
+    // A save still waiting for this key is newer than what's stored
+    if (pending?.key === storageKey) return pending.data;
+    let stored;
+    try {
+      stored = await storage.getItem(storageKey);
+    } catch (error) {
+      storageLog.error('Error loading stored data', { key: storageKey, error });
+      return fallback();
+    }
+    if (stored === null || stored === undefined) return fallback();
+    let data;
+    let migrated = false;
+    try {
+      const unwrapped = unwrap(JSON.parse(stored));
+      migrated = unwrapped.version !== version;
+      data = migrate(unwrapped);
+      if (!validate(data)) throw new Error('validation failed');
+    } catch (error) {
+      await quarantine(storageKey, stored, error.message);
+      return fallback();
+    }
+    // Store migrated data in the current format so migrations run once
+    if (migrated) await write(storageKey, data);
+    return data;
+  };
+
+  const save = (data) => {
+    const storageKey = keyOf();
+    // A save for another key (e.g. before a profile switch) is written first
+    if (pending && pending.key !== storageKey) flush();
+    pending = { key: storageKey, data };
+    if (!timer) {
+      timer = timers.setTimeout(() => {
+        timer = null;
+        flush();
+      }, writeDelayMs);
+    }
+  };
+
+  return {
+    load,
+    save,
+    flush,
+    hasPendingWrite: () => pending !== null,
+  };
+};
@@ -1,4 +1,6 @@
 import TrackPlayer, { Event } from 'react-native-track-player';
+import { seekTo, skipBy } from './src/player/seek';
+import { sleepTimer } from './src/player/sleepTimer';
 
 // This service runs in the background and handles media playback events
 export async function PlaybackService() {
@@ -7,5 +9,10 @@ export async function PlaybackService() {
   TrackPlayer.addEventListener(Event.RemoteStop, () => TrackPlayer.stop());
   TrackPlayer.addEventListener(Event.RemoteNext, () => TrackPlayer.skipToNext());
   TrackPlayer.addEventListener(Event.RemotePrevious, () => TrackPlayer.skipToPrevious());
-  TrackPlayer.addEventListener(Event.RemoteSeek, (event) => TrackPlayer.seekTo(event.position));
+  // Seeks share the app's path so the car's position is re-synced afterwards
+  TrackPlayer.addEventListener(Event.RemoteSeek, (event) => seekTo(event.position));
+  TrackPlayer.addEventListener(Event.RemoteJumpForward, (event) => skipBy(event.interval));
+  TrackPlayer.addEventListener(Event.RemoteJumpBackward, (event) => skipBy(-event.interval));
+  // A sleep timer armed before the app was restarted keeps counting down
+  sleepTimer.restore();
 }